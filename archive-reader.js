@@ -0,0 +1,90 @@
+// Compressed upload handling for Trader Visualization Dashboard
+
+/**
+ * Expands .gz and .zip uploads into the files inside them.
+ * Safe to load in the parse worker.
+ */
+class ArchiveReader {
+  constructor() {
+    // Files inside a zip archive that the ingestor can parse, optionally gzipped
+    this.supportedEntries = ['.csv', '.xlsx', '.xls', '.json', '.ndjson', '.jsonl'];
+  }
+
+  /**
+   * Check whether a file is gzip compressed
+   * @param {File|Blob} file - Uploaded file
+   * @returns {boolean} - True for .gz files
+   */
+  isGzip(file) {
+    return this.getName(file).toLowerCase().endsWith('.gz');
+  }
+
+  /**
+   * Check whether a file is a zip archive
+   * @param {File|Blob} file - Uploaded file
+   * @returns {boolean} - True for .zip files
+   */
+  isZip(file) {
+    return this.getName(file).toLowerCase().endsWith('.zip');
+  }
+
+  /**
+   * List the parseable entries of a zip archive
+   * @param {File|Blob} file - Zip archive
+   * @returns {Promise} - Promise resolving to { zip, entries } where entries are JSZip objects
+   */
+  listZipEntries(file) {
+    // JSZip is optional in the Node.js package
+    if (typeof JSZip === 'undefined') {
+      return Promise.reject(new Error('Install jszip to read .zip files'));
+    }
+
+    return JSZip.loadAsync(file).then(zip => {
+      const entries = Object.values(zip.files).filter(entry => {
+        const name = entry.name.toLowerCase().replace(/\.gz$/, '');
+        // Skip folders and the resource forks macOS adds to archives
+        if (entry.dir || name.startsWith('__macosx/')) return false;
+        return this.supportedEntries.some(extension => name.endsWith(extension));
+      });
+      return { zip, entries };
+    });
+  }
+
+  /**
+   * Extract a zip entry as a file
+   * @param {Object} entry - JSZip entry
+   * @param {string} archiveName - Name of the archive, used to label the entry
+   * @returns {Promise} - Promise resolving to a File
+   */
+  extractEntry(entry, archiveName) {
+    return entry.async('blob').then(blob => {
+      return new File([blob], `${archiveName}/${entry.name}`);
+    });
+  }
+
+  /**
+   * Decompress a gzip file. The output is kept as a Blob so the parser can still
+   * read it in chunks instead of holding one large string.
+   * @param {File|Blob} file - Gzip compressed file
+   * @returns {Promise} - Promise resolving to a File named without the .gz extension
+   */
+  gunzip(file) {
+    if (typeof DecompressionStream === 'undefined') {
+      return Promise.reject(new Error('This browser cannot decompress .gz files. Please decompress the file and upload it again.'));
+    }
+
+    const stream = file.stream().pipeThrough(new DecompressionStream('gzip'));
+    return new Response(stream).blob().then(blob => {
+      return new File([blob], this.getName(file).replace(/\.gz$/i, ''));
+    });
+  }
+
+  /**
+   * Get the name of a file
+   * @param {File|Blob} file - Uploaded file
+   * @returns {string} - File name, or an empty string for unnamed blobs
+   */
+  getName(file) {
+    return file && file.name ? file.name : '';
+  }
+}
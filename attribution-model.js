@@ -0,0 +1,96 @@
+// Attribution models for Trader Visualization Dashboard
+
+/**
+ * Rules-based multi-touch attribution over the two touches every row records:
+ * the first and the last impression. A model splits one conversion between them,
+ * and position-based models also keep a share for the impressions in between,
+ * whose campaign is not recorded. Safe to load in the parse worker.
+ */
+class AttributionModel {
+  /**
+   * @param {Object} definition - Model definition
+   * @param {string} definition.type - 'lastTouch', 'firstTouch', 'linear', 'positionBased' or 'timeDecay'
+   * @param {number} definition.halfLifeDays - Days after which an impression's time-decay weight halves (default 7)
+   */
+  constructor(definition = {}) {
+    if (!AttributionModel.types[definition.type]) {
+      throw new Error(`Unknown attribution model "${definition.type}". Use ${Object.keys(AttributionModel.types).join(', ')}`);
+    }
+
+    this.type = definition.type;
+    this.label = AttributionModel.types[this.type];
+    this.halfLifeDays = definition.halfLifeDays === undefined || definition.halfLifeDays === null ?
+      AttributionModel.defaultHalfLifeDays : Number(definition.halfLifeDays);
+
+    if (!isFinite(this.halfLifeDays) || this.halfLifeDays <= 0) {
+      throw new Error('Time decay half-life must be a positive number of days');
+    }
+  }
+
+  /**
+   * Available models, in the order they are compared
+   * @returns {Object} - Map of model type to label
+   */
+  static get types() {
+    return {
+      lastTouch: 'Last Touch',
+      firstTouch: 'First Touch',
+      linear: 'Linear (50/50)',
+      positionBased: 'Position-Based (40/20/40)',
+      timeDecay: 'Time Decay'
+    };
+  }
+
+  /**
+   * Half-life of time-decay models unless one is chosen
+   * @returns {number} - Days
+   */
+  static get defaultHalfLifeDays() {
+    return 7;
+  }
+
+  /**
+   * Name the share position-based models credit to impressions between the first and the last
+   * @returns {string} - Label used in place of a campaign, ad group or creative name
+   */
+  static get middleTouchLabel() {
+    return '(Middle Impressions)';
+  }
+
+  /**
+   * Split one conversion between the touches of a row
+   * @param {Object} touch - The row's touches
+   * @param {number} touch.impressions - Impression count
+   * @param {number} touch.firstAge - Days from the first impression to the conversion; NaN when unknown
+   * @param {number} touch.lastAge - Days from the last impression to the conversion; NaN when unknown
+   * @returns {Object} - { first, last, middle } shares, adding up to 1
+   */
+  getWeights(touch) {
+    switch (this.type) {
+      case 'lastTouch':
+        return { first: 0, last: 1, middle: 0 };
+      case 'firstTouch':
+        return { first: 1, last: 0, middle: 0 };
+      case 'positionBased':
+        // Only rows with more than two impressions had touches in between
+        return touch.impressions > 2 ?
+          { first: 0.4, last: 0.4, middle: 0.2 } :
+          { first: 0.5, last: 0.5, middle: 0 };
+      case 'timeDecay': {
+        if (isNaN(touch.firstAge) || isNaN(touch.lastAge)) {
+          return { first: 0.5, last: 0.5, middle: 0 };
+        }
+        // Impressions logged after the conversion count as made at the conversion
+        const firstAge = Math.max(0, touch.firstAge);
+        const lastAge = Math.max(0, touch.lastAge);
+        // Measure from the more recent touch, so old impressions cannot round both weights to zero
+        const newest = Math.min(firstAge, lastAge);
+        const first = Math.pow(0.5, (firstAge - newest) / this.halfLifeDays);
+        const last = Math.pow(0.5, (lastAge - newest) / this.halfLifeDays);
+        return { first: first / (first + last), last: last / (first + last), middle: 0 };
+      }
+      default:
+        return { first: 0.5, last: 0.5, middle: 0 };
+    }
+  }
+}
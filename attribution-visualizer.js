@@ -0,0 +1,171 @@
+// Attribution model comparison for Trader Dashboard
+
+/**
+ * Class to compare how the attribution models credit campaigns, ad groups and creatives
+ */
+class AttributionVisualizer {
+  constructor(dataProcessor, chartVisualizer) {
+    this.dataProcessor = dataProcessor;
+    this.chartVisualizer = chartVisualizer;
+    this.charts = {};
+    this.level = 'campaigns';
+    this.levelLabels = {
+      campaigns: 'Campaigns',
+      adGroups: 'Ad Groups',
+      creatives: 'Creatives'
+    };
+    this.colorPalette = [
+      '#4e79a7', '#f28e2c', '#e15759', '#76b7b2',
+      '#59a14f', '#edc949', '#af7aa1', '#ff9da7',
+      '#9c755f', '#bab0ab'
+    ];
+  }
+
+  /**
+   * Initialize attribution visualizations
+   * @param {Object} data - Processed data from EnhancedDataProcessor
+   */
+  initializeVisualizations(data) {
+    if (!data || !data.attribution) return;
+
+    this.data = data;
+    this.createComparisonChart(data.attribution);
+    this.createComparisonTable(data.attribution);
+  }
+
+  /**
+   * Update attribution visualizations with new data
+   * @param {Object} data - New processed data
+   */
+  updateVisualizations(data) {
+    // Destroy existing charts to prevent memory leaks
+    Object.values(this.charts).forEach(chart => {
+      if (chart && typeof chart.destroy === 'function') {
+        chart.destroy();
+      }
+    });
+
+    // Reinitialize with new data
+    this.initializeVisualizations(data);
+  }
+
+  /**
+   * Get the names credited at the chosen level, most credited first
+   * @param {Object} attribution - Attribution analysis
+   * @returns {Array} - Names, ordered by the most conversions any model credits them
+   */
+  getCreditedNames(attribution) {
+    const credit = {};
+    attribution.models.forEach(model => {
+      Object.entries(attribution.byModel[model.name][this.level]).forEach(([name, data]) => {
+        credit[name] = Math.max(credit[name] || 0, data.conversions);
+      });
+    });
+
+    return Object.keys(credit).sort((a, b) => credit[b] - credit[a]);
+  }
+
+  /**
+   * Create the chart comparing the conversions each model credits
+   * @param {Object} attribution - Attribution analysis
+   */
+  createComparisonChart(attribution) {
+    const ctx = document.getElementById('attribution-comparison-chart');
+    if (!ctx) return;
+
+    this.chartVisualizer.addHeaderSelect('attribution-comparison', this.levelLabels, this.level, value => {
+      this.level = value;
+      this.updateVisualizations(this.data);
+    });
+
+    const names = this.getCreditedNames(attribution).slice(0, 15); // Top 15
+
+    this.charts.attributionComparison = new Chart(ctx, {
+      type: 'bar',
+      data: {
+        labels: names,
+        datasets: attribution.models.map((model, index) => {
+          const credited = attribution.byModel[model.name][this.level];
+          return {
+            label: model.label,
+            data: names.map(name => (credited[name] ? parseFloat(credited[name].conversions.toFixed(2)) : 0)),
+            backgroundColor: this.colorPalette[index % this.colorPalette.length],
+            borderWidth: 0
+          };
+        })
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        plugins: {
+          title: {
+            display: true,
+            text: `Conversions Credited to ${this.levelLabels[this.level]} by Attribution Model`,
+            font: {
+              size: 16
+            }
+          },
+          subtitle: {
+            display: true,
+            text: `Time decay halves an impression's weight every ${attribution.halfLifeDays} days`,
+            position: 'bottom'
+          }
+        },
+        scales: {
+          y: {
+            beginAtZero: true,
+            title: {
+              display: true,
+              text: 'Attributed Conversions'
+            }
+          },
+          x: {
+            ticks: {
+              maxRotation: 45,
+              minRotation: 45
+            }
+          }
+        }
+      }
+    });
+  }
+
+  /**
+   * Create the table listing the conversions and value each model credits, side by side
+   * @param {Object} attribution - Attribution analysis
+   */
+  createComparisonTable(attribution) {
+    const container = document.getElementById('attribution-table-container');
+    if (!container) return;
+
+    const formatConversions = value => value.toLocaleString(undefined, { maximumFractionDigits: 2 });
+
+    const rows = this.getCreditedNames(attribution).map(name => `
+      <tr>
+        <td>${this.chartVisualizer.escapeHtml(name)}</td>
+        ${attribution.models.map(model => {
+          const data = attribution.byModel[model.name][this.level][name] || { conversions: 0, monetaryValue: 0 };
+          return `
+            <td>${formatConversions(data.conversions)}</td>
+            <td>${this.dataProcessor.currency.format(data.monetaryValue)}</td>
+          `;
+        }).join('')}
+      </tr>
+    `).join('');
+
+    container.innerHTML = `
+      <table class="table table-sm attribution-table">
+        <thead>
+          <tr>
+            <th rowspan="2">${this.levelLabels[this.level]}</th>
+            ${attribution.models.map(model => `<th colspan="2">${model.label}</th>`).join('')}
+          </tr>
+          <tr>
+            ${attribution.models.map(() => '<th>Conversions</th><th>Value</th>').join('')}
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    `;
+  }
+}
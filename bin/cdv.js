@@ -0,0 +1,303 @@
+#!/usr/bin/env node
+// Command-line report generator for Trader Visualization Dashboard
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const Papa = require('papaparse');
+const { processFiles } = require('../node');
+
+const USAGE = `Usage: cdv analyze <file...> [options]
+
+Parses CSV, Excel, JSON, NDJSON, .gz and .zip exports, merges them and writes
+the dashboard's processed data.
+
+Options:
+  --filter <key=value>   Keep rows matching a filter, e.g. campaign=Spring. Repeat a key to
+                         match any of several values; different keys must all match.
+  --from <YYYY-MM-DD>    First conversion day, in the reporting time zone
+  --to <YYYY-MM-DD>      Last conversion day, included in full
+  --section <name>       Output only a section, e.g. timeToConvert or mediaPerformance.campaignPerformance.
+                         Repeat to output several sections.
+  --format <json|csv>    Output format (default: csv when --out ends in .csv, json otherwise)
+  --out <file>           Write to a file instead of standard output
+  --config <file>        JSON settings: timeZones, currency, numberLocale, jsonPathMappings,
+                         calculatedMetrics, bucketSchemes, timeToConvertDefinition,
+                         attributionHalfLife, columnMappings and sheets
+  --help                 Show this help`;
+
+/**
+ * Options that take a value, mapped to whether they may be repeated
+ */
+const VALUE_OPTIONS = {
+  filter: true,
+  section: true,
+  from: false,
+  to: false,
+  format: false,
+  out: false,
+  config: false
+};
+
+/**
+ * Split command-line arguments into the command, input files and options
+ * @param {Array} args - Arguments after the script name
+ * @returns {Object} - { command, files, options, help } where repeatable options hold arrays
+ */
+function parseArguments(args) {
+  const parsed = { command: null, files: [], options: { filter: [], section: [] }, help: false };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (arg === '--help' || arg === '-h') {
+      parsed.help = true;
+      continue;
+    }
+
+    if (arg.startsWith('--')) {
+      const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+      if (!(name in VALUE_OPTIONS)) {
+        throw new Error(`Unknown option --${name}`);
+      }
+
+      const value = inlineValue !== undefined ? inlineValue : args[++i];
+      if (value === undefined) {
+        throw new Error(`Option --${name} needs a value`);
+      }
+
+      if (VALUE_OPTIONS[name]) {
+        parsed.options[name].push(value);
+      } else {
+        parsed.options[name] = value;
+      }
+      continue;
+    }
+
+    if (parsed.command === null) {
+      parsed.command = arg;
+    } else {
+      parsed.files.push(arg);
+    }
+  }
+
+  return parsed;
+}
+
+/**
+ * Build the filter criteria UnifiedDataProcessor.applyFilters takes
+ * @param {Object} options - Parsed options
+ * @param {Object} filterDimensions - The processor's filter keys, see DataProcessor
+ * @returns {Object|null} - Filter criteria, or null when no filter was given
+ */
+function buildFilters(options, filterDimensions) {
+  const filters = {};
+
+  options.filter.forEach(filter => {
+    const separator = filter.indexOf('=');
+    const key = separator > 0 ? filter.slice(0, separator).trim() : '';
+    if (!key) {
+      throw new Error(`Filter "${filter}" should look like key=value`);
+    }
+    if (!filterDimensions[key]) {
+      throw new Error(`Unknown filter "${key}". Available filters: ${Object.keys(filterDimensions).join(', ')}`);
+    }
+
+    filters[key] = (filters[key] || []).concat(filter.slice(separator + 1));
+  });
+
+  ['from', 'to'].forEach(option => {
+    if (options[option] !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(options[option])) {
+      throw new Error(`--${option} should be a day as YYYY-MM-DD`);
+    }
+  });
+  if (options.from || options.to) {
+    filters.dateRange = { start: options.from || null, end: options.to || null };
+  }
+
+  return Object.keys(filters).length > 0 ? filters : null;
+}
+
+/**
+ * Pick the requested sections of the processed data
+ * @param {Object} processedData - Processed data
+ * @param {Array} sections - Section names, optionally dot paths into a section
+ * @returns {Object} - The section when one was requested, a map of name to section for several, or everything
+ */
+function selectSections(processedData, sections) {
+  if (sections.length === 0) return processedData;
+
+  const selected = {};
+  sections.forEach(section => {
+    const value = section.split('.').reduce((parent, key) => (isRecord(parent) ? parent[key] : undefined), processedData);
+    if (value === undefined) {
+      throw new Error(`Unknown section "${section}". Available sections: ${Object.keys(processedData).join(', ')}`);
+    }
+    selected[section] = value;
+  });
+
+  return sections.length === 1 ? selected[sections[0]] : selected;
+}
+
+/**
+ * Check for a Date, including Dates created by the processing sandbox
+ * @param {*} value - Value to check
+ * @returns {boolean} - True for dates
+ */
+function isDate(value) {
+  return Object.prototype.toString.call(value) === '[object Date]';
+}
+
+/**
+ * Check for a plain object
+ * @param {*} value - Value to check
+ * @returns {boolean} - True for objects that are neither arrays nor dates
+ */
+function isRecord(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !isDate(value);
+}
+
+/**
+ * Check for an object holding only scalar values, i.e. one CSV row
+ * @param {*} value - Value to check
+ * @returns {boolean} - True for flat records
+ */
+function isFlatRecord(value) {
+  return isRecord(value) && Object.values(value).every(field => !isRecord(field) && !Array.isArray(field));
+}
+
+/**
+ * Flatten a value into dot paths and scalar values
+ * @param {*} value - Value to flatten
+ * @param {string} prefix - Path of the value
+ * @param {Array} rows - Rows as { path, value } are appended here
+ * @returns {Array} - The rows
+ */
+function flatten(value, prefix, rows) {
+  if (isRecord(value) || Array.isArray(value)) {
+    Object.entries(value).forEach(([key, child]) => flatten(child, prefix ? `${prefix}.${key}` : key, rows));
+  } else {
+    rows.push({ path: prefix, value: formatValue(value) });
+  }
+  return rows;
+}
+
+/**
+ * Format a scalar for CSV
+ * @param {*} value - Scalar value
+ * @returns {*} - ISO string for dates, the value otherwise
+ */
+function formatValue(value) {
+  return isDate(value) ? value.toISOString() : value;
+}
+
+/**
+ * Turn output data into CSV rows. Lists of records and maps of key to record, such as
+ * campaign performance, become one row per record; anything else becomes path and value pairs.
+ * @param {*} data - Selected output
+ * @returns {Array} - CSV rows
+ */
+function toCsvRows(data) {
+  const formatRecord = record => Object.fromEntries(
+    Object.entries(record).map(([field, value]) => [field, formatValue(value)])
+  );
+
+  if (Array.isArray(data) && data.length > 0 && data.every(isFlatRecord)) {
+    return data.map(formatRecord);
+  }
+
+  const records = isRecord(data) ? Object.entries(data) : [];
+  if (records.length > 0 && records.every(([, record]) => isFlatRecord(record))) {
+    return records.map(([key, record]) => ({ key, ...formatRecord(record) }));
+  }
+
+  return flatten(data, '', []);
+}
+
+/**
+ * Run the analyze command
+ * @param {Array} files - Input file paths
+ * @param {Object} options - Parsed options
+ * @returns {Promise} - Promise resolving once the output is written
+ */
+function analyze(files, options) {
+  if (files.length === 0) {
+    return Promise.reject(new Error('analyze needs at least one input file'));
+  }
+
+  const format = options.format || (options.out && path.extname(options.out).toLowerCase() === '.csv' ? 'csv' : 'json');
+  if (!['json', 'csv'].includes(format)) {
+    return Promise.reject(new Error(`Unknown format "${format}". Use json or csv`));
+  }
+
+  const settings = options.config ? JSON.parse(fs.readFileSync(options.config, 'utf8')) : {};
+
+  return processFiles(files, settings).then(result => {
+    const validation = result.importReport && result.importReport.validation;
+    if (validation && validation.quarantined.length > 0) {
+      console.error(`${validation.quarantined.length} rows failed validation and were left out`);
+    }
+
+    // Filters use the dashboard's semantics: any value within a key, every key and the date range together
+    const filters = buildFilters(options, result.processor.filterDimensions);
+    const processedData = filters ? result.processor.applyFilters(filters) : result.processedData;
+    const data = selectSections(processedData, options.section);
+
+    let output;
+    if (format === 'csv') {
+      // Records can differ in fields, so list every field seen rather than only the first row's
+      const rows = toCsvRows(data);
+      const columns = Array.from(new Set(rows.flatMap(row => Object.keys(row))));
+      output = Papa.unparse(rows, { columns });
+    } else {
+      output = JSON.stringify(data, null, 2);
+    }
+
+    if (options.out) {
+      fs.writeFileSync(options.out, output + '\n');
+    } else {
+      process.stdout.write(output + '\n');
+    }
+  });
+}
+
+/**
+ * Run the command line
+ * @param {Array} args - Arguments after the script name
+ * @returns {Promise} - Promise resolving to the exit code
+ */
+function main(args) {
+  let parsed;
+  try {
+    parsed = parseArguments(args);
+  } catch (error) {
+    return Promise.reject(error);
+  }
+
+  if (parsed.help || parsed.command === null) {
+    console.log(USAGE);
+    return Promise.resolve(parsed.help ? 0 : 1);
+  }
+
+  if (parsed.command !== 'analyze') {
+    return Promise.reject(new Error(`Unknown command "${parsed.command}"`));
+  }
+
+  return analyze(parsed.files, parsed.options).then(() => 0);
+}
+
+// Stop quietly when the reader closes the pipe early, e.g. when piped into head
+process.stdout.on('error', error => {
+  if (error.code !== 'EPIPE') throw error;
+  process.exit(0);
+});
+
+main(process.argv.slice(2))
+  .then(code => {
+    process.exitCode = code;
+  })
+  .catch(error => {
+    console.error(`cdv: ${error.message || error}`);
+    process.exitCode = 1;
+  });
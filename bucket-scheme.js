@@ -0,0 +1,233 @@
+// Bucket definitions for Trader Visualization Dashboard
+
+/**
+ * Splits a numeric measure, such as impression counts or days to convert, into
+ * labelled ranges. Each edge closes a bucket: edges [1, 3] give the buckets
+ * up to 1, above 1 up to 3, and above 3. Custom schemes use fixed edges, while
+ * equal-width, quantile and log-scale schemes derive them from the data with resolve().
+ * Safe to load in the parse worker.
+ */
+class BucketScheme {
+  /**
+   * @param {Object} definition - Scheme definition
+   * @param {string} definition.type - 'custom' (default), 'equalWidth', 'quantile' or 'log'
+   * @param {Array} definition.edges - Upper edges of every bucket but the last, for custom schemes
+   * @param {number} definition.count - Number of buckets of derived schemes (default 6)
+   * @param {boolean} definition.integer - Values are whole numbers, so edges are rounded down and
+   *   ranges labelled like '1-5', '6-10'
+   * @param {number} definition.lowerBound - Lowest possible value, used to label the first bucket (default 0)
+   */
+  constructor(definition = {}) {
+    this.type = BucketScheme.types.includes(definition.type) ? definition.type : 'custom';
+    this.integer = Boolean(definition.integer);
+    this.lowerBound = typeof definition.lowerBound === 'number' ? definition.lowerBound : 0;
+    this.count = definition.count === undefined || definition.count === null ? 6 : Number(definition.count);
+    this.edges = (definition.edges || []).map(edge => {
+      if (typeof edge === 'number') return edge;
+      return String(edge).trim() === '' ? NaN : Number(edge);
+    });
+
+    if (this.type === 'custom') {
+      if (this.edges.some(edge => !isFinite(edge))) {
+        throw new Error('Bucket edges must be numbers');
+      }
+      if (this.integer && this.edges.some(edge => !Number.isInteger(edge))) {
+        throw new Error('Bucket edges must be whole numbers');
+      }
+      if (this.edges.some((edge, index) => index > 0 && edge <= this.edges[index - 1])) {
+        throw new Error('Bucket edges must be in increasing order');
+      }
+      if (this.edges.length >= BucketScheme.maxBuckets) {
+        throw new Error(`Use fewer than ${BucketScheme.maxBuckets} bucket edges`);
+      }
+    } else if (!Number.isInteger(this.count) || this.count < 1 || this.count > BucketScheme.maxBuckets) {
+      throw new Error(`Bucket count must be a whole number from 1 to ${BucketScheme.maxBuckets}`);
+    }
+
+    this.labels = this.type === 'custom' ? this.createLabels() : null;
+  }
+
+  /**
+   * Ways edges can be chosen
+   * @returns {Array} - Scheme types
+   */
+  static get types() {
+    return ['custom', 'equalWidth', 'quantile', 'log'];
+  }
+
+  /**
+   * Most buckets a scheme may have
+   * @returns {number} - Bucket limit
+   */
+  static get maxBuckets() {
+    return 50;
+  }
+
+  /**
+   * Default schemes of the bucketed measures
+   * @returns {Object} - Map of measure name to definition
+   */
+  static get defaults() {
+    return {
+      impressions: { type: 'custom', edges: [0, 5, 10, 20, 50], count: 6, integer: true, lowerBound: 0 },
+      timeToConvert: { type: 'custom', edges: [1, 3, 7, 14, 30], count: 6, integer: false, lowerBound: 0 }
+    };
+  }
+
+  /**
+   * Check whether the edges depend on the data
+   * @returns {boolean} - True for equal-width, quantile and log-scale schemes
+   */
+  isDataDependent() {
+    return this.type !== 'custom';
+  }
+
+  /**
+   * Fix the edges of a scheme for a set of values
+   * @param {Array|Float64Array} values - Values of the measure; NaN marks missing values
+   * @returns {BucketScheme} - Custom scheme with the derived edges, or this scheme if it is custom
+   */
+  resolve(values) {
+    if (this.type === 'custom') return this;
+
+    const finite = Float64Array.from(Array.prototype.filter.call(values, value => isFinite(value)));
+    const edges = finite.length > 0 ? this.deriveEdges(finite) : [];
+    const round = this.integer ? Math.floor : edge => parseFloat(edge.toFixed(2));
+    const unique = Array.from(new Set(edges.map(round))).sort((a, b) => a - b);
+
+    return new BucketScheme({
+      type: 'custom',
+      edges: unique,
+      integer: this.integer,
+      lowerBound: this.lowerBound
+    });
+  }
+
+  /**
+   * Derive the edges of an equal-width, quantile or log-scale scheme
+   * @param {Float64Array} values - Finite values, at least one
+   * @returns {Array} - Unrounded edges
+   */
+  deriveEdges(values) {
+    const edges = [];
+    let min = Infinity;
+    let max = -Infinity;
+    values.forEach(value => {
+      if (value < min) min = value;
+      if (value > max) max = value;
+    });
+
+    if (this.type === 'quantile') {
+      const sorted = values.slice().sort();
+      for (let i = 1; i < this.count; i++) {
+        // Nearest-rank quantile, so each edge is a value found in the data
+        edges.push(sorted[Math.ceil((i / this.count) * sorted.length) - 1]);
+      }
+      return edges;
+    }
+
+    if (this.type === 'log') {
+      // Log scales start at the smallest positive value; zeros fall in the first bucket
+      let low = Infinity;
+      values.forEach(value => {
+        if (value > 0 && value < low) low = value;
+      });
+      if (low === Infinity || max <= low) return [low === Infinity ? 0 : low];
+
+      const ratio = max / low;
+      for (let i = 1; i < this.count; i++) {
+        edges.push(low * Math.pow(ratio, i / this.count));
+      }
+      return edges;
+    }
+
+    const width = (max - min) / this.count;
+    for (let i = 1; i < this.count; i++) {
+      edges.push(min + width * i);
+    }
+    return edges;
+  }
+
+  /**
+   * Label every bucket of a custom scheme
+   * @returns {Array} - Labels in bucket order, e.g. ['0', '1-5', '6-10', '10+']
+   */
+  createLabels() {
+    const edges = this.edges;
+    if (edges.length === 0) return [`${this.lowerBound}+`];
+
+    const labels = edges.map((edge, index) => {
+      let low = this.lowerBound;
+      if (index > 0) {
+        // Whole-number buckets start at the first value above the previous edge
+        low = this.integer ? edges[index - 1] + 1 : edges[index - 1];
+      }
+      return low >= edge ? String(edge) : `${low}-${edge}`;
+    });
+    labels.push(`${edges[edges.length - 1]}+`);
+    return labels;
+  }
+
+  /**
+   * Get the bucket labels, in order
+   * @returns {Array} - Labels
+   */
+  getLabels() {
+    this.assertResolved();
+    return this.labels;
+  }
+
+  /**
+   * Find the bucket holding a value
+   * @param {number} value - Value
+   * @returns {number} - Bucket index; values above every edge, and missing values, fall in the last bucket
+   */
+  getIndex(value) {
+    this.assertResolved();
+
+    // Binary search for the first edge the value does not exceed
+    let low = 0;
+    let high = this.edges.length;
+    while (low < high) {
+      const middle = (low + high) >>> 1;
+      if (value <= this.edges[middle]) {
+        high = middle;
+      } else {
+        low = middle + 1;
+      }
+    }
+    return low;
+  }
+
+  /**
+   * Get the label of the bucket holding a value
+   * @param {number} value - Value
+   * @returns {string} - Bucket label
+   */
+  getLabel(value) {
+    return this.labels[this.getIndex(value)];
+  }
+
+  /**
+   * Throw if the scheme still needs data to fix its edges
+   */
+  assertResolved() {
+    if (this.type !== 'custom') {
+      throw new Error('Resolve the bucket scheme against the data first');
+    }
+  }
+
+  /**
+   * Get the definition, as saved in settings
+   * @returns {Object} - Definition, see the constructor
+   */
+  getDefinition() {
+    return {
+      type: this.type,
+      edges: this.edges.slice(),
+      count: this.count,
+      integer: this.integer,
+      lowerBound: this.lowerBound
+    };
+  }
+}
@@ -0,0 +1,185 @@
+// Bucket settings dialog for Trader Visualization Dashboard
+
+/**
+ * Class to let users choose the buckets of the impression count and time to
+ * convert distributions: custom edges, equal-width, quantile or log-scale
+ */
+class BucketSettingsDialog {
+  constructor() {
+    this.measures = {
+      impressions: 'Impression Count',
+      timeToConvert: 'Days to Convert'
+    };
+    this.typeLabels = {
+      custom: 'Custom edges',
+      equalWidth: 'Equal width',
+      quantile: 'Quantiles',
+      log: 'Log scale'
+    };
+  }
+
+  /**
+   * Show the dialog
+   * @param {DataProcessor} dataProcessor - Processor holding the current buckets and loaded rows
+   * @returns {Promise} - Promise resolving to the new bucket scheme definitions, or null if cancelled
+   */
+  show(dataProcessor) {
+    return new Promise(resolve => {
+      const definitions = dataProcessor.getBucketSchemeDefinitions();
+
+      const rows = Object.entries(this.measures).map(([name, label]) => `
+        <tr data-measure="${name}">
+          <td>${label}</td>
+          <td>
+            <select class="form-select form-select-sm bucket-type-select">
+              ${BucketScheme.types.map(type => `
+                <option value="${type}" ${type === definitions[name].type ? 'selected' : ''}>${this.typeLabels[type]}</option>
+              `).join('')}
+            </select>
+          </td>
+          <td><input type="text" class="form-control form-control-sm bucket-edges-input" value="${definitions[name].edges.join(', ')}"></td>
+          <td><input type="number" class="form-control form-control-sm bucket-count-input" min="1" max="${BucketScheme.maxBuckets}" value="${definitions[name].count}"></td>
+        </tr>
+        <tr data-preview="${name}">
+          <td colspan="4" class="bucket-preview"></td>
+        </tr>
+      `).join('');
+
+      const modalContainer = document.createElement('div');
+      modalContainer.className = 'modal-container';
+      modalContainer.id = 'bucket-settings-modal';
+
+      modalContainer.innerHTML = `
+        <div class="modal-content">
+          <div class="modal-header">
+            <h2>Distribution Buckets</h2>
+          </div>
+          <div class="modal-body">
+            <p class="currency-settings-help">
+              Custom edges close each bucket, so <code>1, 3, 7</code> gives 0-1, 1-3, 3-7 and 7+.
+              Equal-width, quantile and log-scale buckets are derived from every loaded row.
+            </p>
+            <div class="mapping-table-container">
+              <table class="table table-sm mapping-table bucket-settings-table">
+                <thead>
+                  <tr><th>Distribution</th><th>Bucketing</th><th>Edges</th><th>Buckets</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+              </table>
+            </div>
+            <div id="bucket-settings-errors" class="currency-settings-errors"></div>
+          </div>
+          <div class="modal-footer">
+            <button id="reset-buckets-btn" class="btn btn-outline-secondary">Reset to Defaults</button>
+            <button id="apply-buckets-btn" class="btn btn-primary">Apply</button>
+            <button id="cancel-buckets-btn" class="btn btn-secondary">Cancel</button>
+          </div>
+        </div>
+      `;
+
+      document.body.appendChild(modalContainer);
+
+      const readDefinition = (name) => {
+        const row = modalContainer.querySelector(`tr[data-measure="${name}"]`);
+        const edges = row.querySelector('.bucket-edges-input').value.trim();
+        return {
+          type: row.querySelector('.bucket-type-select').value,
+          edges: edges ? edges.split(/[,;\s]+/) : [],
+          count: parseInt(row.querySelector('.bucket-count-input').value, 10)
+        };
+      };
+
+      const update = (name) => {
+        const row = modalContainer.querySelector(`tr[data-measure="${name}"]`);
+        const custom = row.querySelector('.bucket-type-select').value === 'custom';
+        row.querySelector('.bucket-edges-input').disabled = !custom;
+        row.querySelector('.bucket-count-input').disabled = custom;
+
+        const preview = modalContainer.querySelector(`tr[data-preview="${name}"] .bucket-preview`);
+        preview.textContent = this.describeBuckets(dataProcessor, name, readDefinition(name));
+      };
+
+      Object.keys(this.measures).forEach(name => {
+        const row = modalContainer.querySelector(`tr[data-measure="${name}"]`);
+        row.querySelectorAll('select, input').forEach(input => {
+          input.addEventListener('input', () => update(name));
+        });
+        update(name);
+      });
+
+      const close = (value) => {
+        document.body.removeChild(modalContainer);
+        resolve(value);
+      };
+
+      modalContainer.querySelector('#reset-buckets-btn').addEventListener('click', () => {
+        Object.entries(BucketScheme.defaults).forEach(([name, defaults]) => {
+          const row = modalContainer.querySelector(`tr[data-measure="${name}"]`);
+          row.querySelector('.bucket-type-select').value = defaults.type;
+          row.querySelector('.bucket-edges-input').value = defaults.edges.join(', ');
+          row.querySelector('.bucket-count-input').value = defaults.count;
+          update(name);
+        });
+      });
+
+      modalContainer.querySelector('#apply-buckets-btn').addEventListener('click', () => {
+        const result = {};
+        const errors = [];
+
+        Object.entries(this.measures).forEach(([name, label]) => {
+          result[name] = readDefinition(name);
+          try {
+            dataProcessor.compileBucketSchemes({ [name]: result[name] });
+          } catch (error) {
+            errors.push(`${label}: ${error.message}`);
+          }
+        });
+
+        if (errors.length > 0) {
+          modalContainer.querySelector('#bucket-settings-errors').innerHTML =
+            errors.map(error => `<div>${this.escapeHtml(error)}</div>`).join('');
+          return;
+        }
+
+        close(result);
+      });
+
+      modalContainer.querySelector('#cancel-buckets-btn').addEventListener('click', () => close(null));
+    });
+  }
+
+  /**
+   * Describe the buckets a definition gives for the loaded rows
+   * @param {DataProcessor} dataProcessor - Processor holding the loaded rows
+   * @param {string} name - Bucketed measure
+   * @param {Object} definition - Scheme definition, see BucketScheme
+   * @returns {string} - Bucket labels, or the reason the definition is invalid
+   */
+  describeBuckets(dataProcessor, name, definition) {
+    try {
+      const scheme = dataProcessor.compileBucketSchemes({ [name]: definition })[name];
+      if (scheme.isDataDependent() && dataProcessor.rawData.length === 0) {
+        return 'Buckets are derived once data is loaded';
+      }
+
+      const resolved = scheme.isDataDependent() ? scheme.resolve(dataProcessor.getStore().getMeasure(name)) : scheme;
+      return `Buckets: ${resolved.getLabels().join(', ')}`;
+    } catch (error) {
+      return error.message;
+    }
+  }
+
+  /**
+   * Escape a value for safe insertion into HTML
+   * @param {*} value - Value to escape
+   * @returns {string} - Escaped string
+   */
+  escapeHtml(value) {
+    return String(value === undefined || value === null ? '' : value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+}
@@ -0,0 +1,268 @@
+// Calculated metrics for Trader Visualization Dashboard
+
+/**
+ * Arithmetic formula over named values, e.g. "monetaryValue / impressions * 1000".
+ * Supports numbers, names, + - * /, unary minus and parentheses. Formulas are
+ * parsed into a tree and evaluated by walking it, never with eval or Function,
+ * so a formula cannot run code. Safe to load in the parse worker.
+ */
+class MetricExpression {
+  /**
+   * @param {string} formula - Formula text
+   * @param {Array} variables - Names the formula may use
+   */
+  constructor(formula, variables) {
+    this.formula = String(formula || '');
+    this.variables = variables;
+    this.tokens = this.tokenize(this.formula);
+    this.position = 0;
+
+    if (this.tokens.length === 0) {
+      throw new Error('Formula is empty');
+    }
+
+    this.tree = this.parseSum();
+    if (this.position < this.tokens.length) {
+      this.fail(this.tokens[this.position]);
+    }
+  }
+
+  /**
+   * Split a formula into tokens
+   * @param {string} formula - Formula text
+   * @returns {Array} - Tokens as { type, value, index }, where type is 'number', 'name' or 'operator'
+   */
+  tokenize(formula) {
+    const tokens = [];
+    const pattern = /(\d+(?:\.\d+)?|\.\d+)|([A-Za-z_][A-Za-z0-9_]*)|([-+*/()])/y;
+    let index = 0;
+
+    while (index < formula.length) {
+      if (/\s/.test(formula[index])) {
+        index++;
+        continue;
+      }
+
+      pattern.lastIndex = index;
+      const match = pattern.exec(formula);
+      if (!match) {
+        throw new Error(`Unexpected "${formula[index]}" at position ${index + 1}`);
+      }
+
+      if (match[1] !== undefined) {
+        tokens.push({ type: 'number', value: Number(match[1]), index });
+      } else if (match[2] !== undefined) {
+        tokens.push({ type: 'name', value: match[2], index });
+      } else {
+        tokens.push({ type: 'operator', value: match[3], index });
+      }
+      index = pattern.lastIndex;
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Parse additions and subtractions
+   * @returns {Object} - Expression tree node
+   */
+  parseSum() {
+    let node = this.parseProduct();
+    while (this.peek('+') || this.peek('-')) {
+      const operator = this.tokens[this.position++].value;
+      node = { operator, left: node, right: this.parseProduct() };
+    }
+    return node;
+  }
+
+  /**
+   * Parse multiplications and divisions
+   * @returns {Object} - Expression tree node
+   */
+  parseProduct() {
+    let node = this.parseUnary();
+    while (this.peek('*') || this.peek('/')) {
+      const operator = this.tokens[this.position++].value;
+      node = { operator, left: node, right: this.parseUnary() };
+    }
+    return node;
+  }
+
+  /**
+   * Parse a signed value
+   * @returns {Object} - Expression tree node
+   */
+  parseUnary() {
+    if (this.peek('-') || this.peek('+')) {
+      const operator = this.tokens[this.position++].value;
+      const operand = this.parseUnary();
+      return operator === '-' ? { operator: 'negate', operand } : operand;
+    }
+    return this.parseValue();
+  }
+
+  /**
+   * Parse a number, name or parenthesized expression
+   * @returns {Object} - Expression tree node
+   */
+  parseValue() {
+    const token = this.tokens[this.position];
+    if (!token) {
+      throw new Error('Formula ends unexpectedly');
+    }
+
+    if (token.type === 'number') {
+      this.position++;
+      return { number: token.value };
+    }
+
+    if (token.type === 'name') {
+      if (!this.variables.includes(token.value)) {
+        throw new Error(`Unknown metric "${token.value}". Use ${this.variables.join(', ')}`);
+      }
+      this.position++;
+      return { name: token.value };
+    }
+
+    if (token.value === '(') {
+      this.position++;
+      const node = this.parseSum();
+      if (!this.peek(')')) {
+        throw new Error(`Missing ")" for "(" at position ${token.index + 1}`);
+      }
+      this.position++;
+      return node;
+    }
+
+    return this.fail(token);
+  }
+
+  /**
+   * Check whether the next token is an operator
+   * @param {string} operator - Operator or parenthesis
+   * @returns {boolean} - True if the next token matches
+   */
+  peek(operator) {
+    const token = this.tokens[this.position];
+    return Boolean(token && token.type === 'operator' && token.value === operator);
+  }
+
+  /**
+   * Report an unexpected token
+   * @param {Object} token - Token found
+   */
+  fail(token) {
+    throw new Error(`Unexpected "${token.value}" at position ${token.index + 1}`);
+  }
+
+  /**
+   * Evaluate the formula
+   * @param {Object} values - Map of name to number
+   * @returns {number|null} - Result, or null when it is not a finite number (e.g. division by zero)
+   */
+  evaluate(values) {
+    const result = this.evaluateNode(this.tree, values);
+    return isFinite(result) ? result : null;
+  }
+
+  /**
+   * Evaluate a tree node
+   * @param {Object} node - Expression tree node
+   * @param {Object} values - Map of name to number
+   * @returns {number} - Result
+   */
+  evaluateNode(node, values) {
+    if (node.number !== undefined) return node.number;
+    if (node.name !== undefined) return Number(values[node.name]) || 0;
+    if (node.operator === 'negate') return -this.evaluateNode(node.operand, values);
+
+    const left = this.evaluateNode(node.left, values);
+    const right = this.evaluateNode(node.right, values);
+    switch (node.operator) {
+      case '+': return left + right;
+      case '-': return left - right;
+      case '*': return left * right;
+      default: return left / right;
+    }
+  }
+
+  /**
+   * List the names the formula uses
+   * @returns {Array} - Names, without duplicates
+   */
+  getVariables() {
+    return Array.from(new Set(this.tokens.filter(token => token.type === 'name').map(token => token.value)));
+  }
+}
+
+/**
+ * A named formula over the totals of a group of conversions, such as value per
+ * impression. Formulas are evaluated on totals, so a ratio is the ratio of the
+ * group's sums rather than an average of per-row ratios.
+ */
+class CalculatedMetric {
+  /**
+   * @param {Object} definition - Metric definition
+   * @param {string} definition.name - Display name, unique among metrics
+   * @param {string} definition.formula - Formula over the base metrics, e.g. 'monetaryValue / conversions'
+   * @param {string} definition.format - 'number' (default), 'currency' (reporting currency) or 'percent'
+   * @param {boolean} definition.showInSummary - Show a summary card
+   * @param {boolean} definition.showInTable - Add a column to the data table and data export
+   */
+  constructor(definition) {
+    this.name = String(definition.name || '').trim();
+    if (!this.name) {
+      throw new Error('Metric name is empty');
+    }
+
+    this.formula = String(definition.formula || '').trim();
+    this.format = CalculatedMetric.formats.includes(definition.format) ? definition.format : 'number';
+    this.showInSummary = Boolean(definition.showInSummary);
+    this.showInTable = Boolean(definition.showInTable);
+
+    try {
+      this.expression = new MetricExpression(this.formula, CalculatedMetric.baseMetrics);
+    } catch (error) {
+      throw new Error(`${this.name}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Totals a formula can use: conversions, impressions, clicks, and monetaryValue in the reporting currency
+   * @returns {Array} - Base metric names
+   */
+  static get baseMetrics() {
+    return ['conversions', 'impressions', 'clicks', 'monetaryValue'];
+  }
+
+  /**
+   * Ways a metric's value can be displayed
+   * @returns {Array} - Format names
+   */
+  static get formats() {
+    return ['number', 'currency', 'percent'];
+  }
+
+  /**
+   * Evaluate the metric for a group
+   * @param {Object} totals - Base metric totals of the group; missing totals count as 0
+   * @returns {number|null} - Value, or null when undefined (e.g. no impressions to divide by)
+   */
+  evaluate(totals) {
+    return this.expression.evaluate(totals);
+  }
+
+  /**
+   * Get the definition, as saved in settings
+   * @returns {Object} - Definition, see the constructor
+   */
+  getDefinition() {
+    return {
+      name: this.name,
+      formula: this.formula,
+      format: this.format,
+      showInSummary: this.showInSummary,
+      showInTable: this.showInTable
+    };
+  }
+}
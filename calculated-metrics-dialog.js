@@ -0,0 +1,154 @@
+// Calculated metrics dialog for Trader Visualization Dashboard
+
+/**
+ * Class to let users define named formulas over the base metrics, such as value
+ * per impression, and choose where each one is shown
+ */
+class CalculatedMetricsDialog {
+  /**
+   * Show the dialog
+   * @param {DataProcessor} dataProcessor - Processor holding the current calculated metrics
+   * @returns {Promise} - Promise resolving to the new metric definitions, or null if cancelled
+   */
+  show(dataProcessor) {
+    return new Promise(resolve => {
+      const modalContainer = document.createElement('div');
+      modalContainer.className = 'modal-container';
+      modalContainer.id = 'calculated-metrics-modal';
+
+      modalContainer.innerHTML = `
+        <div class="modal-content">
+          <div class="modal-header">
+            <h2>Calculated Metrics</h2>
+          </div>
+          <div class="modal-body">
+            <p class="currency-settings-help">
+              Formulas combine <code>${CalculatedMetric.baseMetrics.join('</code>, <code>')}</code>
+              with numbers, <code>+ - * /</code> and parentheses, e.g. <code>monetaryValue / impressions * 1000</code>.
+              They are evaluated on the totals of each segment, and <code>monetaryValue</code> is in the reporting currency.
+              Percent metrics should multiply by 100.
+            </p>
+            <div class="mapping-table-container">
+              <table class="table table-sm mapping-table calculated-metrics-table">
+                <thead>
+                  <tr><th>Name</th><th>Formula</th><th>Format</th><th>Summary</th><th>Table &amp; Export</th><th></th></tr>
+                </thead>
+                <tbody></tbody>
+              </table>
+            </div>
+            <button type="button" id="add-metric-btn" class="btn btn-sm btn-outline-secondary">
+              <i class="fas fa-plus"></i> Add Metric
+            </button>
+            <div id="calculated-metrics-errors" class="currency-settings-errors"></div>
+          </div>
+          <div class="modal-footer">
+            <button id="apply-metrics-btn" class="btn btn-primary">Apply</button>
+            <button id="cancel-metrics-btn" class="btn btn-secondary">Cancel</button>
+          </div>
+        </div>
+      `;
+
+      document.body.appendChild(modalContainer);
+
+      const tbody = modalContainer.querySelector('tbody');
+      const addRow = (definition) => tbody.appendChild(this.createMetricRow(definition));
+
+      dataProcessor.calculatedMetrics.forEach(metric => addRow(metric.getDefinition()));
+      if (dataProcessor.calculatedMetrics.length === 0) {
+        addRow({ name: 'Value per Impression', formula: 'monetaryValue / impressions', format: 'currency' });
+      }
+
+      const close = (value) => {
+        document.body.removeChild(modalContainer);
+        resolve(value);
+      };
+
+      modalContainer.querySelector('#add-metric-btn').addEventListener('click', () => addRow({}));
+
+      modalContainer.querySelector('#apply-metrics-btn').addEventListener('click', () => {
+        // Rows left without a name and formula are ignored
+        const definitions = Array.from(tbody.querySelectorAll('tr'))
+          .map(row => ({
+            name: row.querySelector('.metric-name-input').value.trim(),
+            formula: row.querySelector('.metric-formula-input').value.trim(),
+            format: row.querySelector('.metric-format-select').value,
+            showInSummary: row.querySelector('.metric-summary-input').checked,
+            showInTable: row.querySelector('.metric-table-input').checked
+          }))
+          .filter(definition => definition.name || definition.formula);
+
+        const errors = [];
+        definitions.forEach(definition => {
+          try {
+            new CalculatedMetric(definition);
+          } catch (error) {
+            errors.push(error.message);
+          }
+        });
+        if (errors.length === 0) {
+          try {
+            dataProcessor.compileCalculatedMetrics(definitions);
+          } catch (error) {
+            errors.push(error.message);
+          }
+        }
+
+        if (errors.length > 0) {
+          modalContainer.querySelector('#calculated-metrics-errors').innerHTML =
+            errors.map(error => `<div>${this.escapeHtml(error)}</div>`).join('');
+          return;
+        }
+
+        close(definitions);
+      });
+
+      modalContainer.querySelector('#cancel-metrics-btn').addEventListener('click', () => close(null));
+    });
+  }
+
+  /**
+   * Create the editable table row of a metric
+   * @param {Object} definition - Metric definition, see CalculatedMetric
+   * @returns {HTMLElement} - Table row
+   */
+  createMetricRow(definition) {
+    const row = document.createElement('tr');
+    const formats = { number: 'Number', currency: 'Currency', percent: 'Percent' };
+
+    row.innerHTML = `
+      <td><input type="text" class="form-control form-control-sm metric-name-input" placeholder="Name" value="${this.escapeHtml(definition.name)}"></td>
+      <td><input type="text" class="form-control form-control-sm metric-formula-input" placeholder="clicks / conversions" value="${this.escapeHtml(definition.formula)}"></td>
+      <td>
+        <select class="form-select form-select-sm metric-format-select">
+          ${CalculatedMetric.formats.map(format => `
+            <option value="${format}" ${format === (definition.format || 'number') ? 'selected' : ''}>${formats[format]}</option>
+          `).join('')}
+        </select>
+      </td>
+      <td><input type="checkbox" class="form-check-input metric-summary-input" ${definition.showInSummary ? 'checked' : ''}></td>
+      <td><input type="checkbox" class="form-check-input metric-table-input" ${definition.showInTable ? 'checked' : ''}></td>
+      <td>
+        <button type="button" class="btn btn-sm btn-outline-danger remove-metric-btn" title="Remove metric">
+          <i class="fas fa-trash"></i>
+        </button>
+      </td>
+    `;
+
+    row.querySelector('.remove-metric-btn').addEventListener('click', () => row.remove());
+    return row;
+  }
+
+  /**
+   * Escape a value for safe insertion into HTML
+   * @param {*} value - Value to escape
+   * @returns {string} - Escaped string
+   */
+  escapeHtml(value) {
+    return String(value === undefined || value === null ? '' : value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+}
@@ -102,16 +102,20 @@ class ChartVisualizer {
       'impression-icon'
     );
     
+    // Values are converted to the reporting currency; rows without an exchange rate are left out
+    const unconvertedRows = summaryData.currency ? summaryData.currency.unconvertedRows : 0;
     const totalValueCard = this.createMetricCard(
-      'Total Value', 
-      summaryData.totalValue ? `$${summaryData.totalValue.toLocaleString(undefined, {minimumFractionDigits: 2, maximumFractionDigits: 2})}` : '$0.00', 
+      unconvertedRows > 0 ? 
+        `Total Value (${unconvertedRows.toLocaleString()} rows without an exchange rate excluded)` : 
+        'Total Value', 
+      this.dataProcessor.currency.format(summaryData.totalValue), 
       'value-icon'
     );
     
     const dateRangeCard = this.createMetricCard(
       'Date Range', 
       summaryData.dateRange.start && summaryData.dateRange.end ? 
-        `${summaryData.dateRange.start.toLocaleDateString()} - ${summaryData.dateRange.end.toLocaleDateString()}` : 
+        `${this.dataProcessor.timeZone.formatDate(summaryData.dateRange.start)} - ${this.dataProcessor.timeZone.formatDate(summaryData.dateRange.end)}` : 
         'N/A', 
       'date-icon'
     );
@@ -121,6 +125,41 @@ class ChartVisualizer {
     summaryContainer.appendChild(avgImpressionsCard);
     summaryContainer.appendChild(totalValueCard);
     summaryContainer.appendChild(dateRangeCard);
+    
+    // Calculated metrics chosen for the summary, evaluated on the overall totals
+    const totals = this.dataProcessor.getSummaryTotals(summaryData);
+    this.dataProcessor.calculatedMetrics
+      .filter(metric => metric.showInSummary)
+      .forEach(metric => {
+        const card = this.createMetricCard(
+          '', 
+          this.dataProcessor.formatMetricValue(metric, metric.evaluate(totals)), 
+          'calculated-icon'
+        );
+        // Metric names are user input, so set them as text
+        card.querySelector('.metric-title').textContent = metric.name;
+        card.title = metric.formula;
+        summaryContainer.appendChild(card);
+      });
+  }
+
+  /**
+   * Get the metric performance charts plot against conversions: the conversion rate,
+   * or the calculated metric chosen for charts
+   * @returns {Object} - { label, value(record) } where record is a performance record
+   */
+  getChartMetric() {
+    const metric = this.dataProcessor.getCalculatedMetric(this.dataProcessor.chartMetric);
+    if (!metric) {
+      return { label: 'Conversion Rate (%)', value: data => data.conversionRate };
+    }
+    
+    const units = {
+      currency: ` (${this.dataProcessor.currency.reportingCurrency})`,
+      percent: ' (%)',
+      number: ''
+    };
+    return { label: `${metric.name}${units[metric.format]}`, value: data => metric.evaluate(data) };
   }
 
   /**
@@ -219,6 +258,8 @@ class ChartVisualizer {
     
     const labels = Object.keys(conversionTimeline);
     const data = Object.values(conversionTimeline);
+    // Labels are days in the reporting time zone
+    const timeZone = this.dataProcessor.timeZone;
     
     this.charts.conversionTimeline = new Chart(ctx, {
       type: 'line',
@@ -248,7 +289,7 @@ class ChartVisualizer {
           tooltip: {
             callbacks: {
               title: function(context) {
-                return new Date(context[0].label).toLocaleDateString();
+                return timeZone.formatDayKey(context[0].label);
               }
             }
           }
@@ -264,7 +305,7 @@ class ChartVisualizer {
           x: {
             title: {
               display: true,
-              text: 'Date'
+              text: `Date (${timeZone.reportingTimeZone})`
             },
             ticks: {
               maxRotation: 45,
@@ -335,7 +376,8 @@ class ChartVisualizer {
     
     const campaigns = Object.keys(campaignPerformance);
     const conversions = campaigns.map(campaign => campaignPerformance[campaign].conversions);
-    const conversionRates = campaigns.map(campaign => campaignPerformance[campaign].conversionRate);
+    const chartMetric = this.getChartMetric();
+    const metricValues = campaigns.map(campaign => chartMetric.value(campaignPerformance[campaign]));
     
     this.charts.campaignPerformance = new Chart(ctx, {
       type: 'bar',
@@ -351,8 +393,8 @@ class ChartVisualizer {
             yAxisID: 'y'
           },
           {
-            label: 'Conversion Rate (%)',
-            data: conversionRates,
+            label: chartMetric.label,
+            data: metricValues,
             backgroundColor: 'rgba(242, 142, 44, 0.7)',
             borderColor: 'rgba(242, 142, 44, 1)',
             borderWidth: 1,
@@ -386,7 +428,7 @@ class ChartVisualizer {
             beginAtZero: true,
             title: {
               display: true,
-              text: 'Conversion Rate (%)'
+              text: chartMetric.label
             },
             position: 'right',
             grid: {
@@ -501,12 +543,14 @@ class ChartVisualizer {
    * @param {Object} environmentPerformance - Ad environment performance data
    */
   createChannelAnalysisChart(devicePerformance, environmentPerformance) {
+    const chartMetric = this.getChartMetric();
+    
     // Device performance chart
     const deviceCtx = document.getElementById('device-performance-chart');
     if (deviceCtx) {
       const devices = Object.keys(devicePerformance);
       const deviceConversions = devices.map(device => devicePerformance[device].conversions);
-      const deviceConversionRates = devices.map(device => devicePerformance[device].conversionRate);
+      const deviceMetricValues = devices.map(device => chartMetric.value(devicePerformance[device]));
       
       this.charts.devicePerformance = new Chart(deviceCtx, {
         type: 'bar',
@@ -522,8 +566,8 @@ class ChartVisualizer {
               yAxisID: 'y'
             },
             {
-              label: 'Conversion Rate (%)',
-              data: deviceConversionRates,
+              label: chartMetric.label,
+              data: deviceMetricValues,
               backgroundColor: 'rgba(242, 142, 44, 0.7)',
               borderColor: 'rgba(242, 142, 44, 1)',
               borderWidth: 1,
@@ -557,7 +601,7 @@ class ChartVisualizer {
               beginAtZero: true,
               title: {
                 display: true,
-                text: 'Conversion Rate (%)'
+                text: chartMetric.label
               },
               position: 'right',
               grid: {
@@ -580,7 +624,7 @@ class ChartVisualizer {
     if (envCtx) {
       const environments = Object.keys(environmentPerformance);
       const envConversions = environments.map(env => environmentPerformance[env].conversions);
-      const envConversionRates = environments.map(env => environmentPerformance[env].conversionRate);
+      const envMetricValues = environments.map(env => chartMetric.value(environmentPerformance[env]));
       
       this.charts.environmentPerformance = new Chart(envCtx, {
         type: 'bar',
@@ -596,8 +640,8 @@ class ChartVisualizer {
               yAxisID: 'y'
             },
             {
-              label: 'Conversion Rate (%)',
-              data: envConversionRates,
+              label: chartMetric.label,
+              data: envMetricValues,
               backgroundColor: 'rgba(237, 201, 73, 0.7)',
               borderColor: 'rgba(237, 201, 73, 1)',
               borderWidth: 1,
@@ -631,7 +675,7 @@ class ChartVisualizer {
               beginAtZero: true,
               title: {
                 display: true,
-                text: 'Conversion Rate (%)'
+                text: chartMetric.label
               },
               position: 'right',
               grid: {
@@ -665,7 +709,8 @@ class ChartVisualizer {
     
     const creatives = sortedCreatives.map(([name]) => name);
     const conversions = sortedCreatives.map(([, data]) => data.conversions);
-    const conversionRates = sortedCreatives.map(([, data]) => data.conversionRate);
+    const chartMetric = this.getChartMetric();
+    const metricValues = sortedCreatives.map(([, data]) => chartMetric.value(data));
     
     this.charts.creativePerformance = new Chart(ctx, {
       type: 'bar',
@@ -681,8 +726,8 @@ class ChartVisualizer {
             yAxisID: 'y'
           },
           {
-            label: 'Conversion Rate (%)',
-            data: conversionRates,
+            label: chartMetric.label,
+            data: metricValues,
             backgroundColor: 'rgba(242, 142, 44, 0.7)',
             borderColor: 'rgba(242, 142, 44, 1)',
             borderWidth: 1,
@@ -716,7 +761,7 @@ class ChartVisualizer {
             beginAtZero: true,
             title: {
               display: true,
-              text: 'Conversion Rate (%)'
+              text: chartMetric.label
             },
             position: 'right',
             grid: {
@@ -748,7 +793,8 @@ class ChartVisualizer {
     
     const formats = Object.keys(formatPerformance);
     const conversions = formats.map(format => formatPerformance[format].conversions);
-    const conversionRates = formats.map(format => formatPerformance[format].conversionRate);
+    const chartMetric = this.getChartMetric();
+    const metricValues = formats.map(format => chartMetric.value(formatPerformance[format]));
     
     this.charts.formatPerformance = new Chart(ctx, {
       type: 'bar',
@@ -764,8 +810,8 @@ class ChartVisualizer {
             yAxisID: 'y'
           },
           {
-            label: 'Conversion Rate (%)',
-            data: conversionRates,
+            label: chartMetric.label,
+            data: metricValues,
             backgroundColor: 'rgba(175, 122, 161, 0.7)',
             borderColor: 'rgba(175, 122, 161, 1)',
             borderWidth: 1,
@@ -799,7 +845,7 @@ class ChartVisualizer {
             beginAtZero: true,
             title: {
               display: true,
-              text: 'Conversion Rate (%)'
+              text: chartMetric.label
             },
             position: 'right',
             grid: {
@@ -867,7 +913,7 @@ class ChartVisualizer {
           <strong>${country}</strong><br>
           Conversions: ${data.conversions}<br>
           Impressions: ${data.impressions}<br>
-          ${data.monetaryValue ? `Value: $${data.monetaryValue.toFixed(2)}` : ''}
+          ${data.monetaryValue ? `Value: ${this.dataProcessor.currency.format(data.monetaryValue)}` : ''}
         `);
       });
       
@@ -1053,7 +1099,7 @@ class ChartVisualizer {
               beginAtZero: true,
               title: {
                 display: true,
-                text: 'Average Value'
+                text: `Average Value (${this.dataProcessor.currency.reportingCurrency})`
               },
               position: 'right',
               grid: {
@@ -1080,6 +1126,9 @@ class ChartVisualizer {
     const tableContainer = document.getElementById('data-table-container');
     if (!tableContainer) return;
     
+    // Remember the rows so a filtered subset can be reset to them
+    this.tableData = tableData;
+    
     // Clear previous table
     tableContainer.innerHTML = '';
     
@@ -1089,6 +1138,20 @@ class ChartVisualizer {
     table.className = 'display responsive nowrap';
     tableContainer.appendChild(table);
     
+    // Calculated metrics chosen for the table, evaluated on each conversion's own values
+    const calculatedColumns = this.dataProcessor.calculatedMetrics
+      .filter(metric => metric.showInTable)
+      .map(metric => ({
+        title: this.escapeHtml(metric.name),
+        data: null,
+        defaultContent: '',
+        render: (data, type, row) => {
+          const value = metric.evaluate({ ...row, conversions: 1 });
+          // Sort and export on the raw number, show the formatted value
+          return type === 'display' ? this.dataProcessor.formatMetricValue(metric, value) : value;
+        }
+      }));
+    
     // Initialize DataTable if available
     if (typeof $.fn.DataTable !== 'undefined') {
       this.charts.dataTable = $('#data-table').DataTable({
@@ -1103,11 +1166,15 @@ class ChartVisualizer {
           { title: 'Creative', data: 'creative' },
           { title: 'Impressions', data: 'impressions' },
           { title: 'Clicks', data: 'clicks' },
-          { title: 'Value', data: 'monetaryValue' },
+          { title: `Value (${this.dataProcessor.currency.reportingCurrency})`, data: 'monetaryValue', defaultContent: '' },
+          { title: 'Original Value', data: 'originalValue', defaultContent: '' },
+          { title: 'Currency', data: 'currency', defaultContent: '' },
           { title: 'Country', data: 'country' },
           { title: 'Region', data: 'region' },
-          { title: 'Metro', data: 'metro' }
-        ],
+          { title: 'Metro', data: 'metro' },
+          { title: this.getTimeToConvertTitle(), data: 'timeToConvert', defaultContent: '' },
+          { title: 'Source File', data: 'sourceFile', defaultContent: '' }
+        ].concat(calculatedColumns),
         responsive: true,
         dom: 'Bfrtip',
         buttons: [
@@ -1122,6 +1189,222 @@ class ChartVisualizer {
     }
   }
 
+  /**
+   * Title the table's time to convert column with how it is measured
+   * @returns {string} - Column title
+   */
+  getTimeToConvertTitle() {
+    if (typeof this.dataProcessor.getTimeToConvertDefinition !== 'function') return 'Days to Convert';
+    return `Days to Convert (${this.dataProcessor.getTimeToConvertDefinition().label})`;
+  }
+
+  /**
+   * Add a select to a chart's header, once, letting the chart switch what it plots
+   * @param {string} chartId - Chart ID, as in the header's data-chart-id
+   * @param {Object} choices - Map of value to label
+   * @param {string} value - Selected value
+   * @param {Function} onChange - Called with the chosen value
+   * @param {string} name - Names the select when a header holds several (default 'default')
+   */
+  addHeaderSelect(chartId, choices, value, onChange, name = 'default') {
+    const header = document.querySelector(`.chart-header[data-chart-id="${chartId}"]`);
+    if (!header || header.querySelector(`.chart-header-select[data-select="${name}"]`)) return;
+    
+    const select = document.createElement('select');
+    select.className = 'form-select form-select-sm chart-header-select';
+    select.dataset.select = name;
+    Object.entries(choices).forEach(([choice, label]) => {
+      const option = document.createElement('option');
+      option.value = choice;
+      option.textContent = label;
+      select.appendChild(option);
+    });
+    select.value = value;
+    select.addEventListener('change', () => onChange(select.value));
+    
+    header.appendChild(select);
+  }
+
+  /**
+   * Draw a D3 Sankey diagram, leaving out links that would close a cycle, which D3 Sankey cannot lay out
+   * @param {HTMLElement} container - Element to draw in, emptied first
+   * @param {Array} nodes - Nodes as { name }
+   * @param {Array} flows - Links as { source, target, value } between node names; other fields are kept for describeLink
+   * @param {Object} options - Drawing options
+   * @param {Array} options.colors - Colors for links and nodes
+   * @param {Function} options.describeLink - Tooltip of a link, given the laid out link and its flow
+   * @param {Function} options.describeNode - Tooltip of a node, given the laid out node
+   * @returns {Object|null} - The D3 selection of the SVG, or null when nothing could be drawn
+   */
+  createSankey(container, nodes, flows, options = {}) {
+    if (!window.d3) {
+      // If D3 is not available, show a message
+      container.innerHTML = '<div class="chart-placeholder">Sankey diagram requires D3.js library</div>';
+      return null;
+    }
+    
+    const colors = options.colors || this.colorPalette;
+    const describeLink = options.describeLink || (d => `${d.source.name} → ${d.target.name}\n${d.value} conversions`);
+    const describeNode = options.describeNode || (d => `${d.name}\n${d.value} conversions`);
+    
+    // Clear previous content
+    container.innerHTML = '';
+    
+    // Create SVG element
+    const width = container.clientWidth;
+    const height = 400;
+    
+    const svg = d3.select(container)
+      .append('svg')
+      .attr('width', width)
+      .attr('height', height);
+    
+    // Create Sankey generator
+    const sankey = d3.sankey()
+      .nodeWidth(15)
+      .nodePadding(10)
+      .extent([[1, 1], [width - 1, height - 5]]);
+    
+    // Format data for D3 Sankey
+    const nodeMap = {};
+    nodes.forEach((node, i) => {
+      nodeMap[node.name] = i;
+    });
+    
+    // Remove circular links which D3 Sankey cannot process
+    const adjacency = {};
+    const filteredFlows = [];
+
+    const createsCycle = (src, tgt, visited = new Set()) => {
+      if (src === tgt) return true;
+      if (!adjacency[src]) return false;
+      if (visited.has(src)) return false;
+      visited.add(src);
+      return adjacency[src].some(next => createsCycle(next, tgt, visited));
+    };
+
+    flows.forEach(flow => {
+      const { source, target } = flow;
+      if (!createsCycle(target, source)) {
+        filteredFlows.push(flow);
+        (adjacency[source] = adjacency[source] || []).push(target);
+      }
+    });
+
+    const sankeyData = {
+      nodes: nodes.map(node => ({ ...node })),
+      links: filteredFlows.map(flow => ({
+        source: nodeMap[flow.source],
+        target: nodeMap[flow.target],
+        value: flow.value,
+        flow
+      }))
+    };
+
+    // Generate Sankey layout
+    let sankeyNodes, sankeyLinks;
+    try {
+      ({ nodes: sankeyNodes, links: sankeyLinks } = sankey(sankeyData));
+    } catch (err) {
+      console.error('Sankey generation error:', err);
+      container.innerHTML = '<div class="chart-placeholder">Unable to render Sankey diagram</div>';
+      return null;
+    }
+    
+    // Draw links
+    svg.append('g')
+      .selectAll('path')
+      .data(sankeyLinks)
+      .enter()
+      .append('path')
+      .attr('d', d3.sankeyLinkHorizontal())
+      .attr('stroke-width', d => Math.max(1, d.width))
+      .attr('stroke', (d, i) => colors[i % colors.length])
+      .attr('stroke-opacity', 0.5)
+      .attr('fill', 'none')
+      .append('title')
+      .text(d => describeLink(d, d.flow));
+    
+    // Draw nodes
+    svg.append('g')
+      .selectAll('rect')
+      .data(sankeyNodes)
+      .enter()
+      .append('rect')
+      .attr('x', d => d.x0)
+      .attr('y', d => d.y0)
+      .attr('height', d => d.y1 - d.y0)
+      .attr('width', d => d.x1 - d.x0)
+      .attr('fill', (d, i) => colors[i % colors.length])
+      .attr('stroke', '#000')
+      .append('title')
+      .text(describeNode);
+    
+    // Add node labels
+    svg.append('g')
+      .selectAll('text')
+      .data(sankeyNodes)
+      .enter()
+      .append('text')
+      .attr('x', d => d.x0 < width / 2 ? d.x1 + 6 : d.x0 - 6)
+      .attr('y', d => (d.y1 + d.y0) / 2)
+      .attr('dy', '0.35em')
+      .attr('text-anchor', d => d.x0 < width / 2 ? 'start' : 'end')
+      .text(d => d.label || d.name)
+      .attr('font-size', '10px')
+      .attr('font-family', 'sans-serif');
+    
+    return svg;
+  }
+
+  /**
+   * Show only some rows in the data table, with a banner to show every row again
+   * @param {Array} rows - Table rows to show
+   * @param {string} description - What the shown rows have in common
+   */
+  showTableSubset(rows, description) {
+    const allRows = this.tableData || [];
+    const destroyTable = () => {
+      if (this.charts.dataTable && typeof this.charts.dataTable.destroy === 'function') {
+        this.charts.dataTable.destroy();
+      }
+    };
+    
+    destroyTable();
+    this.createDataTable(rows);
+    this.tableData = allRows;
+    
+    const tableContainer = document.getElementById('data-table-container');
+    if (!tableContainer) return;
+    
+    const banner = document.createElement('div');
+    banner.className = 'table-subset-banner';
+    banner.innerHTML = `
+      <span></span>
+      <button type="button" class="btn btn-sm btn-outline-secondary">Show All Rows</button>
+    `;
+    banner.querySelector('span').textContent = `Showing ${rows.length.toLocaleString()} rows with ${description}`;
+    banner.querySelector('button').addEventListener('click', () => {
+      destroyTable();
+      this.createDataTable(allRows);
+    });
+    tableContainer.insertBefore(banner, tableContainer.firstChild);
+  }
+
+  /**
+   * Escape a value for safe insertion into HTML
+   * @param {*} value - Value to escape
+   * @returns {string} - Escaped string
+   */
+  escapeHtml(value) {
+    return String(value === undefined || value === null ? '' : value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
   /**
    * Adjust color brightness
    * @param {string} color - Hex color code
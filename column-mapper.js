@@ -0,0 +1,270 @@
+// Column mapping for Trader Visualization Dashboard
+
+/**
+ * Maps the headers of an export onto the column names the processors read.
+ * Safe to load in the parse worker; storage helpers only run where localStorage exists.
+ */
+class ColumnMapper {
+  constructor() {
+    this.storagePrefix = 'traderDashboard.columnMapping.';
+    this.suggestionThreshold = 0.6;
+
+    // Every column read by the processors; required ones drive the core charts
+    this.expectedColumns = [
+      { name: 'Conversion ID', required: true },
+      { name: 'Conversion Time', required: true },
+      { name: 'Tracking Tag Name', required: true },
+      { name: 'Conversion Device Type', required: false },
+      { name: 'Impression Count', required: true },
+      { name: 'Display Click Count', required: false },
+      { name: 'Monetary Value', required: false },
+      { name: 'First Impression Time', required: false },
+      { name: 'Last Impression Time', required: false },
+      { name: 'First Impression Device Type', required: false },
+      { name: 'Last Impression Device Type', required: false },
+      { name: 'First Impression Campaign Name', required: false },
+      { name: 'Last Impression Campaign Name', required: true },
+      { name: 'First Impression Ad Group Name', required: false },
+      { name: 'Last Impression Ad Group Name', required: false },
+      { name: 'First Impression Creative Name', required: false },
+      { name: 'Last Impression Creative Name', required: false },
+      { name: 'Last Impression Ad Format', required: false },
+      { name: 'Last Impression Ad Environment', required: false },
+      { name: 'Last Impression Country', required: false },
+      { name: 'Last Impression Region', required: false },
+      { name: 'Last Impression Metro Name', required: false },
+      { name: 'Last Impression Site', required: false },
+      { name: 'Cross Device Attribution Model', required: false }
+    ];
+
+    // Common abbreviations normalized before comparing header names
+    this.tokenAliases = {
+      imp: 'impression',
+      imps: 'impression',
+      impressions: 'impression',
+      conv: 'conversion',
+      conversions: 'conversion',
+      campaigns: 'campaign',
+      creatives: 'creative',
+      adgroup: 'ad group',
+      cnt: 'count',
+      ts: 'time',
+      timestamp: 'time',
+      datetime: 'time',
+      geo: 'country',
+      dma: 'metro'
+    };
+  }
+
+  /**
+   * Find expected columns that are not present in the headers
+   * @param {Array} fields - Headers found in the file
+   * @returns {Array} - Missing expected column definitions
+   */
+  findMissingColumns(fields) {
+    const present = new Set(fields);
+    return this.expectedColumns.filter(column => !present.has(column.name));
+  }
+
+  /**
+   * Find headers that do not match any expected column
+   * @param {Array} fields - Headers found in the file
+   * @returns {Array} - Unrecognized headers
+   */
+  findUnrecognizedFields(fields) {
+    const expected = new Set(this.expectedColumns.map(column => column.name));
+    return fields.filter(field => field && !expected.has(field));
+  }
+
+  /**
+   * Rank candidate headers for every missing column
+   * @param {Array} fields - Headers found in the file
+   * @returns {Object} - Map of missing column name to candidates sorted by score
+   */
+  suggestMappings(fields) {
+    const candidates = this.findUnrecognizedFields(fields);
+    const suggestions = {};
+
+    this.findMissingColumns(fields).forEach(column => {
+      suggestions[column.name] = candidates
+        .map(field => ({ field, score: this.scoreSimilarity(column.name, field) }))
+        .sort((a, b) => b.score - a.score);
+    });
+
+    return suggestions;
+  }
+
+  /**
+   * Pick the best unique candidate for each missing column
+   * @param {Array} fields - Headers found in the file
+   * @returns {Object} - Map of expected column to suggested header
+   */
+  getSuggestedMapping(fields) {
+    const suggestions = this.suggestMappings(fields);
+    const pairs = [];
+
+    Object.entries(suggestions).forEach(([column, candidates]) => {
+      candidates.forEach(candidate => {
+        if (candidate.score >= this.suggestionThreshold) {
+          pairs.push({ column, field: candidate.field, score: candidate.score });
+        }
+      });
+    });
+
+    // Greedily assign the strongest pairs so one header is not suggested twice
+    const mapping = {};
+    const usedFields = new Set();
+    pairs.sort((a, b) => b.score - a.score).forEach(pair => {
+      if (!mapping[pair.column] && !usedFields.has(pair.field)) {
+        mapping[pair.column] = pair.field;
+        usedFields.add(pair.field);
+      }
+    });
+
+    return mapping;
+  }
+
+  /**
+   * Decide whether the user should be asked to map columns
+   * @param {Array} fields - Headers found in the file
+   * @returns {boolean} - True if a required column is missing or a likely match exists
+   */
+  needsMapping(fields) {
+    if (this.findUnrecognizedFields(fields).length === 0) return false;
+
+    const missingRequired = this.findMissingColumns(fields).some(column => column.required);
+    return missingRequired || Object.keys(this.getSuggestedMapping(fields)).length > 0;
+  }
+
+  /**
+   * Score how similar two header names are
+   * @param {string} expected - Expected column name
+   * @param {string} field - Header found in the file
+   * @returns {number} - Similarity between 0 and 1
+   */
+  scoreSimilarity(expected, field) {
+    const expectedTokens = this.tokenize(expected);
+    const fieldTokens = this.tokenize(field);
+    if (expectedTokens.length === 0 || fieldTokens.length === 0) return 0;
+
+    // Dice coefficient over normalized tokens
+    const fieldSet = new Set(fieldTokens);
+    const shared = expectedTokens.filter(token => fieldSet.has(token)).length;
+    const tokenScore = (2 * shared) / (expectedTokens.length + fieldTokens.length);
+
+    // Edit distance over the compacted names catches typos and joined words
+    const a = expectedTokens.join('');
+    const b = fieldTokens.join('');
+    const editScore = 1 - this.levenshtein(a, b) / Math.max(a.length, b.length);
+
+    return parseFloat(Math.max(tokenScore, editScore).toFixed(3));
+  }
+
+  /**
+   * Split a header into normalized tokens
+   * @param {string} name - Header name
+   * @returns {Array} - Normalized tokens
+   */
+  tokenize(name) {
+    return String(name)
+      .replace(/([a-z])([A-Z])/g, '$1 $2')
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter(Boolean)
+      .map(token => this.tokenAliases[token] || token)
+      .join(' ')
+      .split(' ');
+  }
+
+  /**
+   * Compute the Levenshtein edit distance between two strings
+   * @param {string} a - First string
+   * @param {string} b - Second string
+   * @returns {number} - Edit distance
+   */
+  levenshtein(a, b) {
+    if (a === b) return 0;
+    if (!a.length) return b.length;
+    if (!b.length) return a.length;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        current[j] = Math.min(current[j - 1] + 1, previous[j] + 1, previous[j - 1] + cost);
+      }
+      previous = current;
+    }
+
+    return previous[b.length];
+  }
+
+  /**
+   * Rename mapped headers on a row in place
+   * @param {Object} row - Parsed row
+   * @param {Object} mapping - Map of expected column to source header
+   * @returns {Object} - The same row with expected column names
+   */
+  applyMapping(row, mapping) {
+    const entries = Object.entries(mapping);
+    entries.forEach(([column, field]) => {
+      row[column] = row[field];
+    });
+    entries.forEach(([column, field]) => {
+      if (!mapping[field] && field !== column) {
+        delete row[field];
+      }
+    });
+    return row;
+  }
+
+  /**
+   * Build a stable key for a set of headers
+   * @param {Array} fields - Headers found in the file
+   * @returns {string} - Header signature
+   */
+  getSignature(fields) {
+    const text = [...fields].sort().join('\u0001');
+
+    // djb2 string hash keeps storage keys short
+    let hash = 5381;
+    for (let i = 0; i < text.length; i++) {
+      hash = ((hash << 5) + hash + text.charCodeAt(i)) >>> 0;
+    }
+
+    return `${fields.length}-${hash.toString(16)}`;
+  }
+
+  /**
+   * Load a mapping saved for a header signature
+   * @param {Array} fields - Headers found in the file
+   * @returns {Object|null} - Saved mapping, if any
+   */
+  loadSavedMapping(fields) {
+    if (typeof localStorage === 'undefined') return null;
+
+    try {
+      const saved = localStorage.getItem(this.storagePrefix + this.getSignature(fields));
+      return saved ? JSON.parse(saved) : null;
+    } catch (error) {
+      console.warn('Unable to read saved column mapping:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Save a mapping for a header signature so matching files map automatically
+   * @param {Array} fields - Headers found in the file
+   * @param {Object} mapping - Map of expected column to source header
+   */
+  saveMapping(fields, mapping) {
+    if (typeof localStorage === 'undefined') return;
+
+    try {
+      localStorage.setItem(this.storagePrefix + this.getSignature(fields), JSON.stringify(mapping));
+    } catch (error) {
+      console.warn('Unable to save column mapping:', error);
+    }
+  }
+}
@@ -0,0 +1,158 @@
+// Column mapping wizard for Trader Visualization Dashboard
+
+/**
+ * Class to let users map renamed or localized export headers onto the expected columns
+ */
+class ColumnMappingWizard {
+  constructor() {
+    this.columnMapper = new ColumnMapper();
+  }
+
+  /**
+   * Resolve the column mapping for a parsed file, asking the user when needed
+   * @param {Array} fields - Headers found in the file
+   * @param {string} fileName - Name of the file being imported
+   * @returns {Promise} - Promise resolving to a mapping object (possibly empty)
+   */
+  resolveMapping(fields, fileName) {
+    // Reuse the mapping saved for this export shape
+    const savedMapping = this.columnMapper.loadSavedMapping(fields);
+    if (savedMapping) {
+      return Promise.resolve(this.filterValidMapping(savedMapping, fields));
+    }
+
+    if (!this.columnMapper.needsMapping(fields)) {
+      return Promise.resolve({});
+    }
+
+    return this.showMappingModal(fields, fileName);
+  }
+
+  /**
+   * Drop saved pairs whose source header no longer exists
+   * @param {Object} mapping - Saved mapping
+   * @param {Array} fields - Headers found in the file
+   * @returns {Object} - Usable mapping
+   */
+  filterValidMapping(mapping, fields) {
+    const present = new Set(fields);
+    return Object.entries(mapping).reduce((valid, [column, field]) => {
+      if (present.has(field)) {
+        valid[column] = field;
+      }
+      return valid;
+    }, {});
+  }
+
+  /**
+   * Show the mapping modal
+   * @param {Array} fields - Headers found in the file
+   * @param {string} fileName - Name of the file being imported
+   * @returns {Promise} - Promise resolving to the chosen mapping
+   */
+  showMappingModal(fields, fileName) {
+    return new Promise(resolve => {
+      const missing = this.columnMapper.findMissingColumns(fields)
+        .sort((a, b) => Number(b.required) - Number(a.required));
+      const candidates = this.columnMapper.findUnrecognizedFields(fields);
+      const suggested = this.columnMapper.getSuggestedMapping(fields);
+      const suggestions = this.columnMapper.suggestMappings(fields);
+
+      const rows = missing.map((column, index) => {
+        const ranked = suggestions[column.name] || [];
+        const options = ranked.map(candidate => `
+          <option value="${this.escapeHtml(candidate.field)}" ${suggested[column.name] === candidate.field ? 'selected' : ''}>
+            ${this.escapeHtml(candidate.field)}${candidate.score >= this.columnMapper.suggestionThreshold ? ` (${Math.round(candidate.score * 100)}% match)` : ''}
+          </option>
+        `).join('');
+
+        return `
+          <tr>
+            <td>
+              ${this.escapeHtml(column.name)}
+              ${column.required ? '<span class="badge bg-warning text-dark">Required</span>' : ''}
+            </td>
+            <td>
+              <select class="filter-select mapping-select" data-column-index="${index}">
+                <option value="">— Not in this file —</option>
+                ${options}
+              </select>
+            </td>
+          </tr>
+        `;
+      }).join('');
+
+      const modalContainer = document.createElement('div');
+      modalContainer.className = 'modal-container';
+      modalContainer.id = 'column-mapping-modal';
+
+      modalContainer.innerHTML = `
+        <div class="modal-content">
+          <div class="modal-header">
+            <h2>Map Columns</h2>
+          </div>
+          <div class="modal-body">
+            <p>
+              <strong>${this.escapeHtml(fileName || 'This file')}</strong> is missing columns the dashboard expects.
+              Choose which of its ${candidates.length} other column${candidates.length === 1 ? '' : 's'} hold${candidates.length === 1 ? 's' : ''} that data.
+            </p>
+            <div class="mapping-table-container">
+              <table class="table table-sm mapping-table">
+                <thead>
+                  <tr><th>Expected Column</th><th>Column in File</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+              </table>
+            </div>
+            <div class="export-option">
+              <input type="checkbox" id="remember-column-mapping" checked>
+              <label for="remember-column-mapping">Remember this mapping for files with the same columns</label>
+            </div>
+          </div>
+          <div class="modal-footer">
+            <button id="apply-mapping-btn" class="btn btn-primary">Apply Mapping</button>
+            <button id="skip-mapping-btn" class="btn btn-secondary">Skip</button>
+          </div>
+        </div>
+      `;
+
+      document.body.appendChild(modalContainer);
+
+      const close = (mapping) => {
+        const remember = modalContainer.querySelector('#remember-column-mapping').checked;
+        if (remember) {
+          this.columnMapper.saveMapping(fields, mapping);
+        }
+        document.body.removeChild(modalContainer);
+        resolve(mapping);
+      };
+
+      modalContainer.querySelector('#apply-mapping-btn').addEventListener('click', () => {
+        const mapping = {};
+        modalContainer.querySelectorAll('.mapping-select').forEach(select => {
+          const column = missing[parseInt(select.dataset.columnIndex, 10)];
+          if (select.value) {
+            mapping[column.name] = select.value;
+          }
+        });
+        close(mapping);
+      });
+
+      modalContainer.querySelector('#skip-mapping-btn').addEventListener('click', () => close({}));
+    });
+  }
+
+  /**
+   * Escape a value for safe insertion into HTML
+   * @param {*} value - Value to escape
+   * @returns {string} - Escaped string
+   */
+  escapeHtml(value) {
+    return String(value === undefined || value === null ? '' : value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+}
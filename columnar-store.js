@@ -0,0 +1,310 @@
+// Columnar storage for Trader Visualization Dashboard
+
+/**
+ * Fixed-size set of row indexes stored as 32-bit words
+ */
+class Bitmap {
+  /**
+   * @param {number} size - Number of rows the bitmap covers
+   * @param {Uint32Array} words - Optional words to wrap
+   */
+  constructor(size, words) {
+    this.size = size;
+    this.words = words || new Uint32Array((size + 31) >>> 5);
+  }
+
+  /**
+   * Create a bitmap with every row set
+   * @param {number} size - Number of rows
+   * @returns {Bitmap} - Full bitmap
+   */
+  static full(size) {
+    const bitmap = new Bitmap(size);
+    bitmap.words.fill(0xffffffff);
+
+    // Clear the bits past the last row so counts stay exact
+    const remainder = size & 31;
+    if (remainder > 0) {
+      bitmap.words[bitmap.words.length - 1] = (2 ** remainder) - 1;
+    }
+    return bitmap;
+  }
+
+  /**
+   * Add a row
+   * @param {number} index - Row index
+   */
+  add(index) {
+    this.words[index >>> 5] |= 1 << (index & 31);
+  }
+
+  /**
+   * Check whether a row is set
+   * @param {number} index - Row index
+   * @returns {boolean} - True if set
+   */
+  has(index) {
+    return (this.words[index >>> 5] & (1 << (index & 31))) !== 0;
+  }
+
+  /**
+   * Intersect with another bitmap
+   * @param {Bitmap} other - Bitmap of the same size
+   * @returns {Bitmap} - New bitmap of rows set in both
+   */
+  and(other) {
+    const words = new Uint32Array(this.words.length);
+    for (let i = 0; i < words.length; i++) {
+      words[i] = this.words[i] & other.words[i];
+    }
+    return new Bitmap(this.size, words);
+  }
+
+  /**
+   * Union with another bitmap
+   * @param {Bitmap} other - Bitmap of the same size
+   * @returns {Bitmap} - New bitmap of rows set in either
+   */
+  or(other) {
+    const words = new Uint32Array(this.words.length);
+    for (let i = 0; i < words.length; i++) {
+      words[i] = this.words[i] | other.words[i];
+    }
+    return new Bitmap(this.size, words);
+  }
+
+  /**
+   * Count the rows set
+   * @returns {number} - Row count
+   */
+  count() {
+    let count = 0;
+    for (let i = 0; i < this.words.length; i++) {
+      let word = this.words[i];
+      // Count bits in parallel within the word
+      word -= (word >>> 1) & 0x55555555;
+      word = (word & 0x33333333) + ((word >>> 2) & 0x33333333);
+      count += (((word + (word >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+    }
+    return count;
+  }
+
+  /**
+   * Call a function for every row set, in row order
+   * @param {Function} callback - Called with each row index
+   */
+  forEach(callback) {
+    for (let i = 0; i < this.words.length; i++) {
+      let word = this.words[i];
+      while (word !== 0) {
+        // Take the lowest set bit, then clear it
+        const bit = word & -word;
+        callback((i << 5) + 31 - Math.clz32(bit));
+        word ^= bit;
+      }
+    }
+  }
+
+  /**
+   * List the rows set
+   * @returns {Array} - Row indexes in order
+   */
+  toArray() {
+    const indexes = [];
+    this.forEach(index => indexes.push(index));
+    return indexes;
+  }
+}
+
+/**
+ * Column-oriented copy of the loaded rows. Dimensions are dictionary-encoded,
+ * indexed dimensions keep a bitmap per value so filters become bitmap
+ * intersections, and measures are held in typed arrays. Aggregations read
+ * these columns for the selected row indexes instead of the row objects.
+ */
+class ColumnarStore {
+  /**
+   * @param {Array} rows - Data rows
+   * @param {Object} schema - Columns to build
+   * @param {Object} schema.measures - Map of measure name to function (row, index, store) returning a number
+   *   (NaN when missing). Measures are built in order and before dimensions, so later columns can read them.
+   * @param {Array} schema.dimensions - Dimensions as { name, value, indexed }: value(row, index, store) returns
+   *   the raw value (defaults to row[name]); indexed dimensions get per-value bitmaps for filtering
+   * @param {number} schema.precomputeLimit - Indexed dimensions with at most this many values get every bitmap
+   *   up front; larger ones build bitmaps on first use (default 64)
+   */
+  constructor(rows, schema) {
+    this.rows = rows;
+    this.rowCount = rows.length;
+    this.precomputeLimit = schema.precomputeLimit || 64;
+    this.dimensions = {};
+    this.measures = {};
+
+    Object.entries(schema.measures || {}).forEach(([name, read]) => {
+      const values = new Float64Array(this.rowCount);
+      for (let i = 0; i < this.rowCount; i++) {
+        values[i] = read(rows[i], i, this);
+      }
+      this.measures[name] = values;
+    });
+
+    (schema.dimensions || []).forEach(dimension => {
+      this.dimensions[dimension.name] = this.encodeDimension(dimension);
+    });
+  }
+
+  /**
+   * Dictionary-encode a dimension
+   * @param {Object} dimension - Dimension definition, see the constructor
+   * @returns {Object} - { name, values, codes, indexed, bitmaps }
+   */
+  encodeDimension(dimension) {
+    const read = dimension.value || (row => row[dimension.name]);
+    const codesByValue = new Map();
+    const values = [];
+    const codes = new Uint32Array(this.rowCount);
+
+    for (let i = 0; i < this.rowCount; i++) {
+      const value = read(this.rows[i], i, this);
+      let code = codesByValue.get(value);
+      if (code === undefined) {
+        code = values.length;
+        codesByValue.set(value, code);
+        values.push(value);
+      }
+      codes[i] = code;
+    }
+
+    const encoded = {
+      name: dimension.name,
+      values,
+      codesByValue,
+      codes,
+      indexed: Boolean(dimension.indexed),
+      bitmaps: new Map()
+    };
+
+    if (encoded.indexed && values.length <= this.precomputeLimit) {
+      const bitmaps = values.map(() => new Bitmap(this.rowCount));
+      for (let i = 0; i < this.rowCount; i++) {
+        bitmaps[codes[i]].add(i);
+      }
+      bitmaps.forEach((bitmap, code) => encoded.bitmaps.set(code, bitmap));
+    }
+
+    return encoded;
+  }
+
+  /**
+   * Get an encoded dimension
+   * @param {string} name - Dimension name
+   * @returns {Object} - Encoded dimension, see encodeDimension
+   */
+  getDimension(name) {
+    const dimension = this.dimensions[name];
+    if (!dimension) {
+      throw new Error(`Unknown dimension "${name}"`);
+    }
+    return dimension;
+  }
+
+  /**
+   * Get a measure column
+   * @param {string} name - Measure name
+   * @returns {Float64Array} - Values by row index
+   */
+  getMeasure(name) {
+    const measure = this.measures[name];
+    if (!measure) {
+      throw new Error(`Unknown measure "${name}"`);
+    }
+    return measure;
+  }
+
+  /**
+   * Get the rows holding a value of a dimension
+   * @param {string} name - Dimension name
+   * @param {*} value - Raw value
+   * @returns {Bitmap} - Matching rows
+   */
+  getValueBitmap(name, value) {
+    const dimension = this.getDimension(name);
+    const code = dimension.codesByValue.get(value);
+    if (code === undefined) return new Bitmap(this.rowCount);
+
+    let bitmap = dimension.bitmaps.get(code);
+    if (!bitmap) {
+      bitmap = new Bitmap(this.rowCount);
+      for (let i = 0; i < this.rowCount; i++) {
+        if (dimension.codes[i] === code) bitmap.add(i);
+      }
+      // Only indexed dimensions keep their bitmaps; others are scanned for one-off filters
+      if (dimension.indexed) {
+        dimension.bitmaps.set(code, bitmap);
+      }
+    }
+    return bitmap;
+  }
+
+  /**
+   * Select rows matching every condition
+   * @param {Array} conditions - Conditions as { dimensions, values } (a row matches if any of the dimensions
+   *   holds any of the values) or { measure, min, max } (a row matches if min <= value <= max; NaN never matches)
+   * @returns {Bitmap} - Selected rows
+   */
+  select(conditions) {
+    let selection = Bitmap.full(this.rowCount);
+
+    conditions.forEach(condition => {
+      selection = selection.and(condition.measure ?
+        this.selectRange(condition.measure, condition.min, condition.max) :
+        this.selectValues(condition.dimensions, condition.values));
+    });
+
+    return selection;
+  }
+
+  /**
+   * Select rows where any of several dimensions holds any of several values
+   * @param {Array} dimensions - Dimension names
+   * @param {Array} values - Raw values
+   * @returns {Bitmap} - Matching rows
+   */
+  selectValues(dimensions, values) {
+    let matches = new Bitmap(this.rowCount);
+    dimensions.forEach(name => {
+      values.forEach(value => {
+        matches = matches.or(this.getValueBitmap(name, value));
+      });
+    });
+    return matches;
+  }
+
+  /**
+   * Select rows whose measure lies within a range
+   * @param {string} name - Measure name
+   * @param {number|null} min - Lowest value included, or null for no lower bound
+   * @param {number|null} max - Highest value included, or null for no upper bound
+   * @returns {Bitmap} - Matching rows
+   */
+  selectRange(name, min, max) {
+    const values = this.getMeasure(name);
+    const low = min === null || min === undefined ? -Infinity : min;
+    const high = max === null || max === undefined ? Infinity : max;
+    const matches = new Bitmap(this.rowCount);
+
+    for (let i = 0; i < this.rowCount; i++) {
+      // Comparisons with NaN are false, so rows without a value never match
+      if (values[i] >= low && values[i] <= high) matches.add(i);
+    }
+    return matches;
+  }
+
+  /**
+   * Get a selection of every row
+   * @returns {Bitmap} - Full selection
+   */
+  selectAll() {
+    return Bitmap.full(this.rowCount);
+  }
+}
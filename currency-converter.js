@@ -0,0 +1,253 @@
+// Currency handling for Trader Visualization Dashboard
+
+/**
+ * Works out the currency of each row's monetary value (from a currency column,
+ * a per-tracking-tag mapping, or a default) and converts it into the reporting
+ * currency with a user-supplied exchange rate table. Safe to load in the parse worker.
+ */
+class CurrencyConverter {
+  /**
+   * @param {Object} settings - Currency settings
+   * @param {string} settings.reportingCurrency - ISO 4217 code values are reported in, e.g. 'EUR' (default 'USD')
+   * @param {string} settings.defaultCurrency - Currency of rows without a currency column value or tag mapping (default: the reporting currency)
+   * @param {string} settings.currencyColumn - Column holding each row's currency code (default 'Currency')
+   * @param {Object} settings.tagCurrencies - Map of Tracking Tag Name to currency code
+   * @param {string} settings.rateBase - Currency the exchange rates are quoted in (default 'USD')
+   * @param {Array} settings.rates - Exchange rates as { currency, rate, date }: 1 unit of currency is worth
+   *   rate units of the rate base. date ('YYYY-MM-DD') is optional; dated rates apply from that day on.
+   */
+  constructor(settings = {}) {
+    this.reportingCurrency = this.normalizeCode(settings.reportingCurrency) || 'USD';
+    this.defaultCurrency = this.normalizeCode(settings.defaultCurrency) || this.reportingCurrency;
+    this.currencyColumn = settings.currencyColumn || 'Currency';
+    this.rateBase = this.normalizeCode(settings.rateBase) || 'USD';
+
+    this.tagCurrencies = {};
+    Object.entries(settings.tagCurrencies || {}).forEach(([tag, code]) => {
+      const currency = this.normalizeCode(code);
+      if (currency) {
+        this.tagCurrencies[tag] = currency;
+      }
+    });
+
+    this.rates = (settings.rates || []).filter(entry => this.normalizeCode(entry.currency) && entry.rate > 0);
+    this.rateTable = this.buildRateTable(this.rates);
+    this.formatter = null;
+  }
+
+  /**
+   * Get the current settings
+   * @returns {Object} - Settings accepted by the constructor
+   */
+  getSettings() {
+    return {
+      reportingCurrency: this.reportingCurrency,
+      defaultCurrency: this.defaultCurrency,
+      currencyColumn: this.currencyColumn,
+      tagCurrencies: { ...this.tagCurrencies },
+      rateBase: this.rateBase,
+      rates: this.rates.map(entry => ({ ...entry }))
+    };
+  }
+
+  /**
+   * Get the currency of a row's monetary value
+   * @param {Object} row - Data row
+   * @returns {string} - ISO 4217 code
+   */
+  getCurrency(row) {
+    const fromColumn = this.normalizeCode(row[this.currencyColumn]);
+    if (fromColumn) return fromColumn;
+
+    return this.tagCurrencies[row['Tracking Tag Name']] || this.defaultCurrency;
+  }
+
+  /**
+   * Convert a row's monetary value into the reporting currency
+   * @param {Object} row - Data row
+   * @param {TimezoneConverter} timeZone - Converter used to find the conversion day for dated rates
+   * @returns {number|null} - Converted value, or null if the row has no value or no exchange rate applies
+   */
+  convertRow(row, timeZone) {
+    const value = row['Monetary Value'];
+    if (typeof value !== 'number' || !isFinite(value)) return null;
+
+    const currency = this.getCurrency(row);
+    if (currency === this.reportingCurrency) return value;
+
+    // Only parse the conversion time when a dated rate could apply
+    let dayKey = null;
+    if (this.hasDatedRates(currency) || this.hasDatedRates(this.reportingCurrency)) {
+      const date = timeZone.parse(row['Conversion Time']);
+      dayKey = date ? timeZone.getDayKey(date) : null;
+    }
+
+    return this.convert(value, currency, dayKey);
+  }
+
+  /**
+   * Convert a value between currencies through the rate base
+   * @param {number} value - Value in the given currency
+   * @param {string} currency - ISO 4217 code of the value
+   * @param {string|null} dayKey - Day of the conversion as 'YYYY-MM-DD', used to pick dated rates
+   * @returns {number|null} - Value in the reporting currency, or null if a rate is missing
+   */
+  convert(value, currency, dayKey) {
+    if (currency === this.reportingCurrency) return value;
+
+    const fromRate = this.getRate(currency, dayKey);
+    const toRate = this.getRate(this.reportingCurrency, dayKey);
+    if (fromRate === null || toRate === null) return null;
+
+    return value * fromRate / toRate;
+  }
+
+  /**
+   * Get the value of one unit of a currency in the rate base on a day.
+   * Uses the latest dated rate on or before the day, then the undated rate,
+   * then the earliest dated rate.
+   * @param {string} currency - ISO 4217 code
+   * @param {string|null} dayKey - Day as 'YYYY-MM-DD'
+   * @returns {number|null} - Rate, or null if the table has none for the currency
+   */
+  getRate(currency, dayKey) {
+    if (currency === this.rateBase) return 1;
+
+    const entry = this.rateTable[currency];
+    if (!entry) return null;
+
+    if (dayKey && entry.dated.length > 0) {
+      // Dated rates are sorted by day, so search for the last one on or before the day
+      let low = 0;
+      let high = entry.dated.length - 1;
+      let match = -1;
+      while (low <= high) {
+        const middle = Math.floor((low + high) / 2);
+        if (entry.dated[middle].day <= dayKey) {
+          match = middle;
+          low = middle + 1;
+        } else {
+          high = middle - 1;
+        }
+      }
+      if (match >= 0) return entry.dated[match].rate;
+    }
+
+    if (entry.undated !== null) return entry.undated;
+    return entry.dated.length > 0 ? entry.dated[0].rate : null;
+  }
+
+  /**
+   * Check whether a currency has rates for specific days
+   * @param {string} currency - ISO 4217 code
+   * @returns {boolean} - True if any rate for the currency is dated
+   */
+  hasDatedRates(currency) {
+    const entry = this.rateTable[currency];
+    return Boolean(entry && entry.dated.length > 0);
+  }
+
+  /**
+   * Index exchange rates by currency
+   * @param {Array} rates - Exchange rates as { currency, rate, date }
+   * @returns {Object} - Map of currency to { undated, dated: [{ day, rate }] sorted by day }
+   */
+  buildRateTable(rates) {
+    const table = {};
+
+    rates.forEach(entry => {
+      const currency = this.normalizeCode(entry.currency);
+      if (!table[currency]) {
+        table[currency] = { undated: null, dated: [] };
+      }
+
+      if (entry.date) {
+        table[currency].dated.push({ day: String(entry.date).slice(0, 10), rate: entry.rate });
+      } else {
+        table[currency].undated = entry.rate;
+      }
+    });
+
+    Object.values(table).forEach(entry => {
+      entry.dated.sort((a, b) => (a.day < b.day ? -1 : a.day > b.day ? 1 : 0));
+    });
+
+    return table;
+  }
+
+  /**
+   * Read an exchange rate table from CSV text with Currency, Rate and optional Date columns
+   * @param {string} text - CSV text
+   * @returns {Object} - { rates, errors } where errors lists the lines that could not be read
+   */
+  parseRateTable(text) {
+    const results = Papa.parse(String(text || '').trim(), {
+      header: true,
+      skipEmptyLines: true,
+      transformHeader: header => header.trim().toLowerCase()
+    });
+
+    const rates = [];
+    const errors = [];
+
+    results.data.forEach((record, index) => {
+      const line = index + 2;
+      const currency = this.normalizeCode(record.currency);
+      const rate = parseFloat(record.rate);
+      const date = (record.date || '').trim();
+
+      if (!currency) {
+        errors.push(`Line ${line}: "${record.currency || ''}" is not a three-letter currency code`);
+      } else if (!(rate > 0)) {
+        errors.push(`Line ${line}: rate "${record.rate || ''}" must be a positive number`);
+      } else if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+        errors.push(`Line ${line}: date "${date}" must be YYYY-MM-DD`);
+      } else {
+        rates.push(date ? { currency, rate, date } : { currency, rate });
+      }
+    });
+
+    return { rates, errors };
+  }
+
+  /**
+   * Write exchange rates as CSV text that parseRateTable reads back
+   * @param {Array} rates - Exchange rates as { currency, rate, date }
+   * @returns {string} - CSV text
+   */
+  formatRateTable(rates) {
+    return Papa.unparse({
+      fields: ['Currency', 'Rate', 'Date'],
+      data: rates.map(entry => [entry.currency, entry.rate, entry.date || ''])
+    });
+  }
+
+  /**
+   * Format a value in the reporting currency
+   * @param {number} value - Value in the reporting currency
+   * @returns {string} - Formatted value, e.g. '€1,234.50'
+   */
+  format(value) {
+    if (!this.formatter) {
+      this.formatter = new Intl.NumberFormat(undefined, {
+        style: 'currency',
+        currency: this.reportingCurrency,
+        minimumFractionDigits: 2,
+        maximumFractionDigits: 2
+      });
+    }
+    return this.formatter.format(value || 0);
+  }
+
+  /**
+   * Normalize a currency code
+   * @param {*} value - Raw code, e.g. ' eur '
+   * @returns {string|null} - Upper-case three-letter code, or null if the value is not one
+   */
+  normalizeCode(value) {
+    if (typeof value !== 'string') return null;
+
+    const code = value.trim().toUpperCase();
+    return /^[A-Z]{3}$/.test(code) ? code : null;
+  }
+}
@@ -0,0 +1,169 @@
+// Currency settings dialog for Trader Visualization Dashboard
+
+/**
+ * Class to let users choose the reporting currency, where each row's currency
+ * comes from, and the exchange rates used to convert between them
+ */
+class CurrencySettingsDialog {
+  /**
+   * Show the dialog
+   * @param {CurrencyConverter} currency - Converter holding the current settings
+   * @param {Array} trackingTags - Tracking Tag Names in the loaded data, offered for per-tag currencies
+   * @returns {Promise} - Promise resolving to the new settings, or null if cancelled
+   */
+  show(currency, trackingTags) {
+    return new Promise(resolve => {
+      const settings = currency.getSettings();
+      const tags = Array.from(new Set([...(trackingTags || []), ...Object.keys(settings.tagCurrencies)])).sort();
+
+      const tagRows = tags.map((tag, index) => `
+        <tr>
+          <td>${this.escapeHtml(tag)}</td>
+          <td>
+            <input type="text" class="form-control form-control-sm currency-code-input tag-currency-input"
+              data-tag-index="${index}" maxlength="3" placeholder="Default"
+              value="${this.escapeHtml(settings.tagCurrencies[tag] || '')}">
+          </td>
+        </tr>
+      `).join('');
+
+      const modalContainer = document.createElement('div');
+      modalContainer.className = 'modal-container';
+      modalContainer.id = 'currency-settings-modal';
+
+      modalContainer.innerHTML = `
+        <div class="modal-content">
+          <div class="modal-header">
+            <h2>Currency Settings</h2>
+          </div>
+          <div class="modal-body">
+            <div class="currency-settings-grid">
+              <label>
+                Reporting Currency
+                <input type="text" id="reporting-currency-input" class="form-control form-control-sm currency-code-input" maxlength="3" value="${settings.reportingCurrency}">
+              </label>
+              <label>
+                Currency Column
+                <input type="text" id="currency-column-input" class="form-control form-control-sm" value="${this.escapeHtml(settings.currencyColumn)}">
+              </label>
+              <label>
+                Default Currency
+                <input type="text" id="default-currency-input" class="form-control form-control-sm currency-code-input" maxlength="3" value="${settings.defaultCurrency}">
+              </label>
+            </div>
+            <p class="currency-settings-help">
+              A row's currency is read from the currency column when it holds a three-letter code,
+              otherwise from its tracking tag below, otherwise the default currency is used.
+            </p>
+            ${tags.length > 0 ? `
+              <h3>Currency by Tracking Tag</h3>
+              <div class="mapping-table-container currency-tag-table">
+                <table class="table table-sm mapping-table">
+                  <thead>
+                    <tr><th>Tracking Tag</th><th>Currency</th></tr>
+                  </thead>
+                  <tbody>${tagRows}</tbody>
+                </table>
+              </div>
+            ` : ''}
+            <h3>Exchange Rates</h3>
+            <p class="currency-settings-help">
+              One rate per line: the value of one unit of the currency in
+              <input type="text" id="rate-base-input" class="form-control form-control-sm currency-code-input inline-code-input" maxlength="3" value="${settings.rateBase}">.
+              Add a date (YYYY-MM-DD) to use a rate from that day until the next dated rate.
+            </p>
+            <textarea id="exchange-rates-input" class="form-control form-control-sm exchange-rates-input" rows="8"
+              placeholder="Currency,Rate,Date&#10;EUR,1.08&#10;GBP,1.27,2026-09-01">${this.escapeHtml(settings.rates.length > 0 ? currency.formatRateTable(settings.rates) : '')}</textarea>
+            <label for="exchange-rates-file" class="btn btn-sm btn-outline-secondary exchange-rates-file-label">
+              <i class="fas fa-file-csv"></i> Load Rates from CSV
+            </label>
+            <input type="file" id="exchange-rates-file" accept=".csv,.txt" style="display: none;">
+            <div id="currency-settings-errors" class="currency-settings-errors"></div>
+          </div>
+          <div class="modal-footer">
+            <button id="apply-currency-btn" class="btn btn-primary">Apply</button>
+            <button id="cancel-currency-btn" class="btn btn-secondary">Cancel</button>
+          </div>
+        </div>
+      `;
+
+      document.body.appendChild(modalContainer);
+
+      const close = (value) => {
+        document.body.removeChild(modalContainer);
+        resolve(value);
+      };
+
+      const ratesInput = modalContainer.querySelector('#exchange-rates-input');
+      const fileInput = modalContainer.querySelector('#exchange-rates-file');
+      fileInput.addEventListener('change', () => {
+        const file = fileInput.files && fileInput.files[0];
+        if (!file) return;
+
+        file.text().then(text => {
+          ratesInput.value = text;
+        });
+      });
+
+      modalContainer.querySelector('#apply-currency-btn').addEventListener('click', () => {
+        const errors = [];
+        const readCode = (selector, label) => {
+          const value = modalContainer.querySelector(selector).value;
+          const code = currency.normalizeCode(value);
+          if (!code) {
+            errors.push(`${label} "${value}" is not a three-letter currency code`);
+          }
+          return code;
+        };
+
+        const tagCurrencies = {};
+        modalContainer.querySelectorAll('.tag-currency-input').forEach(input => {
+          if (!input.value.trim()) return;
+
+          const tag = tags[parseInt(input.dataset.tagIndex, 10)];
+          const code = currency.normalizeCode(input.value);
+          if (code) {
+            tagCurrencies[tag] = code;
+          } else {
+            errors.push(`Currency "${input.value}" for ${tag} is not a three-letter currency code`);
+          }
+        });
+
+        const parsedRates = currency.parseRateTable(ratesInput.value);
+        const newSettings = {
+          reportingCurrency: readCode('#reporting-currency-input', 'Reporting currency'),
+          defaultCurrency: readCode('#default-currency-input', 'Default currency'),
+          currencyColumn: modalContainer.querySelector('#currency-column-input').value.trim() || 'Currency',
+          tagCurrencies,
+          rateBase: readCode('#rate-base-input', 'Rate currency'),
+          rates: parsedRates.rates
+        };
+
+        const allErrors = errors.concat(parsedRates.errors);
+        if (allErrors.length > 0) {
+          modalContainer.querySelector('#currency-settings-errors').innerHTML =
+            allErrors.map(error => `<div>${this.escapeHtml(error)}</div>`).join('');
+          return;
+        }
+
+        close(newSettings);
+      });
+
+      modalContainer.querySelector('#cancel-currency-btn').addEventListener('click', () => close(null));
+    });
+  }
+
+  /**
+   * Escape a value for safe insertion into HTML
+   * @param {*} value - Value to escape
+   * @returns {string} - Escaped string
+   */
+  escapeHtml(value) {
+    return String(value === undefined || value === null ? '' : value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+}
@@ -9,6 +9,26 @@ class DataProcessor {
     this.processedData = {};
     this.filters = {};
     this.activeFilters = {};
+    this.timeZone = new TimezoneConverter(); // Source and reporting time zones for every timestamp
+    this.currency = new CurrencyConverter(); // Row currencies and exchange rates for monetary values
+    this.store = null; // Columnar copy of rawData, built on first use
+    this.selection = null; // Rows the prepare methods aggregate while filters are applied
+    this.calculatedMetrics = []; // User-defined formulas over base metric totals, see CalculatedMetric
+    this.bucketSchemes = this.compileBucketSchemes(); // Buckets of the impression and time to convert distributions
+    this.resolvedBuckets = { store: null, schemes: {} }; // Bucket schemes with edges fixed for the current store
+    
+    // Store dimensions each filter key matches; a row passes if any of them holds a selected value
+    this.filterDimensions = {
+      conversionType: ['Tracking Tag Name'],
+      campaign: ['Last Impression Campaign Name', 'First Impression Campaign Name'],
+      adGroup: ['Last Impression Ad Group Name', 'First Impression Ad Group Name'],
+      creative: ['Last Impression Creative Name', 'First Impression Creative Name'],
+      deviceType: ['Conversion Device Type', 'Last Impression Device Type'],
+      country: ['Last Impression Country'],
+      region: ['Last Impression Region'],
+      metro: ['Last Impression Metro Name'],
+      adEnvironment: ['Last Impression Ad Environment']
+    };
   }
 
   /**
@@ -40,6 +60,16 @@ class DataProcessor {
     });
   }
 
+  /**
+   * Get a row's monetary value in the reporting currency
+   * @param {Object} row - Data row
+   * @returns {number} - Converted value, or 0 if the row has no value or no exchange rate applies
+   */
+  getMonetaryValue(row) {
+    const value = this.currency.convertRow(row, this.timeZone);
+    return value === null ? 0 : value;
+  }
+
   /**
    * Extract all possible filter values from the data
    */
@@ -200,17 +230,21 @@ class DataProcessor {
     }
     
     if (filters.dateRange && filters.dateRange.start && filters.dateRange.end) {
-      const startDate = new Date(filters.dateRange.start);
-      const endDate = new Date(filters.dateRange.end);
+      // Range days are reporting-time-zone days, and the end day is included in full
+      const startDate = this.timeZone.startOfDay(filters.dateRange.start);
+      const endDate = this.timeZone.endOfDay(filters.dateRange.end);
       
       filteredData = filteredData.filter(row => {
-        const convDate = new Date(row['Conversion Time']);
-        return convDate >= startDate && convDate <= endDate;
+        const convDate = this.timeZone.parse(row['Conversion Time']);
+        return convDate !== null && convDate >= startDate && convDate <= endDate;
       });
     }
     
     // Recalculate all datasets with filtered data
     const tempProcessor = new DataProcessor();
+    tempProcessor.timeZone = this.timeZone;
+    tempProcessor.currency = this.currency;
+    tempProcessor.bucketSchemes = this.bucketSchemes;
     tempProcessor.rawData = filteredData;
     tempProcessor.prepareDatasets();
     
@@ -222,50 +256,76 @@ class DataProcessor {
    * @returns {Object} - Summary metrics
    */
   prepareSummaryMetrics() {
-    const totalConversions = this.rawData.length;
+    const store = this.getStore();
+    const selection = this.getSelection();
+    const totalConversions = selection.count();
     
     // Count unique conversion types
-    const conversionTypes = {};
-    this.rawData.forEach(row => {
-      const type = row['Tracking Tag Name'];
-      if (type) {
-        conversionTypes[type] = (conversionTypes[type] || 0) + 1;
+    const conversionTypes = this.countSelected('Tracking Tag Name');
+    
+    const impressions = store.getMeasure('impressions');
+    const clicks = store.getMeasure('clicks');
+    const originalValues = store.getMeasure('originalValue');
+    const convertedValues = store.getMeasure('monetaryValue');
+    const conversionTimes = store.getMeasure('conversionTime');
+    const currencies = store.getDimension('Currency');
+    
+    let totalImpressions = 0;
+    let totalClicks = 0;
+    let totalValue = 0;
+    let unconvertedRows = 0;
+    const valuesByCurrency = {};
+    let minTime = Infinity;
+    let maxTime = -Infinity;
+    
+    selection.forEach(index => {
+      totalImpressions += impressions[index];
+      totalClicks += clicks[index];
+      
+      // Get date range
+      const time = conversionTimes[index];
+      if (time < minTime) minTime = time;
+      if (time > maxTime) maxTime = time;
+      
+      // Total monetary value in the reporting currency, with a breakdown by original currency
+      const value = originalValues[index];
+      if (isNaN(value)) return;
+      
+      const currency = currencies.values[currencies.codes[index]];
+      if (!valuesByCurrency[currency]) {
+        valuesByCurrency[currency] = { rows: 0, value: 0, convertedValue: 0 };
+      }
+      valuesByCurrency[currency].rows++;
+      valuesByCurrency[currency].value += value;
+      
+      const converted = convertedValues[index];
+      if (isNaN(converted)) {
+        // No exchange rate applies, so the value is left out of every total
+        unconvertedRows++;
+        return;
       }
+      valuesByCurrency[currency].convertedValue += converted;
+      totalValue += converted;
     });
     
     // Calculate average impressions per conversion
-    const totalImpressions = this.rawData.reduce((sum, row) => {
-      return sum + (row['Impression Count'] || 0);
-    }, 0);
-    
     const avgImpressions = totalConversions > 0 ? totalImpressions / totalConversions : 0;
     
-    // Calculate total monetary value if available
-    const totalValue = this.rawData.reduce((sum, row) => {
-      return sum + (row['Monetary Value'] || 0);
-    }, 0);
-    
-    // Get date range
-    let minDate = null;
-    let maxDate = null;
-    
-    this.rawData.forEach(row => {
-      const convDate = row['Conversion Time'] ? new Date(row['Conversion Time']) : null;
-      if (convDate && !isNaN(convDate.getTime())) {
-        if (!minDate || convDate < minDate) minDate = convDate;
-        if (!maxDate || convDate > maxDate) maxDate = convDate;
-      }
-    });
-    
     return {
       totalConversions,
       conversionsByType: conversionTypes,
       totalImpressions,
+      totalClicks,
       avgImpressions,
       totalValue,
+      currency: {
+        reportingCurrency: this.currency.reportingCurrency,
+        valuesByCurrency,
+        unconvertedRows
+      },
       dateRange: {
-        start: minDate,
-        end: maxDate
+        start: minTime === Infinity ? null : new Date(minTime),
+        end: maxTime === -Infinity ? null : new Date(maxTime)
       }
     };
   }
@@ -276,34 +336,13 @@ class DataProcessor {
    */
   prepareConversionAnalysis() {
     // Conversion by type
-    const conversionsByType = {};
-    this.rawData.forEach(row => {
-      const type = row['Tracking Tag Name'];
-      if (type) {
-        conversionsByType[type] = (conversionsByType[type] || 0) + 1;
-      }
-    });
+    const conversionsByType = this.countSelected('Tracking Tag Name');
     
     // Conversion by device type
-    const conversionsByDevice = {};
-    this.rawData.forEach(row => {
-      const device = row['Conversion Device Type'];
-      if (device) {
-        conversionsByDevice[device] = (conversionsByDevice[device] || 0) + 1;
-      }
-    });
+    const conversionsByDevice = this.countSelected('Conversion Device Type');
     
-    // Conversion timeline (by day)
-    const conversionTimeline = {};
-    this.rawData.forEach(row => {
-      if (row['Conversion Time']) {
-        const convDate = new Date(row['Conversion Time']);
-        if (!isNaN(convDate.getTime())) {
-          const date = convDate.toISOString().split('T')[0];
-          conversionTimeline[date] = (conversionTimeline[date] || 0) + 1;
-        }
-      }
-    });
+    // Conversion timeline, bucketed by the day each conversion fell on in the reporting time zone
+    const conversionTimeline = this.countSelected('Conversion Day');
     
     // Sort timeline by date
     const sortedTimeline = Object.entries(conversionTimeline)
@@ -325,55 +364,11 @@ class DataProcessor {
    * @returns {Object} - Media performance datasets
    */
   prepareMediaPerformance() {
-    // Campaign performance
-    const campaignPerformance = {};
-    this.rawData.forEach(row => {
-      const campaign = row['Last Impression Campaign Name'];
-      if (campaign) {
-        if (!campaignPerformance[campaign]) {
-          campaignPerformance[campaign] = {
-            conversions: 0,
-            impressions: 0,
-            monetaryValue: 0
-          };
-        }
-        
-        campaignPerformance[campaign].conversions += 1;
-        campaignPerformance[campaign].impressions += (row['Impression Count'] || 0);
-        campaignPerformance[campaign].monetaryValue += (row['Monetary Value'] || 0);
-      }
-    });
+    // Campaign performance, with conversion rate
+    const campaignPerformance = this.preparePerformance('Last Impression Campaign Name');
     
-    // Calculate conversion rate and cost per conversion
-    Object.keys(campaignPerformance).forEach(campaign => {
-      const data = campaignPerformance[campaign];
-      data.conversionRate = data.impressions > 0 ? (data.conversions / data.impressions) * 100 : 0;
-    });
-    
-    // Ad Group performance
-    const adGroupPerformance = {};
-    this.rawData.forEach(row => {
-      const adGroup = row['Last Impression Ad Group Name'];
-      if (adGroup) {
-        if (!adGroupPerformance[adGroup]) {
-          adGroupPerformance[adGroup] = {
-            conversions: 0,
-            impressions: 0,
-            monetaryValue: 0
-          };
-        }
-        
-        adGroupPerformance[adGroup].conversions += 1;
-        adGroupPerformance[adGroup].impressions += (row['Impression Count'] || 0);
-        adGroupPerformance[adGroup].monetaryValue += (row['Monetary Value'] || 0);
-      }
-    });
-    
-    // Calculate conversion rate for ad groups
-    Object.keys(adGroupPerformance).forEach(adGroup => {
-      const data = adGroupPerformance[adGroup];
-      data.conversionRate = data.impressions > 0 ? (data.conversions / data.impressions) * 100 : 0;
-    });
+    // Ad Group performance, with conversion rate
+    const adGroupPerformance = this.preparePerformance('Last Impression Ad Group Name');
     
     return {
       campaignPerformance,
@@ -387,50 +382,10 @@ class DataProcessor {
    */
   prepareChannelAnalysis() {
     // Performance by device type
-    const devicePerformance = {};
-    this.rawData.forEach(row => {
-      const device = row['Last Impression Device Type'];
-      if (device) {
-        if (!devicePerformance[device]) {
-          devicePerformance[device] = {
-            conversions: 0,
-            impressions: 0
-          };
-        }
-        
-        devicePerformance[device].conversions += 1;
-        devicePerformance[device].impressions += (row['Impression Count'] || 0);
-      }
-    });
-    
-    // Calculate conversion rate for devices
-    Object.keys(devicePerformance).forEach(device => {
-      const data = devicePerformance[device];
-      data.conversionRate = data.impressions > 0 ? (data.conversions / data.impressions) * 100 : 0;
-    });
+    const devicePerformance = this.preparePerformance('Last Impression Device Type');
     
     // Performance by ad environment
-    const environmentPerformance = {};
-    this.rawData.forEach(row => {
-      const environment = row['Last Impression Ad Environment'];
-      if (environment) {
-        if (!environmentPerformance[environment]) {
-          environmentPerformance[environment] = {
-            conversions: 0,
-            impressions: 0
-          };
-        }
-        
-        environmentPerformance[environment].conversions += 1;
-        environmentPerformance[environment].impressions += (row['Impression Count'] || 0);
-      }
-    });
-    
-    // Calculate conversion rate for environments
-    Object.keys(environmentPerformance).forEach(environment => {
-      const data = environmentPerformance[environment];
-      data.conversionRate = data.impressions > 0 ? (data.conversions / data.impressions) * 100 : 0;
-    });
+    const environmentPerformance = this.preparePerformance('Last Impression Ad Environment');
     
     return {
       devicePerformance,
@@ -443,54 +398,25 @@ class DataProcessor {
    * @returns {Object} - Creative performance datasets
    */
   prepareCreativePerformance() {
-    // Creative performance
-    const creativePerformance = {};
-    this.rawData.forEach(row => {
+    // Creative performance, labelled with the format of the creative's first row. Groups come in order
+    // of their first row, so the first group of each creative holds the format of that row.
+    const creativeFormats = {};
+    this.aggregate({
+      groupBy: ['Last Impression Creative Name', 'Last Impression Ad Format'],
+      metrics: ['conversions']
+    }).forEach(row => {
       const creative = row['Last Impression Creative Name'];
-      if (creative) {
-        if (!creativePerformance[creative]) {
-          creativePerformance[creative] = {
-            conversions: 0,
-            impressions: 0,
-            monetaryValue: 0,
-            format: row['Last Impression Ad Format'] || 'Unknown'
-          };
-        }
-        
-        creativePerformance[creative].conversions += 1;
-        creativePerformance[creative].impressions += (row['Impression Count'] || 0);
-        creativePerformance[creative].monetaryValue += (row['Monetary Value'] || 0);
+      if (creativeFormats[creative] === undefined) {
+        creativeFormats[creative] = row['Last Impression Ad Format'] || 'Unknown';
       }
     });
     
-    // Calculate conversion rate for creatives
-    Object.keys(creativePerformance).forEach(creative => {
-      const data = creativePerformance[creative];
-      data.conversionRate = data.impressions > 0 ? (data.conversions / data.impressions) * 100 : 0;
+    const creativePerformance = this.preparePerformance('Last Impression Creative Name', (data, row) => {
+      data.format = creativeFormats[row['Last Impression Creative Name']];
     });
     
     // Creative format analysis
-    const formatPerformance = {};
-    this.rawData.forEach(row => {
-      const format = row['Last Impression Ad Format'];
-      if (format) {
-        if (!formatPerformance[format]) {
-          formatPerformance[format] = {
-            conversions: 0,
-            impressions: 0
-          };
-        }
-        
-        formatPerformance[format].conversions += 1;
-        formatPerformance[format].impressions += (row['Impression Count'] || 0);
-      }
-    });
-    
-    // Calculate conversion rate for formats
-    Object.keys(formatPerformance).forEach(format => {
-      const data = formatPerformance[format];
-      data.conversionRate = data.impressions > 0 ? (data.conversions / data.impressions) * 100 : 0;
-    });
+    const formatPerformance = this.preparePerformance('Last Impression Ad Format');
     
     return {
       creativePerformance,
@@ -505,63 +431,40 @@ class DataProcessor {
   prepareGeoInsights() {
     // Country performance
     const countryPerformance = {};
-    this.rawData.forEach(row => {
+    this.aggregate({
+      groupBy: ['Last Impression Country'],
+      metrics: ['conversions', 'impressions', 'monetaryValue']
+    }).forEach(row => {
       const country = row['Last Impression Country'];
-      if (country) {
-        if (!countryPerformance[country]) {
-          countryPerformance[country] = {
-            conversions: 0,
-            impressions: 0,
-            monetaryValue: 0
-          };
-        }
-        
-        countryPerformance[country].conversions += 1;
-        countryPerformance[country].impressions += (row['Impression Count'] || 0);
-        countryPerformance[country].monetaryValue += (row['Monetary Value'] || 0);
-      }
+      if (!country) return;
+      
+      this.addToRecord(countryPerformance, country, { conversions: 0, impressions: 0, monetaryValue: 0 }, row);
     });
     
     // Region performance
     const regionPerformance = {};
-    this.rawData.forEach(row => {
-      const region = row['Last Impression Region'];
+    this.aggregate({
+      groupBy: ['Last Impression Country', 'Last Impression Region'],
+      metrics: ['conversions', 'impressions']
+    }).forEach(row => {
       const country = row['Last Impression Country'];
-      if (region && country) {
-        const key = `${country}-${region}`;
-        if (!regionPerformance[key]) {
-          regionPerformance[key] = {
-            country,
-            region,
-            conversions: 0,
-            impressions: 0
-          };
-        }
-        
-        regionPerformance[key].conversions += 1;
-        regionPerformance[key].impressions += (row['Impression Count'] || 0);
-      }
+      const region = row['Last Impression Region'];
+      if (!region || !country) return;
+      
+      this.addToRecord(regionPerformance, `${country}-${region}`, { country, region, conversions: 0, impressions: 0 }, row);
     });
     
     // Metro performance
     const metroPerformance = {};
-    this.rawData.forEach(row => {
-      const metro = row['Last Impression Metro Name'];
+    this.aggregate({
+      groupBy: ['Last Impression Region', 'Last Impression Metro Name'],
+      metrics: ['conversions', 'impressions']
+    }).forEach(row => {
       const region = row['Last Impression Region'];
-      if (metro && region) {
-        const key = `${region}-${metro}`;
-        if (!metroPerformance[key]) {
-          metroPerformance[key] = {
-            region,
-            metro,
-            conversions: 0,
-            impressions: 0
-          };
-        }
-        
-        metroPerformance[key].conversions += 1;
-        metroPerformance[key].impressions += (row['Impression Count'] || 0);
-      }
+      const metro = row['Last Impression Metro Name'];
+      if (!metro || !region) return;
+      
+      this.addToRecord(metroPerformance, `${region}-${metro}`, { region, metro, conversions: 0, impressions: 0 }, row);
     });
     
     return {
@@ -578,53 +481,26 @@ class DataProcessor {
   prepareFrequencyAnalysis() {
     // Impression count distribution
     const impressionDistribution = {};
-    this.rawData.forEach(row => {
-      const impressions = row['Impression Count'] || 0;
-      // Group by ranges
-      let range;
-      if (impressions === 0) range = '0';
-      else if (impressions <= 5) range = '1-5';
-      else if (impressions <= 10) range = '6-10';
-      else if (impressions <= 20) range = '11-20';
-      else if (impressions <= 50) range = '21-50';
-      else range = '50+';
-      
-      impressionDistribution[range] = (impressionDistribution[range] || 0) + 1;
-    });
     
     // Frequency vs conversion rate
     const frequencyConversionRate = {};
     
-    // Group conversions by impression count
-    const frequencyGroups = {};
-    this.rawData.forEach(row => {
-      const impressions = row['Impression Count'] || 0;
-      // Group by ranges
-      let range;
-      if (impressions === 0) range = '0';
-      else if (impressions <= 5) range = '1-5';
-      else if (impressions <= 10) range = '6-10';
-      else if (impressions <= 20) range = '11-20';
-      else if (impressions <= 50) range = '21-50';
-      else range = '50+';
-      
-      if (!frequencyGroups[range]) {
-        frequencyGroups[range] = {
-          conversions: 0,
-          totalValue: 0
-        };
-      }
-      
-      frequencyGroups[range].conversions += 1;
-      frequencyGroups[range].totalValue += (row['Monetary Value'] || 0);
+    // List every bucket in order, including empty ones, so the distribution keeps its shape
+    this.getBuckets('impressions').getLabels().forEach(range => {
+      impressionDistribution[range] = 0;
+      frequencyConversionRate[range] = {
+        conversions: 0,
+        avgValue: 0
+      };
     });
     
-    // Calculate average value per conversion for each frequency group
-    Object.keys(frequencyGroups).forEach(range => {
-      const data = frequencyGroups[range];
+    // Group conversions by impression count range, with the average value per conversion
+    this.aggregate({ groupBy: ['Impression Range'], metrics: ['conversions', 'avgValue'] }).forEach(row => {
+      const range = row['Impression Range'];
+      impressionDistribution[range] = row.conversions;
       frequencyConversionRate[range] = {
-        conversions: data.conversions,
-        avgValue: data.conversions > 0 ? data.totalValue / data.conversions : 0
+        conversions: row.conversions,
+        avgValue: row.avgValue
       };
     });
     
@@ -639,8 +515,11 @@ class DataProcessor {
    * @returns {Array} - Processed data for table view
    */
   prepareTableData() {
-    // Return a simplified version of the data for table view
-    return this.rawData.map(row => {
+    // Return a simplified version of the selected rows for table view
+    const convertedValues = this.getStore().getMeasure('monetaryValue');
+    
+    return this.getSelection().toArray().map(index => {
+      const row = this.rawData[index];
       return {
         conversionId: row['Conversion ID'],
         conversionTime: row['Conversion Time'],
@@ -651,7 +530,9 @@ class DataProcessor {
         creative: row['Last Impression Creative Name'],
         impressions: row['Impression Count'],
         clicks: row['Display Click Count'],
-        monetaryValue: row['Monetary Value'],
+        monetaryValue: isNaN(convertedValues[index]) ? null : convertedValues[index],
+        originalValue: row['Monetary Value'],
+        currency: this.currency.getCurrency(row),
         country: row['Last Impression Country'],
         region: row['Last Impression Region'],
         metro: row['Last Impression Metro Name']
@@ -659,6 +540,449 @@ class DataProcessor {
     });
   }
 
+  /**
+   * Get the columnar store of the loaded rows, building it on first use
+   * @returns {ColumnarStore} - Store
+   */
+  getStore() {
+    if (!this.store || this.store.rows !== this.rawData) {
+      this.store = new ColumnarStore(this.rawData, this.getStoreSchema());
+    }
+    return this.store;
+  }
+
+  /**
+   * Describe the columns of the columnar store. Indexed dimensions are the ones filters match on.
+   * @returns {Object} - Store schema, see ColumnarStore
+   */
+  getStoreSchema() {
+    const indexed = name => ({ name, indexed: true });
+    
+    return {
+      // Measures are built first, so dimensions can be derived from them
+      measures: {
+        impressions: row => row['Impression Count'] || 0,
+        clicks: row => row['Display Click Count'] || 0,
+        originalValue: row => {
+          const value = row['Monetary Value'];
+          return typeof value === 'number' && isFinite(value) ? value : NaN;
+        },
+        // Value in the reporting currency, NaN when the row has no value or no exchange rate applies
+        monetaryValue: row => {
+          const value = this.currency.convertRow(row, this.timeZone);
+          return value === null ? NaN : value;
+        },
+        conversionTime: row => {
+          const date = this.timeZone.parse(row['Conversion Time']);
+          return date ? date.getTime() : NaN;
+        }
+      },
+      dimensions: [
+        indexed('Tracking Tag Name'),
+        indexed('Last Impression Campaign Name'),
+        indexed('First Impression Campaign Name'),
+        indexed('Last Impression Ad Group Name'),
+        indexed('First Impression Ad Group Name'),
+        indexed('Last Impression Creative Name'),
+        indexed('First Impression Creative Name'),
+        indexed('Conversion Device Type'),
+        indexed('Last Impression Device Type'),
+        indexed('Last Impression Country'),
+        indexed('Last Impression Region'),
+        indexed('Last Impression Metro Name'),
+        indexed('Last Impression Ad Environment'),
+        { name: 'Last Impression Ad Format' },
+        {
+          name: 'Conversion Day',
+          value: (row, index, store) => {
+            const time = store.getMeasure('conversionTime')[index];
+            return isNaN(time) ? null : this.timeZone.getDayKey(new Date(time));
+          }
+        },
+        { name: 'Currency', value: row => this.currency.getCurrency(row) },
+        {
+          name: 'Impression Range',
+          value: (row, index, store) => this.getBuckets('impressions', store).getLabel(store.getMeasure('impressions')[index])
+        }
+      ]
+    };
+  }
+
+  /**
+   * Get the rows the prepare methods aggregate
+   * @returns {Bitmap} - Selected rows, or every row when no filter is applied
+   */
+  getSelection() {
+    return this.selection || this.getStore().selectAll();
+  }
+
+  /**
+   * Turn filter criteria into columnar store conditions
+   * @param {Object} filters - Filter criteria: dateRange as { start, end } reporting-time-zone days (the whole end
+   *   day is included), and filter keys such as campaign or deviceType with a value or array of values
+   * @returns {Array} - Conditions for ColumnarStore.select
+   */
+  getFilterConditions(filters) {
+    const conditions = [];
+    
+    // Apply date range filter on reporting-time-zone days, including the whole end day
+    if (filters.dateRange) {
+      const startDate = this.timeZone.startOfDay(filters.dateRange.start);
+      const endDate = this.timeZone.endOfDay(filters.dateRange.end);
+      
+      if (startDate || endDate) {
+        conditions.push({
+          measure: 'conversionTime',
+          min: startDate ? startDate.getTime() : null,
+          max: endDate ? endDate.getTime() : null
+        });
+      }
+    }
+    
+    // Apply multi-select filters; single values are still accepted for backward compatibility
+    Object.entries(filters).forEach(([key, value]) => {
+      const dimensions = this.filterDimensions[key];
+      if (!dimensions) return;
+      
+      conditions.push({
+        dimensions,
+        values: Array.isArray(value) ? value : [value]
+      });
+    });
+    
+    return conditions;
+  }
+
+  /**
+   * Describe the metrics aggregate can compute. Each metric lists the store measures
+   * it sums and computes its value from a group's totals.
+   * @returns {Object} - Map of metric name to { measures, value(totals) }, where totals holds count and each measure's sum
+   */
+  getAggregateMetrics() {
+    const ratio = (numerator, denominator, scale = 1) => (denominator > 0 ? (numerator / denominator) * scale : 0);
+    
+    const metrics = {
+      conversions: { measures: [], value: totals => totals.count },
+      impressions: { measures: ['impressions'], value: totals => totals.impressions },
+      clicks: { measures: ['clicks'], value: totals => totals.clicks },
+      monetaryValue: { measures: ['monetaryValue'], value: totals => totals.monetaryValue },
+      conversionRate: { measures: ['impressions'], value: totals => ratio(totals.count, totals.impressions, 100) },
+      clickThroughRate: { measures: ['impressions', 'clicks'], value: totals => ratio(totals.clicks, totals.impressions, 100) },
+      avgImpressions: { measures: ['impressions'], value: totals => ratio(totals.impressions, totals.count) },
+      avgValue: { measures: ['monetaryValue'], value: totals => ratio(totals.monetaryValue, totals.count) }
+    };
+    
+    // Calculated metrics sum the base metrics their formulas use; conversions is the group's row count
+    this.calculatedMetrics.forEach(metric => {
+      metrics[metric.name] = {
+        measures: metric.expression.getVariables().filter(name => name !== 'conversions'),
+        value: totals => metric.evaluate({ ...totals, conversions: totals.count })
+      };
+    });
+    
+    return metrics;
+  }
+
+  /**
+   * Compile calculated metric definitions
+   * @param {Array} definitions - Metric definitions, see CalculatedMetric
+   * @returns {Array} - CalculatedMetric instances
+   */
+  compileCalculatedMetrics(definitions) {
+    const metrics = (definitions || []).map(definition => new CalculatedMetric(definition));
+    
+    // Names must not hide a built-in metric or each other
+    const builtInNames = Object.keys(this.getAggregateMetrics())
+      .filter(name => !this.getCalculatedMetric(name))
+      .map(name => name.toLowerCase());
+    const names = new Set();
+    
+    metrics.forEach(metric => {
+      const key = metric.name.toLowerCase();
+      if (builtInNames.includes(key)) {
+        throw new Error(`"${metric.name}" is the name of a built-in metric`);
+      }
+      if (names.has(key)) {
+        throw new Error(`More than one metric is named "${metric.name}"`);
+      }
+      names.add(key);
+    });
+    
+    return metrics;
+  }
+
+  /**
+   * Set the calculated metrics available to aggregate, charts, summary cards, the data table and exports
+   * @param {Array} definitions - Metric definitions, see CalculatedMetric
+   */
+  setCalculatedMetrics(definitions) {
+    this.calculatedMetrics = this.compileCalculatedMetrics(definitions);
+  }
+
+  /**
+   * Compile bucket scheme definitions. Measures without a definition keep their default buckets.
+   * @param {Object} definitions - Map of measure name ('impressions' or 'timeToConvert') to definition, see BucketScheme
+   * @returns {Object} - Map of measure name to BucketScheme
+   */
+  compileBucketSchemes(definitions = {}) {
+    const schemes = {};
+    
+    Object.entries(BucketScheme.defaults).forEach(([name, defaults]) => {
+      // Whether values are whole numbers is a property of the measure, not a choice
+      schemes[name] = new BucketScheme({
+        ...defaults,
+        ...((definitions || {})[name] || {}),
+        integer: defaults.integer,
+        lowerBound: defaults.lowerBound
+      });
+    });
+    
+    return schemes;
+  }
+  
+  /**
+   * Set the buckets of the impression and time to convert distributions.
+   * Call loadData again to re-aggregate loaded rows.
+   * @param {Object} definitions - Map of measure name to definition, see compileBucketSchemes
+   */
+  setBucketSchemes(definitions) {
+    this.bucketSchemes = this.compileBucketSchemes(definitions);
+    // Impression ranges in the store depend on the buckets
+    this.store = null;
+  }
+  
+  /**
+   * Get the bucket scheme definitions, as saved in settings
+   * @returns {Object} - Map of measure name to definition
+   */
+  getBucketSchemeDefinitions() {
+    const definitions = {};
+    Object.entries(this.bucketSchemes).forEach(([name, scheme]) => {
+      definitions[name] = scheme.getDefinition();
+    });
+    return definitions;
+  }
+  
+  /**
+   * Get the buckets of a measure. Equal-width, quantile and log-scale edges are derived
+   * from every loaded row, so the buckets stay the same while filters are applied.
+   * @param {string} name - Bucketed measure, e.g. 'impressions'
+   * @param {ColumnarStore} store - Store holding the measure; pass it while the store is being built
+   * @returns {BucketScheme} - Scheme with fixed edges
+   */
+  getBuckets(name, store = this.getStore()) {
+    if (this.resolvedBuckets.store !== store) {
+      this.resolvedBuckets = { store, schemes: {} };
+    }
+    
+    if (!this.resolvedBuckets.schemes[name]) {
+      const scheme = this.bucketSchemes[name];
+      this.resolvedBuckets.schemes[name] = scheme.isDataDependent() ? scheme.resolve(store.getMeasure(name)) : scheme;
+    }
+    return this.resolvedBuckets.schemes[name];
+  }
+  
+  /**
+   * Find a calculated metric by name
+   * @param {string} name - Metric name
+   * @returns {CalculatedMetric|null} - Metric, or null if none has that name
+   */
+  getCalculatedMetric(name) {
+    return this.calculatedMetrics.find(metric => metric.name === name) || null;
+  }
+
+  /**
+   * Get the base metric totals of summary metrics, for evaluating calculated metrics
+   * @param {Object} summary - Summary metrics from prepareSummaryMetrics
+   * @returns {Object} - { conversions, impressions, clicks, monetaryValue }
+   */
+  getSummaryTotals(summary) {
+    return {
+      conversions: summary.totalConversions,
+      impressions: summary.totalImpressions,
+      clicks: summary.totalClicks,
+      monetaryValue: summary.totalValue
+    };
+  }
+
+  /**
+   * Format a calculated metric's value for display
+   * @param {CalculatedMetric} metric - Metric
+   * @param {number|null} value - Value from metric.evaluate
+   * @returns {string} - Formatted value, or 'N/A' when the value is undefined
+   */
+  formatMetricValue(metric, value) {
+    if (value === null) return 'N/A';
+    
+    switch (metric.format) {
+      case 'currency':
+        return this.currency.format(value);
+      case 'percent':
+        return `${value.toFixed(2)}%`;
+      default:
+        return value.toLocaleString(undefined, { maximumFractionDigits: 2 });
+    }
+  }
+
+  /**
+   * Aggregate conversions by any combination of dimensions, e.g.
+   * aggregate({ groupBy: ['Last Impression Campaign Name', 'Conversion Device Type'], metrics: ['conversions', 'monetaryValue'] })
+   * @param {Object} options - Aggregation options
+   * @param {Array} options.groupBy - Dimension names to group by, see getStoreSchema; none gives a single total row
+   * @param {Array} options.metrics - Metric names, see getAggregateMetrics (default conversions, impressions,
+   *   monetaryValue and conversionRate)
+   * @param {Object} options.filters - Optional filter criteria, see getFilterConditions, applied on top of any active filters
+   * @returns {Array} - One row per combination of values, in order of first appearance, holding each dimension's
+   *   raw value (blank values included) and each metric
+   */
+  aggregate(options = {}) {
+    const groupBy = options.groupBy || [];
+    const metrics = options.metrics || ['conversions', 'impressions', 'monetaryValue', 'conversionRate'];
+    const definitions = this.getAggregateMetrics();
+    
+    const unknownMetrics = metrics.filter(metric => !definitions[metric]);
+    if (unknownMetrics.length > 0) {
+      throw new Error(`Unknown metric "${unknownMetrics[0]}". Available metrics: ${Object.keys(definitions).join(', ')}`);
+    }
+    
+    const store = this.getStore();
+    const unknownDimensions = groupBy.filter(name => !store.dimensions[name]);
+    if (unknownDimensions.length > 0) {
+      throw new Error(`Unknown dimension "${unknownDimensions[0]}". Available dimensions: ${Object.keys(store.dimensions).join(', ')}`);
+    }
+    
+    let selection = this.getSelection();
+    if (options.filters) {
+      selection = selection.and(store.select(this.getFilterConditions(options.filters)));
+    }
+    
+    const measures = Array.from(new Set([].concat(...metrics.map(metric => definitions[metric].measures))));
+    
+    return this.groupSelected(groupBy, measures, selection).map(group => {
+      const row = {};
+      groupBy.forEach((name, index) => {
+        row[name] = group.values[index];
+      });
+      metrics.forEach(metric => {
+        row[metric] = definitions[metric].value(group);
+      });
+      return row;
+    });
+  }
+
+  /**
+   * Total the selected rows per combination of dimension values
+   * @param {Array} names - Dimension names to group by
+   * @param {Array} measures - Measures to sum per group, e.g. ['impressions']; missing (NaN) values count as 0
+   * @param {Bitmap} selection - Rows to total (default the current selection)
+   * @returns {Array} - Groups as { values, count, firstIndex, <measure>: sum }, in order of their first selected row
+   */
+  groupSelected(names, measures, selection = this.getSelection()) {
+    const store = this.getStore();
+    const dimensions = names.map(name => store.getDimension(name));
+    const columns = measures.map(measure => store.getMeasure(measure));
+    const groups = new Map();
+    
+    selection.forEach(index => {
+      // Combine the dimension codes into one numeric key
+      let key = 0;
+      for (let d = 0; d < dimensions.length; d++) {
+        key = key * dimensions[d].values.length + dimensions[d].codes[index];
+      }
+      
+      let group = groups.get(key);
+      if (!group) {
+        group = {
+          values: dimensions.map(dimension => dimension.values[dimension.codes[index]]),
+          count: 0,
+          firstIndex: index
+        };
+        measures.forEach(measure => {
+          group[measure] = 0;
+        });
+        groups.set(key, group);
+      }
+      
+      group.count++;
+      for (let m = 0; m < columns.length; m++) {
+        group[measures[m]] += columns[m][index] || 0;
+      }
+    });
+    
+    return Array.from(groups.values());
+  }
+
+  /**
+   * Count the selected rows per value of a dimension, skipping blank values
+   * @param {string} name - Dimension name
+   * @returns {Object} - Map of value to row count
+   */
+  countSelected(name) {
+    const counts = {};
+    this.aggregate({ groupBy: [name], metrics: ['conversions'] }).forEach(row => {
+      const value = row[name];
+      if (value) {
+        counts[value] = (counts[value] || 0) + row.conversions;
+      }
+    });
+    return counts;
+  }
+
+  /**
+   * Total conversions, impressions, clicks and value per value of a dimension, skipping blank values,
+   * with conversion rates. Records keep every base metric total so calculated metrics can be evaluated on them.
+   * @param {string} name - Dimension name
+   * @param {Function} decorate - Optional function called with (record, row) when a record is created
+   * @returns {Object} - Map of value to { conversions, impressions, clicks, monetaryValue, conversionRate }
+   */
+  preparePerformance(name, decorate) {
+    const performance = {};
+    const metrics = CalculatedMetric.baseMetrics;
+    
+    this.aggregate({ groupBy: [name], metrics }).forEach(row => {
+      const value = row[name];
+      if (!value) return;
+      
+      const template = {};
+      metrics.forEach(metric => {
+        template[metric] = 0;
+      });
+      const isNew = !performance[value];
+      this.addToRecord(performance, value, template, row);
+      if (isNew && decorate) {
+        decorate(performance[value], row);
+      }
+    });
+    
+    // Rates are computed from the merged totals
+    Object.values(performance).forEach(data => {
+      data.conversionRate = data.impressions > 0 ? (data.conversions / data.impressions) * 100 : 0;
+    });
+    
+    return performance;
+  }
+
+  /**
+   * Add an aggregate row's totals to a keyed record, creating the record on first use.
+   * Distinct raw values can share a key (e.g. 1 and '1'), so totals are added rather than set.
+   * @param {Object} records - Records by key
+   * @param {string} key - Record key
+   * @param {Object} template - New record with zeroed totals
+   * @param {Object} row - Row from aggregate holding the totals
+   */
+  addToRecord(records, key, template, row) {
+    if (!records[key]) {
+      records[key] = template;
+    }
+    
+    const record = records[key];
+    Object.keys(record).forEach(field => {
+      if (typeof record[field] === 'number' && typeof row[field] === 'number') {
+        record[field] += row[field];
+      }
+    });
+  }
+
   /**
    * Export data to CSV
    * @param {Array} data - Data to export
@@ -0,0 +1,308 @@
+// Data quality checks for Trader Visualization Dashboard
+
+/**
+ * Profiles loaded rows: completeness, distinct values and type conformance per
+ * column, plus negative, implausible and duplicate values. Every issue keeps the
+ * indexes of the rows it affects so they can be shown in the data table.
+ */
+class DataQualityAnalyzer {
+  /**
+   * @param {Object} options - Thresholds for implausible values
+   * @param {number} options.maxImpressionCount - Impression counts above this are implausible
+   * @param {number} options.maxLookbackDays - First impressions longer ago than this before the conversion are implausible
+   * @param {TimezoneConverter} options.timeZone - Converter used to parse timestamps
+   */
+  constructor(options = {}) {
+    this.maxImpressionCount = options.maxImpressionCount || 1000;
+    this.maxLookbackDays = options.maxLookbackDays || 90;
+    this.rowValidator = new RowValidator({ timeZone: options.timeZone });
+
+    // Expected type of each typed column; other columns hold free text
+    this.columnTypes = {
+      'Conversion Time': 'datetime',
+      'First Impression Time': 'datetime',
+      'Last Impression Time': 'datetime',
+      'Impression Count': 'count',
+      'Display Click Count': 'count',
+      'Monetary Value': 'number'
+    };
+    this.numericColumns = ['Impression Count', 'Display Click Count', 'Monetary Value'];
+  }
+
+  /**
+   * Analyze rows
+   * @param {Array} rows - Loaded rows
+   * @returns {Object} - { rowCount, columns, issues }
+   */
+  analyze(rows) {
+    const columns = this.getColumnNames(rows).map(name => this.profileColumn(rows, name));
+    const issues = [];
+
+    columns.forEach(column => {
+      if (column.blankRows.length > 0) {
+        issues.push(this.createIssue('Completeness', column.name, 'Blank values', column.blankRows));
+      }
+      if (column.invalidRows.length > 0) {
+        issues.push(this.createIssue('Type', column.name, `Not a valid ${this.describeType(column.type)}`, column.invalidRows));
+      }
+    });
+
+    this.findNegativeValues(rows).forEach(issue => issues.push(issue));
+    this.findImplausibleValues(rows).forEach(issue => issues.push(issue));
+
+    const duplicates = this.findDuplicateIds(rows);
+    if (duplicates.length > 0) {
+      issues.push(this.createIssue('Duplicate', 'Conversion ID', 'Conversion ID appears on more than one row', duplicates));
+    }
+
+    return {
+      rowCount: rows.length,
+      columns,
+      issues: issues.sort((a, b) => b.rowIndexes.length - a.rowIndexes.length)
+    };
+  }
+
+  /**
+   * Get the columns to profile: every expected column, then any other column found
+   * @param {Array} rows - Loaded rows
+   * @returns {Array} - Column names
+   */
+  getColumnNames(rows) {
+    const names = new ColumnMapper().expectedColumns.map(column => column.name);
+    const seen = new Set(names);
+
+    // Rows of merged files can have different columns, so look at all of them
+    rows.forEach(row => {
+      Object.keys(row).forEach(name => {
+        if (!seen.has(name)) {
+          seen.add(name);
+          names.push(name);
+        }
+      });
+    });
+
+    return names;
+  }
+
+  /**
+   * Profile one column
+   * @param {Array} rows - Loaded rows
+   * @param {string} name - Column name
+   * @returns {Object} - Column profile with blank and invalid row indexes
+   */
+  profileColumn(rows, name) {
+    const type = this.columnTypes[name] || 'text';
+    const distinct = new Set();
+    const blankRows = [];
+    const invalidRows = [];
+
+    rows.forEach((row, index) => {
+      const value = row[name];
+      if (this.rowValidator.isBlank(value)) {
+        blankRows.push(index);
+        return;
+      }
+
+      distinct.add(value);
+      if (!this.conformsTo(value, type)) {
+        invalidRows.push(index);
+      }
+    });
+
+    const filledCount = rows.length - blankRows.length;
+
+    return {
+      name,
+      type,
+      blankRows,
+      invalidRows,
+      blankRate: rows.length > 0 ? (blankRows.length / rows.length) * 100 : 0,
+      distinctCount: distinct.size,
+      // Conformance is measured over filled values only; blanks are reported separately
+      conformance: type === 'text' || filledCount === 0 ? null : ((filledCount - invalidRows.length) / filledCount) * 100
+    };
+  }
+
+  /**
+   * Check whether a value has the expected type
+   * @param {*} value - Non-blank value
+   * @param {string} type - 'datetime', 'count', 'number' or 'text'
+   * @returns {boolean} - True if the value conforms
+   */
+  conformsTo(value, type) {
+    switch (type) {
+      case 'datetime':
+        return this.rowValidator.parseDate(value) !== null;
+      case 'count':
+        return typeof value === 'number' && Number.isInteger(value);
+      case 'number':
+        return typeof value === 'number' && isFinite(value);
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * Find negative numeric values
+   * @param {Array} rows - Loaded rows
+   * @returns {Array} - One issue per column with negative values
+   */
+  findNegativeValues(rows) {
+    return this.numericColumns
+      .map(column => {
+        const indexes = [];
+        rows.forEach((row, index) => {
+          if (typeof row[column] === 'number' && row[column] < 0) {
+            indexes.push(index);
+          }
+        });
+        return indexes.length > 0 ? this.createIssue('Negative', column, 'Negative value', indexes) : null;
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Find values that parse but cannot be right
+   * @param {Array} rows - Loaded rows
+   * @returns {Array} - One issue per failed check
+   */
+  findImplausibleValues(rows) {
+    const day = 24 * 60 * 60 * 1000;
+    const now = Date.now();
+    const values = rows
+      .map(row => row['Monetary Value'])
+      .filter(value => typeof value === 'number' && value > 0);
+    const valueLimit = this.getOutlierLimit(values);
+
+    const checks = [
+      {
+        column: 'Impression Count',
+        description: `More than ${this.maxImpressionCount.toLocaleString()} impressions`,
+        test: row => typeof row['Impression Count'] === 'number' && row['Impression Count'] > this.maxImpressionCount
+      },
+      {
+        column: 'Display Click Count',
+        description: 'More clicks than impressions',
+        test: row => typeof row['Display Click Count'] === 'number' && typeof row['Impression Count'] === 'number' &&
+          row['Display Click Count'] > row['Impression Count']
+      },
+      {
+        column: 'Monetary Value',
+        description: valueLimit === null ? '' : `Unusually high value (above ${valueLimit.toFixed(2)})`,
+        test: row => valueLimit !== null && typeof row['Monetary Value'] === 'number' && row['Monetary Value'] > valueLimit
+      },
+      {
+        column: 'Conversion Time',
+        description: 'Conversion time in the future',
+        test: (row, dates) => dates.conversion !== null && dates.conversion.getTime() > now
+      },
+      {
+        column: 'Last Impression Time',
+        description: 'Last impression after the conversion',
+        test: (row, dates) => dates.conversion !== null && dates.last !== null && dates.last > dates.conversion
+      },
+      {
+        column: 'First Impression Time',
+        description: `First impression more than ${this.maxLookbackDays} days before the conversion`,
+        test: (row, dates) => dates.conversion !== null && dates.first !== null &&
+          dates.conversion - dates.first > this.maxLookbackDays * day
+      }
+    ];
+
+    const matches = checks.map(() => []);
+
+    rows.forEach((row, index) => {
+      const dates = {
+        conversion: this.parseDate(row['Conversion Time']),
+        first: this.parseDate(row['First Impression Time']),
+        last: this.parseDate(row['Last Impression Time'])
+      };
+      checks.forEach((check, checkIndex) => {
+        if (check.test(row, dates)) {
+          matches[checkIndex].push(index);
+        }
+      });
+    });
+
+    return checks
+      .map((check, checkIndex) => matches[checkIndex].length > 0 ?
+        this.createIssue('Implausible', check.column, check.description, matches[checkIndex]) :
+        null)
+      .filter(Boolean);
+  }
+
+  /**
+   * Find rows sharing a Conversion ID
+   * @param {Array} rows - Loaded rows
+   * @returns {Array} - Indexes of every row whose ID is not unique
+   */
+  findDuplicateIds(rows) {
+    const indexesById = new Map();
+
+    rows.forEach((row, index) => {
+      const id = row['Conversion ID'];
+      if (this.rowValidator.isBlank(id)) return;
+
+      const key = String(id);
+      if (!indexesById.has(key)) {
+        indexesById.set(key, []);
+      }
+      indexesById.get(key).push(index);
+    });
+
+    const duplicates = [];
+    indexesById.forEach(indexes => {
+      if (indexes.length > 1) {
+        indexes.forEach(index => duplicates.push(index));
+      }
+    });
+
+    return duplicates.sort((a, b) => a - b);
+  }
+
+  /**
+   * Get the upper outlier fence of a set of values (third quartile plus three interquartile ranges)
+   * @param {Array} values - Positive numbers
+   * @returns {number|null} - Limit, or null when there are too few values to judge
+   */
+  getOutlierLimit(values) {
+    if (values.length < 20) return null;
+
+    const sorted = values.slice().sort((a, b) => a - b);
+    const quartile = fraction => sorted[Math.floor((sorted.length - 1) * fraction)];
+    const q1 = quartile(0.25);
+    const q3 = quartile(0.75);
+
+    return q3 + 3 * (q3 - q1);
+  }
+
+  /**
+   * Parse an optional timestamp
+   * @param {*} value - Raw timestamp value
+   * @returns {Date|null} - Parsed date, or null if blank or unparseable
+   */
+  parseDate(value) {
+    return this.rowValidator.isBlank(value) ? null : this.rowValidator.parseDate(value);
+  }
+
+  /**
+   * Create an issue
+   * @param {string} category - 'Completeness', 'Type', 'Negative', 'Implausible' or 'Duplicate'
+   * @param {string} column - Column the issue is about
+   * @param {string} description - What is wrong
+   * @param {Array} rowIndexes - Indexes of the affected rows
+   * @returns {Object} - Issue
+   */
+  createIssue(category, column, description, rowIndexes) {
+    return { category, column, description, rowIndexes };
+  }
+
+  /**
+   * Describe a column type for issue text
+   * @param {string} type - Column type
+   * @returns {string} - Readable type name
+   */
+  describeType(type) {
+    return { datetime: 'date and time', count: 'whole number', number: 'number' }[type] || type;
+  }
+}
@@ -0,0 +1,155 @@
+// Data quality tab for Trader Visualization Dashboard
+
+/**
+ * Class to show the data quality of the loaded rows and link each issue to
+ * the data table, filtered to the affected rows
+ */
+class DataQualityPanel {
+  constructor(dataProcessor, chartVisualizer) {
+    this.dataProcessor = dataProcessor;
+    this.chartVisualizer = chartVisualizer;
+    this.report = null;
+  }
+
+  /**
+   * Analyze the loaded rows and render the tab
+   */
+  render() {
+    const container = document.getElementById('data-quality-container');
+    if (!container) return;
+
+    // Checks cover the whole dataset, not just the filtered rows
+    const analyzer = new DataQualityAnalyzer({ timeZone: this.dataProcessor.timeZone });
+    this.report = analyzer.analyze(this.dataProcessor.rawData || []);
+
+    container.innerHTML = '';
+    container.appendChild(this.createIssueSection(this.report));
+    container.appendChild(this.createColumnSection(this.report));
+  }
+
+  /**
+   * Create the list of issues with links to the affected rows
+   * @param {Object} report - Report from DataQualityAnalyzer
+   * @returns {HTMLElement} - Issue section element
+   */
+  createIssueSection(report) {
+    const section = document.createElement('div');
+    section.className = 'chart-container full-width data-quality-section';
+
+    if (report.issues.length === 0) {
+      section.innerHTML = `
+        <div class="chart-header"><h3>Issues</h3></div>
+        <p>No issues found in ${report.rowCount.toLocaleString()} rows.</p>
+      `;
+      return section;
+    }
+
+    const rows = report.issues.map((issue, index) => `
+      <tr>
+        <td><span class="quality-category quality-${issue.category.toLowerCase()}">${issue.category}</span></td>
+        <td>${this.escapeHtml(issue.column)}</td>
+        <td>${this.escapeHtml(issue.description)}</td>
+        <td>${issue.rowIndexes.length.toLocaleString()}</td>
+        <td>${this.formatPercent((issue.rowIndexes.length / report.rowCount) * 100)}</td>
+        <td><button type="button" class="btn btn-sm btn-outline-primary quality-view-btn" data-issue="${index}">View Rows</button></td>
+      </tr>
+    `).join('');
+
+    section.innerHTML = `
+      <div class="chart-header"><h3>Issues</h3></div>
+      <p>${report.issues.length} check${report.issues.length === 1 ? '' : 's'} failed across ${report.rowCount.toLocaleString()} rows. Checks cover every loaded row, regardless of filters.</p>
+      <table class="table table-sm data-quality-table">
+        <thead>
+          <tr><th>Check</th><th>Column</th><th>Issue</th><th>Rows</th><th>% of Rows</th><th></th></tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    `;
+
+    section.querySelectorAll('.quality-view-btn').forEach(button => {
+      button.addEventListener('click', () => {
+        this.showAffectedRows(report.issues[parseInt(button.dataset.issue, 10)]);
+      });
+    });
+
+    return section;
+  }
+
+  /**
+   * Create the per-column profile table
+   * @param {Object} report - Report from DataQualityAnalyzer
+   * @returns {HTMLElement} - Column section element
+   */
+  createColumnSection(report) {
+    const section = document.createElement('div');
+    section.className = 'chart-container full-width data-quality-section';
+
+    const rows = report.columns.map(column => `
+      <tr>
+        <td>${this.escapeHtml(column.name)}</td>
+        <td>${column.type}</td>
+        <td>
+          <div class="quality-bar" title="${this.formatPercent(column.blankRate)} blank">
+            <div class="quality-bar-fill" style="width: ${column.blankRate}%;"></div>
+          </div>
+          ${this.formatPercent(column.blankRate)}
+        </td>
+        <td>${column.distinctCount.toLocaleString()}</td>
+        <td>${column.conformance === null ? '—' : this.formatPercent(column.conformance)}</td>
+      </tr>
+    `).join('');
+
+    section.innerHTML = `
+      <div class="chart-header"><h3>Columns</h3></div>
+      <table class="table table-sm data-quality-table">
+        <thead>
+          <tr><th>Column</th><th>Type</th><th>Blank</th><th>Distinct Values</th><th>Type Conformance</th></tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    `;
+
+    return section;
+  }
+
+  /**
+   * Open the data table showing only the rows affected by an issue
+   * @param {Object} issue - Issue from DataQualityAnalyzer
+   */
+  showAffectedRows(issue) {
+    // Table rows are built from rawData in the same order, so indexes line up
+    const tableData = this.dataProcessor.processedData.tableData;
+    const rows = issue.rowIndexes.map(index => tableData[index]);
+
+    this.chartVisualizer.showTableSubset(rows, `${issue.column}: ${issue.description}`);
+
+    const tableTab = document.getElementById('table-tab');
+    if (tableTab && typeof bootstrap !== 'undefined') {
+      bootstrap.Tab.getOrCreateInstance(tableTab).show();
+    }
+  }
+
+  /**
+   * Format a percentage for display
+   * @param {number} value - Percentage (0-100)
+   * @returns {string} - Formatted percentage
+   */
+  formatPercent(value) {
+    if (value > 0 && value < 0.1) return '&lt;0.1%';
+    return `${value.toFixed(1)}%`;
+  }
+
+  /**
+   * Escape a value for safe insertion into HTML
+   * @param {*} value - Value to escape
+   * @returns {string} - Escaped string
+   */
+  escapeHtml(value) {
+    return String(value === undefined || value === null ? '' : value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+}
@@ -0,0 +1,125 @@
+// Dataset merging for Trader Visualization Dashboard
+
+/**
+ * Merges rows from several exports into one dataset, de-duplicating on Conversion ID
+ */
+class DatasetMerger {
+  /**
+   * @param {Object} options - Merge options
+   * @param {string} options.keyColumn - Column that uniquely identifies a conversion
+   * @param {number} options.maxConflictDetails - Number of conflicts to keep details for
+   */
+  constructor(options = {}) {
+    this.keyColumn = options.keyColumn || 'Conversion ID';
+    this.maxConflictDetails = options.maxConflictDetails || 100;
+    this.rows = [];
+    this.rowsByKey = new Map();
+    this.fileStats = {};
+    this.duplicates = 0;
+    this.conflicts = 0;
+    this.conflictDetails = [];
+    this.missingKey = 0;
+  }
+
+  /**
+   * Add rows from one source file, tagging each with its source
+   * @param {Array} rows - Parsed rows from the file
+   * @param {string} sourceName - Name of the source file
+   * @returns {Array} - The rows kept, i.e. not dropped as duplicates
+   */
+  addRows(rows, sourceName) {
+    if (!this.fileStats[sourceName]) {
+      this.fileStats[sourceName] = { name: sourceName, rows: 0, added: 0, duplicates: 0, conflicts: 0 };
+    }
+    const stats = this.fileStats[sourceName];
+    const added = [];
+
+    rows.forEach(row => {
+      stats.rows++;
+      row['Source File'] = sourceName;
+
+      const key = row[this.keyColumn];
+      if (key === undefined || key === null || key === '') {
+        // Rows without an ID cannot be de-duplicated, so keep them all
+        this.missingKey++;
+        this.rows.push(row);
+        added.push(row);
+        stats.added++;
+        return;
+      }
+
+      // CSV values stay text while workbook and JSON values can be numbers, so compare IDs as text
+      const existing = this.rowsByKey.get(String(key));
+      if (!existing) {
+        this.rowsByKey.set(String(key), row);
+        this.rows.push(row);
+        added.push(row);
+        stats.added++;
+        return;
+      }
+
+      // Keep the first occurrence, but record whether the copies disagree
+      this.duplicates++;
+      stats.duplicates++;
+
+      const differingFields = this.findDifferingFields(existing, row);
+      if (differingFields.length > 0) {
+        this.conflicts++;
+        stats.conflicts++;
+
+        if (this.conflictDetails.length < this.maxConflictDetails) {
+          this.conflictDetails.push({
+            conversionId: key,
+            keptFrom: existing['Source File'],
+            droppedFrom: sourceName,
+            fields: differingFields
+          });
+        }
+      }
+    });
+
+    return added;
+  }
+
+  /**
+   * Find fields whose values differ between two copies of a conversion
+   * @param {Object} kept - Row already in the dataset
+   * @param {Object} candidate - Duplicate row being dropped
+   * @returns {Array} - Names of differing fields
+   */
+  findDifferingFields(kept, candidate) {
+    const fields = new Set([...Object.keys(kept), ...Object.keys(candidate)]);
+    fields.delete('Source File');
+
+    return Array.from(fields).filter(field => {
+      const a = kept[field] === undefined || kept[field] === null ? '' : kept[field];
+      const b = candidate[field] === undefined || candidate[field] === null ? '' : candidate[field];
+      return String(a) !== String(b);
+    });
+  }
+
+  /**
+   * Get the merged, de-duplicated rows
+   * @returns {Array} - Merged rows
+   */
+  getRows() {
+    return this.rows;
+  }
+
+  /**
+   * Get a summary of the merge
+   * @returns {Object} - Merge report
+   */
+  getReport() {
+    const files = Object.values(this.fileStats);
+    return {
+      files,
+      totalRows: files.reduce((sum, file) => sum + file.rows, 0),
+      uniqueRows: this.rows.length,
+      duplicates: this.duplicates,
+      conflicts: this.conflicts,
+      conflictDetails: this.conflictDetails,
+      missingKey: this.missingKey
+    };
+  }
+}
@@ -0,0 +1,389 @@
+// Local dataset library for Trader Visualization Dashboard
+
+/**
+ * Class to save parsed datasets and their dashboard state in IndexedDB so they
+ * can be reopened after a reload without uploading the files again
+ */
+class DatasetStore {
+  constructor() {
+    this.dbName = 'traderDashboard';
+    this.dbVersion = 1;
+    this.rowsPerChunk = 5000;
+    this.lastDatasetKey = 'traderDashboard.lastDatasetId';
+    this.dbPromise = null;
+  }
+
+  /**
+   * Check whether IndexedDB is available
+   * @returns {boolean} - True if datasets can be stored
+   */
+  isAvailable() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  /**
+   * Open the database, creating the object stores on first use
+   * @returns {Promise} - Promise resolving to the IDBDatabase
+   */
+  open() {
+    if (this.dbPromise) return this.dbPromise;
+
+    this.dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.dbName, this.dbVersion);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        // Dataset metadata and state, small enough to list quickly
+        if (!db.objectStoreNames.contains('datasets')) {
+          db.createObjectStore('datasets', { keyPath: 'id' });
+        }
+        // Rows split into chunks so large datasets do not need one huge record
+        if (!db.objectStoreNames.contains('chunks')) {
+          db.createObjectStore('chunks', { keyPath: ['datasetId', 'index'] });
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    // Allow a later retry if opening failed, e.g. in private browsing
+    this.dbPromise.catch(() => {
+      this.dbPromise = null;
+    });
+
+    return this.dbPromise;
+  }
+
+  /**
+   * Run a request in a transaction and wait for the transaction to finish
+   * @param {string|Array} storeNames - Object stores used
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} callback - Called with the transaction; may return an IDBRequest whose result is wanted
+   * @returns {Promise} - Promise resolving to the request's result once the transaction completes
+   */
+  transaction(storeNames, mode, callback) {
+    return this.open().then(db => new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeNames, mode);
+      let result;
+
+      transaction.oncomplete = () => resolve(result instanceof IDBRequest ? result.result : undefined);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+
+      result = callback(transaction);
+    }));
+  }
+
+  /**
+   * Save a dataset
+   * @param {Object} dataset - Dataset to save
+   * @param {string} dataset.name - Display name
+   * @param {Array} dataset.rows - Parsed rows
+   * @param {Array} dataset.sourceFiles - Names of the files the rows came from
+   * @param {Object} dataset.dateRange - Optional { start, end } conversion dates covered by the rows
+   * @param {Object} dataset.timeZones - Optional { source, reporting } time zones of the dataset
+   * @returns {Promise} - Promise resolving to the saved metadata
+   */
+  saveDataset(dataset) {
+    const now = new Date().toISOString();
+    const chunkCount = Math.ceil(dataset.rows.length / this.rowsPerChunk);
+    const metadata = {
+      id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      name: dataset.name,
+      createdAt: now,
+      updatedAt: now,
+      rowCount: dataset.rows.length,
+      sourceFiles: dataset.sourceFiles || [],
+      chunkCount,
+      activeFilters: {},
+      timeZones: dataset.timeZones || null,
+      // The first upload is batch 1; appended batches follow it
+      batches: [this.createBatch(1, dataset, 0, chunkCount, now)]
+    };
+
+    // Write chunks first and metadata last, so a failed save never lists a partial dataset
+    return this.writeChunks(metadata.id, dataset.rows)
+      .then(() => this.transaction('datasets', 'readwrite', transaction => {
+        transaction.objectStore('datasets').put(metadata);
+      }))
+      .then(() => metadata)
+      .catch(error => {
+        return this.deleteChunks(metadata.id)
+          .catch(() => {})
+          .then(() => { throw error; });
+      });
+  }
+
+  /**
+   * Append a batch of rows to a saved dataset
+   * @param {string} id - Dataset ID
+   * @param {Object} batch - Batch to append
+   * @param {Array} batch.rows - Rows that were not already in the dataset
+   * @param {Array} batch.sourceFiles - Names of the files the batch came from
+   * @param {number} batch.skippedRows - Rows left out because their Conversion ID was already stored
+   * @param {Object} batch.dateRange - Optional { start, end } conversion dates covered by the rows
+   * @returns {Promise} - Promise resolving to the updated metadata
+   */
+  appendBatch(id, batch) {
+    return this.getDataset(id).then(metadata => {
+      if (!metadata) {
+        throw new Error('The dataset no longer exists.');
+      }
+
+      // Chunks of a batch follow the existing ones, so rows keep their order on reload
+      const firstChunk = metadata.chunkCount;
+      const chunkCount = Math.ceil(batch.rows.length / this.rowsPerChunk);
+      const batches = this.getBatches(metadata);
+      const record = this.createBatch(batches.length + 1, batch, firstChunk, chunkCount, new Date().toISOString());
+
+      return this.writeChunks(id, batch.rows, firstChunk)
+        .then(() => this.updateDataset(id, {
+          rowCount: metadata.rowCount + batch.rows.length,
+          chunkCount: firstChunk + chunkCount,
+          sourceFiles: Array.from(new Set([...metadata.sourceFiles, ...(batch.sourceFiles || [])])),
+          batches: [...batches, record]
+        }))
+        .catch(error => {
+          // Drop the chunks written past the old end so they are never loaded with the dataset
+          return this.deleteChunks(id, firstChunk)
+            .catch(() => {})
+            .then(() => { throw error; });
+        });
+    });
+  }
+
+  /**
+   * Remove the most recently appended batch of a dataset
+   * @param {string} id - Dataset ID
+   * @returns {Promise} - Promise resolving to { metadata, batch } with the updated metadata and the removed batch
+   */
+  rollbackLastBatch(id) {
+    return this.getDataset(id).then(metadata => {
+      const batches = metadata ? this.getBatches(metadata) : [];
+      if (batches.length < 2) {
+        throw new Error('Only appended batches can be rolled back.');
+      }
+
+      const batch = batches[batches.length - 1];
+      const remaining = batches.slice(0, -1);
+
+      return this.deleteChunks(id, batch.firstChunk)
+        .then(() => this.updateDataset(id, {
+          rowCount: metadata.rowCount - batch.rowCount,
+          chunkCount: batch.firstChunk,
+          sourceFiles: Array.from(new Set(remaining.flatMap(item => item.sourceFiles))),
+          batches: remaining
+        }))
+        .then(updated => ({ metadata: updated, batch }));
+    });
+  }
+
+  /**
+   * Get the batches of a dataset, treating datasets saved before batches were tracked as one batch
+   * @param {Object} metadata - Dataset metadata
+   * @returns {Array} - Batches, oldest first
+   */
+  getBatches(metadata) {
+    if (metadata.batches) return metadata.batches;
+
+    return [this.createBatch(1, {
+      rows: { length: metadata.rowCount },
+      sourceFiles: metadata.sourceFiles
+    }, 0, metadata.chunkCount, metadata.createdAt)];
+  }
+
+  /**
+   * Create the metadata record of a batch
+   * @param {number} number - Batch number, starting at 1
+   * @param {Object} batch - Batch rows, sourceFiles, skippedRows and dateRange
+   * @param {number} firstChunk - Index of the batch's first chunk
+   * @param {number} chunkCount - Number of chunks the batch occupies
+   * @param {string} addedAt - ISO timestamp
+   * @returns {Object} - Batch record
+   */
+  createBatch(number, batch, firstChunk, chunkCount, addedAt) {
+    const dateRange = batch.dateRange || {};
+    const toIso = date => (date ? new Date(date).toISOString() : null);
+
+    return {
+      number,
+      addedAt,
+      sourceFiles: batch.sourceFiles || [],
+      rowCount: batch.rows.length,
+      skippedRows: batch.skippedRows || 0,
+      dateRange: { start: toIso(dateRange.start), end: toIso(dateRange.end) },
+      firstChunk,
+      chunkCount
+    };
+  }
+
+  /**
+   * Write rows in chunks, one transaction per batch of chunks
+   * @param {string} datasetId - Dataset ID
+   * @param {Array} rows - Rows to write
+   * @param {number} firstIndex - Chunk index to start at
+   * @returns {Promise} - Promise resolving when every chunk is written
+   */
+  writeChunks(datasetId, rows, firstIndex = 0) {
+    const chunksPerTransaction = 20;
+    const chunkCount = Math.ceil(rows.length / this.rowsPerChunk);
+    let promise = Promise.resolve();
+
+    for (let first = 0; first < chunkCount; first += chunksPerTransaction) {
+      promise = promise.then(() => this.transaction('chunks', 'readwrite', transaction => {
+        const store = transaction.objectStore('chunks');
+        const last = Math.min(first + chunksPerTransaction, chunkCount);
+        for (let chunk = first; chunk < last; chunk++) {
+          const start = chunk * this.rowsPerChunk;
+          store.put({ datasetId, index: firstIndex + chunk, rows: rows.slice(start, start + this.rowsPerChunk) });
+        }
+      }));
+    }
+
+    return promise;
+  }
+
+  /**
+   * List saved datasets, newest first
+   * @returns {Promise} - Promise resolving to an array of metadata
+   */
+  listDatasets() {
+    return this.transaction('datasets', 'readonly', transaction => {
+      return transaction.objectStore('datasets').getAll();
+    }).then(datasets => {
+      return (datasets || []).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    });
+  }
+
+  /**
+   * Get the metadata of a dataset
+   * @param {string} id - Dataset ID
+   * @returns {Promise} - Promise resolving to metadata, or undefined if not found
+   */
+  getDataset(id) {
+    return this.transaction('datasets', 'readonly', transaction => {
+      return transaction.objectStore('datasets').get(id);
+    });
+  }
+
+  /**
+   * Load the rows of a dataset
+   * @param {string} id - Dataset ID
+   * @returns {Promise} - Promise resolving to the rows in their original order
+   */
+  loadRows(id) {
+    const rows = [];
+
+    return this.transaction('chunks', 'readonly', transaction => {
+      const range = IDBKeyRange.bound([id, 0], [id, Infinity]);
+      const request = transaction.objectStore('chunks').openCursor(range);
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return;
+
+        // Push row by row; spreading millions of rows overflows the call stack
+        cursor.value.rows.forEach(row => rows.push(row));
+        cursor.continue();
+      };
+    }).then(() => rows);
+  }
+
+  /**
+   * Update fields of a dataset's metadata
+   * @param {string} id - Dataset ID
+   * @param {Object} changes - Fields to update, e.g. { name }, { activeFilters } or { timeZones }
+   * @returns {Promise} - Promise resolving to the updated metadata
+   */
+  updateDataset(id, changes) {
+    let updated = null;
+
+    return this.transaction('datasets', 'readwrite', transaction => {
+      const store = transaction.objectStore('datasets');
+      const request = store.get(id);
+
+      request.onsuccess = () => {
+        if (!request.result) return;
+        updated = { ...request.result, ...changes, updatedAt: new Date().toISOString() };
+        store.put(updated);
+      };
+    }).then(() => updated);
+  }
+
+  /**
+   * Rename a dataset
+   * @param {string} id - Dataset ID
+   * @param {string} name - New name
+   * @returns {Promise} - Promise resolving to the updated metadata
+   */
+  renameDataset(id, name) {
+    return this.updateDataset(id, { name });
+  }
+
+  /**
+   * Save the active filters of a dataset
+   * @param {string} id - Dataset ID
+   * @param {Object} filters - Active filters from UnifiedFilterManager
+   * @returns {Promise} - Promise resolving to the updated metadata
+   */
+  saveFilters(id, filters) {
+    return this.updateDataset(id, { activeFilters: filters || {} });
+  }
+
+  /**
+   * Delete a dataset and its rows
+   * @param {string} id - Dataset ID
+   * @returns {Promise} - Promise resolving once deleted
+   */
+  deleteDataset(id) {
+    return this.transaction('datasets', 'readwrite', transaction => {
+      transaction.objectStore('datasets').delete(id);
+    }).then(() => this.deleteChunks(id))
+      .then(() => {
+        if (this.getLastDatasetId() === id) {
+          this.setLastDatasetId(null);
+        }
+      });
+  }
+
+  /**
+   * Delete the row chunks of a dataset
+   * @param {string} id - Dataset ID
+   * @param {number} fromIndex - First chunk to delete; later chunks are deleted too
+   * @returns {Promise} - Promise resolving once deleted
+   */
+  deleteChunks(id, fromIndex = 0) {
+    return this.transaction('chunks', 'readwrite', transaction => {
+      transaction.objectStore('chunks').delete(IDBKeyRange.bound([id, fromIndex], [id, Infinity]));
+    });
+  }
+
+  /**
+   * Get the ID of the dataset opened most recently
+   * @returns {string|null} - Dataset ID
+   */
+  getLastDatasetId() {
+    try {
+      return localStorage.getItem(this.lastDatasetKey);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Remember the dataset opened most recently
+   * @param {string|null} id - Dataset ID, or null to forget it
+   */
+  setLastDatasetId(id) {
+    try {
+      if (id) {
+        localStorage.setItem(this.lastDatasetKey, id);
+      } else {
+        localStorage.removeItem(this.lastDatasetKey);
+      }
+    } catch (error) {
+      console.warn('Unable to remember the last dataset:', error);
+    }
+  }
+}
@@ -8,6 +8,7 @@ class DevicePathVisualizer {
     this.dataProcessor = dataProcessor;
     this.chartVisualizer = chartVisualizer;
     this.charts = {};
+    this.statistic = 'avgTime';
     this.colorPalette = [
       '#4e79a7', '#f28e2c', '#e15759', '#76b7b2', 
       '#59a14f', '#edc949', '#af7aa1', '#ff9da7', 
@@ -22,9 +23,13 @@ class DevicePathVisualizer {
   initializeVisualizations(data) {
     if (!data || !data.devicePathAnalysis) return;
     
+    this.data = data;
     this.createDevicePathDistribution(data.devicePathAnalysis.paths);
     this.createDevicePathSankey(data.devicePathAnalysis.flows, data.devicePathAnalysis.nodes);
-    this.createDevicePathTimeToConvert(data.devicePathAnalysis.timeToConvert);
+    this.createDevicePathTimeToConvert(
+      data.devicePathAnalysis.timeToConvert,
+      data.timeToConvert && data.timeToConvert.definition
+    );
   }
 
   /**
@@ -122,138 +127,36 @@ class DevicePathVisualizer {
    */
   createDevicePathSankey(flows, nodes) {
     const container = document.getElementById('device-sankey-container');
-    if (!container || !window.d3) {
-      // If D3 is not available, show a message
-      if (container) {
-        container.innerHTML = '<div class="chart-placeholder">Sankey diagram requires D3.js library</div>';
-      }
-      return;
-    }
-    
-    // Clear previous content
-    container.innerHTML = '';
+    if (!container) return;
     
-    // Create SVG element
-    const width = container.clientWidth;
-    const height = 400;
-    
-    const svg = d3.select(container)
-      .append('svg')
-      .attr('width', width)
-      .attr('height', height);
-    
-    // Create Sankey generator
-    const sankey = d3.sankey()
-      .nodeWidth(15)
-      .nodePadding(10)
-      .extent([[1, 1], [width - 1, height - 5]]);
-    
-    // Format data for D3 Sankey
-    const nodeMap = {};
-    nodes.forEach((node, i) => {
-      nodeMap[node.name] = i;
+    this.charts.deviceSankey = this.chartVisualizer.createSankey(container, nodes, flows, {
+      colors: this.colorPalette
     });
-    
-    // Remove circular links which D3 Sankey cannot process
-    const adjacency = {};
-    const filteredFlows = [];
-
-    const createsCycle = (src, tgt, visited = new Set()) => {
-      if (src === tgt) return true;
-      if (!adjacency[src]) return false;
-      if (visited.has(src)) return false;
-      visited.add(src);
-      return adjacency[src].some(next => createsCycle(next, tgt, visited));
-    };
-
-    flows.forEach(flow => {
-      const { source, target, value } = flow;
-      if (!createsCycle(target, source)) {
-        filteredFlows.push({ source, target, value });
-        (adjacency[source] = adjacency[source] || []).push(target);
-      }
-    });
-
-    const sankeyData = {
-      nodes: nodes,
-      links: filteredFlows.map(flow => ({
-        source: nodeMap[flow.source],
-        target: nodeMap[flow.target],
-        value: flow.value
-      }))
-    };
-
-    // Generate Sankey layout
-    let sankeyNodes, sankeyLinks;
-    try {
-      ({ nodes: sankeyNodes, links: sankeyLinks } = sankey(sankeyData));
-    } catch (err) {
-      console.error('Sankey generation error:', err);
-      container.innerHTML = '<div class="chart-placeholder">Unable to render Sankey diagram</div>';
-      return;
-    }
-    
-    // Draw links
-    svg.append('g')
-      .selectAll('path')
-      .data(sankeyLinks)
-      .enter()
-      .append('path')
-      .attr('d', d3.sankeyLinkHorizontal())
-      .attr('stroke-width', d => Math.max(1, d.width))
-      .attr('stroke', (d, i) => this.colorPalette[i % this.colorPalette.length])
-      .attr('stroke-opacity', 0.5)
-      .attr('fill', 'none')
-      .append('title')
-      .text(d => `${d.source.name} → ${d.target.name}\n${d.value} conversions`);
-    
-    // Draw nodes
-    const node = svg.append('g')
-      .selectAll('rect')
-      .data(sankeyNodes)
-      .enter()
-      .append('rect')
-      .attr('x', d => d.x0)
-      .attr('y', d => d.y0)
-      .attr('height', d => d.y1 - d.y0)
-      .attr('width', d => d.x1 - d.x0)
-      .attr('fill', (d, i) => this.colorPalette[i % this.colorPalette.length])
-      .attr('stroke', '#000')
-      .append('title')
-      .text(d => `${d.name}\n${d.value} conversions`);
-    
-    // Add node labels
-    svg.append('g')
-      .selectAll('text')
-      .data(sankeyNodes)
-      .enter()
-      .append('text')
-      .attr('x', d => d.x0 < width / 2 ? d.x1 + 6 : d.x0 - 6)
-      .attr('y', d => (d.y1 + d.y0) / 2)
-      .attr('dy', '0.35em')
-      .attr('text-anchor', d => d.x0 < width / 2 ? 'start' : 'end')
-      .text(d => d.name)
-      .attr('font-size', '10px')
-      .attr('font-family', 'sans-serif');
-    
-    // Store reference to the SVG
-    this.charts.deviceSankey = svg;
   }
 
   /**
    * Create device path time to convert chart
    * @param {Object} timeData - Device path time to convert data
+   * @param {Object} definition - How time to convert is measured, { name, label }
    */
-  createDevicePathTimeToConvert(timeData) {
+  createDevicePathTimeToConvert(timeData, definition) {
     const ctx = document.getElementById('device-path-time-chart');
     if (!ctx) return;
     
-    // Sort paths by average time to convert
+    // Choose between the average, median and percentiles from the chart's header
+    this.chartVisualizer.addHeaderSelect('device-path-time', EnhancedDataProcessor.timeToConvertStatistics, this.statistic, value => {
+      this.statistic = value;
+      this.updateVisualizations(this.data);
+    });
+    const statistic = this.statistic;
+    const statisticLabel = EnhancedDataProcessor.timeToConvertStatistics[statistic];
+    
+    // Sort paths by the plotted time to convert
     const sortedPaths = Object.entries(timeData)
-      .sort((a, b) => b[1].avgTime - a[1].avgTime);
+      .sort((a, b) => b[1][statistic] - a[1][statistic]);
     
     const paths = sortedPaths.map(([path]) => path);
-    const avgTimes = sortedPaths.map(([, data]) => data.avgTime.toFixed(2));
+    const times = sortedPaths.map(([, data]) => data[statistic].toFixed(2));
     const counts = sortedPaths.map(([, data]) => data.count);
     
     this.charts.devicePathTime = new Chart(ctx, {
@@ -262,8 +165,8 @@ class DevicePathVisualizer {
         labels: paths,
         datasets: [
           {
-            label: 'Avg. Days to Convert',
-            data: avgTimes,
+            label: `${statisticLabel} Days to Convert`,
+            data: times,
             backgroundColor: 'rgba(78, 121, 167, 0.7)',
             borderColor: 'rgba(78, 121, 167, 1)',
             borderWidth: 1,
@@ -297,7 +200,8 @@ class DevicePathVisualizer {
             beginAtZero: true,
             title: {
               display: true,
-              text: 'Average Days to Convert'
+              text: definition ?
+                `${statisticLabel} Days to Convert (${definition.label})` : `${statisticLabel} Days to Convert`
             },
             position: 'left'
           },
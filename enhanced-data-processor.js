@@ -8,10 +8,20 @@ class EnhancedDataProcessor extends DataProcessor {
     super();
     this.devicePaths = {};
     this.timeToConvertData = {};
+    this.timeToConvertDefinition = 'firstToLastImpression'; // Timestamps time to convert is measured between
+    this.attributionHalfLife = AttributionModel.defaultHalfLifeDays; // Days, for the time-decay attribution model
     this.sitePerformance = {
       firstImpressionSites: {},
       lastImpressionSites: {}
     };
+    
+    // Filters on the enhanced columns
+    this.filterDimensions = {
+      ...this.filterDimensions,
+      attributionModel: ['Cross Device Attribution Model'],
+      lastImpressionSite: ['Last Impression Site'],
+      sourceFile: ['Source File']
+    };
   }
 
   /**
@@ -55,7 +65,8 @@ class EnhancedDataProcessor extends DataProcessor {
     const filters = {
       attributionModels: new Set(),
       firstImpressionSites: new Set(),
-      lastImpressionSites: new Set()
+      lastImpressionSites: new Set(),
+      sourceFiles: new Set()
     };
 
     this.rawData.forEach(row => {
@@ -71,13 +82,19 @@ class EnhancedDataProcessor extends DataProcessor {
       if (row['Last Impression Site']) {
         filters.lastImpressionSites.add(row['Last Impression Site']);
       }
+      
+      // Source file the row was merged from
+      if (row['Source File']) {
+        filters.sourceFiles.add(row['Source File']);
+      }
     });
 
     // Add new filters to the existing filters object
     this.filters = {
       ...this.filters,
       attributionModels: Array.from(filters.attributionModels).filter(Boolean).sort(),
-      lastImpressionSites: Array.from(filters.lastImpressionSites).filter(Boolean).sort()
+      lastImpressionSites: Array.from(filters.lastImpressionSites).filter(Boolean).sort(),
+      sourceFiles: Array.from(filters.sourceFiles).filter(Boolean).sort()
     };
   }
 
@@ -89,7 +106,9 @@ class EnhancedDataProcessor extends DataProcessor {
       ...this.processedData,
       timeToConvert: this.prepareTimeToConvertAnalysis(),
       devicePathAnalysis: this.prepareDevicePathAnalysis(),
-      sitePerformance: this.prepareSitePerformanceAnalysis()
+      sitePerformance: this.prepareSitePerformanceAnalysis(),
+      attribution: this.prepareAttributionAnalysis(),
+      handoff: this.prepareHandoffAnalysis()
     };
   }
 
@@ -113,6 +132,11 @@ class EnhancedDataProcessor extends DataProcessor {
     
     // Recalculate all datasets with filtered data
     const tempProcessor = new EnhancedDataProcessor();
+    tempProcessor.timeZone = this.timeZone;
+    tempProcessor.currency = this.currency;
+    tempProcessor.bucketSchemes = this.bucketSchemes;
+    tempProcessor.timeToConvertDefinition = this.timeToConvertDefinition;
+    tempProcessor.attributionHalfLife = this.attributionHalfLife;
     tempProcessor.rawData = filteredData;
     tempProcessor.prepareDatasets();
     tempProcessor.prepareEnhancedDatasets();
@@ -121,27 +145,225 @@ class EnhancedDataProcessor extends DataProcessor {
   }
 
   /**
-   * Calculate time to convert in days
-   * @param {string} firstImpressionTime - First impression timestamp
-   * @param {string} lastImpressionTime - Last impression timestamp
-   * @returns {number} - Time to convert in days
+   * Describe the columns of the columnar store, adding the enhanced measures and dimensions
+   * @returns {Object} - Store schema, see ColumnarStore
+   */
+  getStoreSchema() {
+    const schema = super.getStoreSchema();
+    
+    const definition = this.getTimeToConvertDefinition();
+    schema.measures.timeToConvert = row => {
+      const timeToConvert = this.calculateTimeToConvert(row[definition.start], row[definition.end]);
+      return timeToConvert === null ? NaN : timeToConvert;
+    };
+    
+    // Impression timestamps, for time-decay attribution
+    ['First', 'Last'].forEach(position => {
+      schema.measures[`${position.toLowerCase()}ImpressionTime`] = row => {
+        const date = this.timeZone.parse(row[`${position} Impression Time`]);
+        return date ? date.getTime() : NaN;
+      };
+    });
+    
+    // Days from the first to the last impression, for the handoff analysis; NaN when unknown
+    schema.measures.impressionSpan = (row, index, store) => {
+      const span = store.getMeasure('lastImpressionTime')[index] - store.getMeasure('firstImpressionTime')[index];
+      return span >= 0 ? span / (1000 * 60 * 60 * 24) : NaN;
+    };
+    schema.measures.impressionSpanCount = (row, index, store) => (isNaN(store.getMeasure('impressionSpan')[index]) ? 0 : 1);
+    
+    schema.dimensions.push(
+      { name: 'First Impression Device Type' },
+      { name: 'Cross Device Attribution Model', indexed: true },
+      { name: 'Last Impression Site', indexed: true },
+      { name: 'Source File', indexed: true }
+    );
+    
+    return schema;
+  }
+
+  /**
+   * Describe the metrics aggregate() can compute, adding the days between first and last impression
+   * @returns {Object} - Map of metric name to { measures, value }, see DataProcessor.getAggregateMetrics
+   */
+  getAggregateMetrics() {
+    const metrics = super.getAggregateMetrics();
+    
+    // Averaged over the conversions with both impression timestamps only
+    metrics.impressionSpanDays = { measures: ['impressionSpan'], value: totals => totals.impressionSpan };
+    metrics.impressionSpanCount = { measures: ['impressionSpanCount'], value: totals => totals.impressionSpanCount };
+    metrics.avgImpressionSpan = {
+      measures: ['impressionSpan', 'impressionSpanCount'],
+      value: totals => (totals.impressionSpanCount > 0 ? totals.impressionSpan / totals.impressionSpanCount : 0)
+    };
+    
+    return metrics;
+  }
+
+  /**
+   * Ways time to convert can be measured, each from one timestamp column to another.
+   * The first, last minus first impression time, is the default.
+   * @returns {Object} - Map of definition name to { label, start, end }
    */
-  calculateTimeToConvert(firstImpressionTime, lastImpressionTime) {
-    if (!firstImpressionTime || !lastImpressionTime) return null;
+  static get timeToConvertDefinitions() {
+    return {
+      firstToLastImpression: {
+        label: 'First → Last Impression',
+        start: 'First Impression Time',
+        end: 'Last Impression Time'
+      },
+      firstImpressionToConversion: {
+        label: 'First Impression → Conversion',
+        start: 'First Impression Time',
+        end: 'Conversion Time'
+      },
+      lastImpressionToConversion: {
+        label: 'Last Impression → Conversion',
+        start: 'Last Impression Time',
+        end: 'Conversion Time'
+      }
+    };
+  }
+
+  /**
+   * Choose how time to convert is measured. Call loadData again to re-aggregate loaded rows.
+   * @param {string} name - Definition name, see timeToConvertDefinitions; empty for the default
+   */
+  setTimeToConvertDefinition(name) {
+    const definitions = EnhancedDataProcessor.timeToConvertDefinitions;
+    if (name && !definitions[name]) {
+      throw new Error(`Unknown time to convert definition "${name}". Use ${Object.keys(definitions).join(', ')}`);
+    }
     
-    const firstDate = new Date(firstImpressionTime);
-    const lastDate = new Date(lastImpressionTime);
+    this.timeToConvertDefinition = name || 'firstToLastImpression';
+    // Times to convert in the store depend on the definition
+    this.store = null;
+  }
+
+  /**
+   * Get the definition time to convert is measured with
+   * @returns {Object} - { name, label, start, end }
+   */
+  getTimeToConvertDefinition() {
+    return {
+      name: this.timeToConvertDefinition,
+      ...EnhancedDataProcessor.timeToConvertDefinitions[this.timeToConvertDefinition]
+    };
+  }
+
+  /**
+   * Calculate time to convert in days
+   * @param {string} startTime - Timestamp the time is measured from, e.g. the first impression
+   * @param {string} endTime - Timestamp the time is measured to, e.g. the conversion
+   * @returns {number|null} - Time to convert in days, or null if a timestamp is missing or the end comes first
+   */
+  calculateTimeToConvert(startTime, endTime) {
+    const startDate = this.timeZone.parse(startTime);
+    const endDate = this.timeZone.parse(endTime);
     
-    if (isNaN(firstDate.getTime()) || isNaN(lastDate.getTime())) return null;
+    if (!startDate || !endDate) return null;
     
-    // Calculate difference in milliseconds
-    const diffTime = Math.abs(lastDate - firstDate);
+    // Calculate difference in milliseconds; an end before the start is bad data, not a time to convert
+    const diffTime = endDate - startDate;
+    if (diffTime < 0) return null;
     // Convert to days
     const diffDays = diffTime / (1000 * 60 * 60 * 24);
     
     return parseFloat(diffDays.toFixed(2));
   }
 
+  /**
+   * Statistics each time to convert breakdown reports, as the charts label them
+   * @returns {Object} - Map of breakdown field to label
+   */
+  static get timeToConvertStatistics() {
+    return {
+      avgTime: 'Average',
+      median: 'Median',
+      trimmedMean: 'Trimmed Mean',
+      p25: '25th Percentile',
+      p75: '75th Percentile',
+      p90: '90th Percentile',
+      p95: '95th Percentile'
+    };
+  }
+
+  /**
+   * Summarize how times to convert are spread. Unlike the average, these are not
+   * dominated by a few very slow conversions.
+   * @param {Array} times - Times to convert in days
+   * @returns {Object} - { median, p25, p75, p90, p95, trimmedMean } in days, all 0 without times
+   */
+  summarizeTimes(times) {
+    const sorted = Float64Array.from(times).sort();
+    const round = value => parseFloat(value.toFixed(2));
+    
+    // Interpolate between the two nearest ranks
+    const percentile = p => {
+      if (sorted.length === 0) return 0;
+      const rank = (p / 100) * (sorted.length - 1);
+      const low = Math.floor(rank);
+      const high = Math.ceil(rank);
+      return round(sorted[low] + (sorted[high] - sorted[low]) * (rank - low));
+    };
+    
+    // Average without the fastest and slowest 10% of conversions
+    const trim = Math.floor(sorted.length * 0.1);
+    const kept = sorted.subarray(trim, sorted.length - trim);
+    const trimmedMean = kept.length > 0 ? kept.reduce((sum, time) => sum + time, 0) / kept.length : 0;
+    
+    return {
+      median: percentile(50),
+      p25: percentile(25),
+      p75: percentile(75),
+      p90: percentile(90),
+      p95: percentile(95),
+      trimmedMean: round(trimmedMean)
+    };
+  }
+
+  /**
+   * Build the cumulative share of conversions made within each whole number of days
+   * @param {Array} times - Times to convert in days
+   * @param {number} lastDay - Last day of the curve, so curves of different groups share a day axis
+   * @returns {Object} - { points, marks, conversions }: points as { day, percentage }, and marks giving
+   *   the days within which 50, 80 and 95% of conversions happened (null without times)
+   */
+  buildCumulativeCurve(times, lastDay) {
+    const sorted = Float64Array.from(times).sort();
+    const points = [];
+    let within = 0;
+    
+    for (let day = 0; day <= lastDay; day++) {
+      while (within < sorted.length && sorted[within] <= day) within++;
+      points.push({
+        day,
+        percentage: sorted.length > 0 ? parseFloat(((within / sorted.length) * 100).toFixed(2)) : 0
+      });
+    }
+    
+    // Nearest rank, so each mark is a time some conversion actually took
+    const marks = {};
+    [50, 80, 95].forEach(share => {
+      marks[share] = sorted.length > 0 ?
+        parseFloat(sorted[Math.ceil((share / 100) * sorted.length) - 1].toFixed(2)) : null;
+    });
+    
+    return { points, marks, conversions: sorted.length };
+  }
+
+  /**
+   * Add the average and spread of times to convert to every entry of a breakdown
+   * @param {Object} breakdown - Map of label to { totalTime, count }
+   * @param {Map} times - Map of breakdown entry to its times to convert
+   */
+  summarizeBreakdown(breakdown, times) {
+    Object.values(breakdown).forEach(data => {
+      data.avgTime = data.count > 0 ? data.totalTime / data.count : 0;
+      Object.assign(data, this.summarizeTimes(times.get(data)));
+    });
+  }
+
   /**
    * Determine device path
    * @param {string} firstImpressionDevice - First impression device type
@@ -163,15 +385,12 @@ class EnhancedDataProcessor extends DataProcessor {
    * @returns {Object} - Time to convert datasets
    */
   prepareTimeToConvertAnalysis() {
-    // Time to convert distribution
-    const timeDistribution = {
-      '0-1': 0,
-      '1-3': 0,
-      '3-7': 0,
-      '7-14': 0,
-      '14-30': 0,
-      '30+': 0
-    };
+    // Time to convert distribution, listing every bucket in order
+    const buckets = this.getBuckets('timeToConvert');
+    const timeDistribution = {};
+    buckets.getLabels().forEach(label => {
+      timeDistribution[label] = 0;
+    });
     
     // Time to convert by device
     const timeByDevice = {};
@@ -192,98 +411,78 @@ class EnhancedDataProcessor extends DataProcessor {
     let minTimeToConvert = Infinity;
     
     const conversionsByDay = {};
+    // Times to convert of all conversions and of each breakdown entry, for percentiles
+    const allTimes = [];
+    const breakdownTimes = new Map();
+    
+    const store = this.getStore();
+    const timesToConvert = store.getMeasure('timeToConvert');
+    const devices = store.getDimension('Last Impression Device Type');
+    const adFormats = store.getDimension('Last Impression Ad Format');
+    // Ad environment is used as the channel
+    const channels = store.getDimension('Last Impression Ad Environment');
+    const conversionTypes = store.getDimension('Tracking Tag Name');
+    const timesByConversionType = {};
+    
+    // Add a conversion to the breakdown entry for the row's value of a dimension
+    const addTime = (breakdown, dimension, index, timeToConvert) => {
+      const label = dimension.values[dimension.codes[index]] || 'Unknown';
+      if (!breakdown[label]) {
+        breakdown[label] = {
+          totalTime: 0,
+          count: 0,
+          conversions: 0
+        };
+        breakdownTimes.set(breakdown[label], []);
+      }
+      breakdownTimes.get(breakdown[label]).push(timeToConvert);
+      breakdown[label].totalTime += timeToConvert;
+      breakdown[label].count++;
+      breakdown[label].conversions++;
+    };
     
-    this.rawData.forEach(row => {
-      const firstImpressionTime = row['First Impression Time'];
-      const lastImpressionTime = row['Last Impression Time'];
+    this.getSelection().forEach(index => {
+      const timeToConvert = timesToConvert[index];
+      if (isNaN(timeToConvert)) return;
       
-      const timeToConvert = this.calculateTimeToConvert(firstImpressionTime, lastImpressionTime);
+      // Add to total for average calculation
+      totalTimeToConvert += timeToConvert;
+      validTimeCount++;
+      allTimes.push(timeToConvert);
       
-      if (timeToConvert !== null) {
-        // Add to total for average calculation
-        totalTimeToConvert += timeToConvert;
-        validTimeCount++;
-        
-        // Update min/max
-        if (timeToConvert > maxTimeToConvert) maxTimeToConvert = timeToConvert;
-        if (timeToConvert < minTimeToConvert) minTimeToConvert = timeToConvert;
-        
-        // Add to distribution
-        if (timeToConvert <= 1) timeDistribution['0-1']++;
-        else if (timeToConvert <= 3) timeDistribution['1-3']++;
-        else if (timeToConvert <= 7) timeDistribution['3-7']++;
-        else if (timeToConvert <= 14) timeDistribution['7-14']++;
-        else if (timeToConvert <= 30) timeDistribution['14-30']++;
-        else timeDistribution['30+']++;
-        
-        // Round to nearest day for conversion percentage calculation
-        const dayRounded = Math.round(timeToConvert);
-        if (!conversionsByDay[dayRounded]) {
-          conversionsByDay[dayRounded] = 0;
-        }
-        conversionsByDay[dayRounded]++;
-        
-        // Add to device analysis
-        const device = row['Last Impression Device Type'] || 'Unknown';
-        if (!timeByDevice[device]) {
-          timeByDevice[device] = {
-            totalTime: 0,
-            count: 0,
-            conversions: 0
-          };
-        }
-        timeByDevice[device].totalTime += timeToConvert;
-        timeByDevice[device].count++;
-        timeByDevice[device].conversions++;
-        
-        // Add to ad format analysis
-        const adFormat = row['Last Impression Ad Format'] || 'Unknown';
-        if (!timeByAdFormat[adFormat]) {
-          timeByAdFormat[adFormat] = {
-            totalTime: 0,
-            count: 0,
-            conversions: 0
-          };
-        }
-        timeByAdFormat[adFormat].totalTime += timeToConvert;
-        timeByAdFormat[adFormat].count++;
-        timeByAdFormat[adFormat].conversions++;
-        
-        // Add to channel analysis (using ad environment as channel)
-        const channel = row['Last Impression Ad Environment'] || 'Unknown';
-        if (!timeByChannel[channel]) {
-          timeByChannel[channel] = {
-            totalTime: 0,
-            count: 0,
-            conversions: 0
-          };
-        }
-        timeByChannel[channel].totalTime += timeToConvert;
-        timeByChannel[channel].count++;
-        timeByChannel[channel].conversions++;
+      // Update min/max
+      if (timeToConvert > maxTimeToConvert) maxTimeToConvert = timeToConvert;
+      if (timeToConvert < minTimeToConvert) minTimeToConvert = timeToConvert;
+      
+      // Add to distribution
+      timeDistribution[buckets.getLabel(timeToConvert)]++;
+      
+      // Round to nearest day for conversion percentage calculation
+      const dayRounded = Math.round(timeToConvert);
+      if (!conversionsByDay[dayRounded]) {
+        conversionsByDay[dayRounded] = 0;
+      }
+      conversionsByDay[dayRounded]++;
+      
+      // Add to device, ad format and channel analysis
+      addTime(timeByDevice, devices, index, timeToConvert);
+      addTime(timeByAdFormat, adFormats, index, timeToConvert);
+      addTime(timeByChannel, channels, index, timeToConvert);
+      
+      const conversionType = conversionTypes.values[conversionTypes.codes[index]] || 'Unknown';
+      if (!timesByConversionType[conversionType]) {
+        timesByConversionType[conversionType] = [];
       }
+      timesByConversionType[conversionType].push(timeToConvert);
     });
     
     // Calculate average time to convert
     const avgTimeToConvert = validTimeCount > 0 ? totalTimeToConvert / validTimeCount : 0;
     
-    // Calculate average time by device
-    Object.keys(timeByDevice).forEach(device => {
-      timeByDevice[device].avgTime = timeByDevice[device].count > 0 ? 
-        timeByDevice[device].totalTime / timeByDevice[device].count : 0;
-    });
-    
-    // Calculate average time by ad format
-    Object.keys(timeByAdFormat).forEach(format => {
-      timeByAdFormat[format].avgTime = timeByAdFormat[format].count > 0 ? 
-        timeByAdFormat[format].totalTime / timeByAdFormat[format].count : 0;
-    });
-    
-    // Calculate average time by channel
-    Object.keys(timeByChannel).forEach(channel => {
-      timeByChannel[channel].avgTime = timeByChannel[channel].count > 0 ? 
-        timeByChannel[channel].totalTime / timeByChannel[channel].count : 0;
-    });
+    // Calculate average and percentile times by device, ad format and channel
+    this.summarizeBreakdown(timeByDevice, breakdownTimes);
+    this.summarizeBreakdown(timeByAdFormat, breakdownTimes);
+    this.summarizeBreakdown(timeByChannel, breakdownTimes);
     
     // Calculate time vs. conversion percentage
     const totalConversions = validTimeCount;
@@ -296,16 +495,43 @@ class EnhancedDataProcessor extends DataProcessor {
       });
     });
     
+    // Cumulative curves overall and for each breakdown, all running to the slowest conversion
+    const lastDay = Math.ceil(maxTimeToConvert);
+    const buildCurves = timesByLabel => {
+      const curves = {};
+      Object.entries(timesByLabel).forEach(([label, times]) => {
+        curves[label] = this.buildCumulativeCurve(times, lastDay);
+      });
+      return curves;
+    };
+    const breakdownCurves = breakdown => buildCurves(Object.fromEntries(
+      Object.entries(breakdown).map(([label, data]) => [label, breakdownTimes.get(data)])
+    ));
+    
+    const definition = this.getTimeToConvertDefinition();
+    
     return {
+      definition: {
+        name: definition.name,
+        label: definition.label
+      },
       distribution: timeDistribution,
       byDevice: timeByDevice,
       byAdFormat: timeByAdFormat,
       byChannel: timeByChannel,
       timeVsConversionPct: timeVsConversionPct,
+      cumulative: {
+        overall: this.buildCumulativeCurve(allTimes, lastDay),
+        byDevice: breakdownCurves(timeByDevice),
+        byAdFormat: breakdownCurves(timeByAdFormat),
+        byChannel: breakdownCurves(timeByChannel),
+        byConversionType: buildCurves(timesByConversionType)
+      },
       stats: {
         average: parseFloat(avgTimeToConvert.toFixed(2)),
         min: minTimeToConvert === Infinity ? 0 : parseFloat(minTimeToConvert.toFixed(2)),
         max: parseFloat(maxTimeToConvert.toFixed(2)),
+        ...this.summarizeTimes(allTimes),
         totalConversions: validTimeCount
       }
     };
@@ -317,77 +543,73 @@ class EnhancedDataProcessor extends DataProcessor {
    */
   prepareDevicePathAnalysis() {
     const devicePaths = {};
-    const deviceFlows = [];
+    const aggregatedFlows = {};
+    const deviceNodes = new Set();
     const devicePathTimeToConvert = {};
+    const pathTimes = new Map();
     
-    this.rawData.forEach(row => {
+    // Group by first impression and conversion device
+    this.aggregate({
+      groupBy: ['First Impression Device Type', 'Conversion Device Type'],
+      metrics: ['conversions']
+    }).forEach(row => {
       const firstDevice = row['First Impression Device Type'] || 'Unknown';
       const conversionDevice = row['Conversion Device Type'] || 'Unknown';
       
       const devicePath = this.determineDevicePath(firstDevice, conversionDevice);
       
       // Count device paths
-      if (!devicePaths[devicePath]) {
-        devicePaths[devicePath] = 0;
-      }
-      devicePaths[devicePath]++;
-      
-      // Add to device flows for Sankey diagram
-      deviceFlows.push({
-        source: firstDevice,
-        target: conversionDevice,
-        value: 1
-      });
-      
-      // Calculate time to convert for each device path
-      const firstImpressionTime = row['First Impression Time'];
-      const lastImpressionTime = row['Last Impression Time'];
+      devicePaths[devicePath] = (devicePaths[devicePath] || 0) + row.conversions;
       
-      const timeToConvert = this.calculateTimeToConvert(firstImpressionTime, lastImpressionTime);
+      // Aggregate flows with the same source and target for the Sankey diagram
+      deviceNodes.add(firstDevice);
+      deviceNodes.add(conversionDevice);
       
-      if (timeToConvert !== null) {
-        if (!devicePathTimeToConvert[devicePath]) {
-          devicePathTimeToConvert[devicePath] = {
-            totalTime: 0,
-            count: 0,
-            avgTime: 0
-          };
-        }
-        
-        devicePathTimeToConvert[devicePath].totalTime += timeToConvert;
-        devicePathTimeToConvert[devicePath].count++;
+      const key = `${firstDevice}-${conversionDevice}`;
+      if (!aggregatedFlows[key]) {
+        aggregatedFlows[key] = {
+          source: firstDevice,
+          target: conversionDevice,
+          value: 0
+        };
       }
+      aggregatedFlows[key].value += row.conversions;
     });
     
-    // Calculate average time to convert for each device path
-    Object.keys(devicePathTimeToConvert).forEach(path => {
-      const data = devicePathTimeToConvert[path];
-      data.avgTime = data.count > 0 ? data.totalTime / data.count : 0;
-    });
-    
-    // Prepare data for device path flow visualization
-    const deviceNodes = new Set();
-    deviceFlows.forEach(flow => {
-      deviceNodes.add(flow.source);
-      deviceNodes.add(flow.target);
-    });
-    
-    const nodes = Array.from(deviceNodes).map(name => ({ name }));
+    // Calculate time to convert for each device path
+    const store = this.getStore();
+    const timesToConvert = store.getMeasure('timeToConvert');
+    const firstDevices = store.getDimension('First Impression Device Type');
+    const conversionDevices = store.getDimension('Conversion Device Type');
     
-    // Aggregate flows with the same source and target
-    const aggregatedFlows = {};
-    deviceFlows.forEach(flow => {
-      const key = `${flow.source}-${flow.target}`;
-      if (!aggregatedFlows[key]) {
-        aggregatedFlows[key] = {
-          source: flow.source,
-          target: flow.target,
-          value: 0
+    this.getSelection().forEach(index => {
+      const timeToConvert = timesToConvert[index];
+      if (isNaN(timeToConvert)) return;
+      
+      const devicePath = this.determineDevicePath(
+        firstDevices.values[firstDevices.codes[index]] || 'Unknown',
+        conversionDevices.values[conversionDevices.codes[index]] || 'Unknown'
+      );
+      
+      if (!devicePathTimeToConvert[devicePath]) {
+        devicePathTimeToConvert[devicePath] = {
+          totalTime: 0,
+          count: 0,
+          avgTime: 0
         };
+        pathTimes.set(devicePathTimeToConvert[devicePath], []);
       }
-      aggregatedFlows[key].value += flow.value;
+      
+      pathTimes.get(devicePathTimeToConvert[devicePath]).push(timeToConvert);
+      devicePathTimeToConvert[devicePath].totalTime += timeToConvert;
+      devicePathTimeToConvert[devicePath].count++;
     });
     
+    // Calculate average and percentile times to convert for each device path
+    this.summarizeBreakdown(devicePathTimeToConvert, pathTimes);
+    
+    const nodes = Array.from(deviceNodes).map(name => ({ name }));
+    
     return {
       paths: devicePaths,
       flows: Object.values(aggregatedFlows),
@@ -397,35 +619,172 @@ class EnhancedDataProcessor extends DataProcessor {
   }
 
   /**
-   * Prepare site performance analysis data
-   * @returns {Object} - Site performance datasets
+   * Levels conversions are attributed at, each named by the suffix of its First and Last Impression columns
+   * @returns {Object} - Map of level to column suffix
    */
-  prepareSitePerformanceAnalysis() {
-    const lastImpressionSites = {};
-    
-    this.rawData.forEach(row => {
-      const site = row['Last Impression Site'];
-      if (site) {
-        if (!lastImpressionSites[site]) {
-          lastImpressionSites[site] = {
-            conversions: 0,
-            impressions: 0,
-            monetaryValue: 0
-          };
+  static get attributionLevels() {
+    return {
+      campaigns: 'Campaign Name',
+      adGroups: 'Ad Group Name',
+      creatives: 'Creative Name'
+    };
+  }
+
+  /**
+   * Set the half-life of the time-decay attribution model
+   * @param {number} days - Days after which an impression's weight halves; empty for the default
+   */
+  setAttributionHalfLife(days) {
+    const model = new AttributionModel({ type: 'timeDecay', halfLifeDays: days === '' ? null : days });
+    this.attributionHalfLife = model.halfLifeDays;
+  }
+
+  /**
+   * Get every attribution model, configured with the current settings
+   * @returns {Array} - Attribution models, see AttributionModel
+   */
+  getAttributionModels() {
+    return Object.keys(AttributionModel.types).map(type => new AttributionModel({
+      type,
+      halfLifeDays: this.attributionHalfLife
+    }));
+  }
+
+  /**
+   * Credit conversions and value to the first and last impression campaigns, ad groups and creatives
+   * under every attribution model, so the models can be compared side by side
+   * @returns {Object} - { models, halfLifeDays, byModel } where byModel maps a model type to
+   *   { campaigns, adGroups, creatives }, each a map of name to fractional { conversions, monetaryValue }
+   */
+  prepareAttributionAnalysis() {
+    const store = this.getStore();
+    const models = this.getAttributionModels();
+    const monetaryValues = store.getMeasure('monetaryValue');
+    const impressions = store.getMeasure('impressions');
+    const conversionTimes = store.getMeasure('conversionTime');
+    const firstTimes = store.getMeasure('firstImpressionTime');
+    const lastTimes = store.getMeasure('lastImpressionTime');
+    const dayLength = 1000 * 60 * 60 * 24;
+    
+    // Give every name seen in either the first or the last impression column one slot,
+    // with slot 0 holding the middle impressions' share
+    const levels = Object.entries(EnhancedDataProcessor.attributionLevels).map(([level, suffix]) => {
+      const names = [AttributionModel.middleTouchLabel];
+      const slots = new Map();
+      const slotsOf = dimension => dimension.values.map(value => {
+        const name = value || 'Unknown';
+        if (!slots.has(name)) {
+          slots.set(name, names.length);
+          names.push(name);
         }
+        return slots.get(name);
+      });
+      
+      const first = store.getDimension(`First Impression ${suffix}`);
+      const last = store.getDimension(`Last Impression ${suffix}`);
+      const firstSlots = slotsOf(first);
+      const lastSlots = slotsOf(last);
+      
+      return {
+        level,
+        names,
+        first: first.codes.map(code => firstSlots[code]),
+        last: last.codes.map(code => lastSlots[code]),
+        conversions: models.map(() => new Float64Array(names.length)),
+        values: models.map(() => new Float64Array(names.length))
+      };
+    });
+    
+    this.getSelection().forEach(index => {
+      const value = isNaN(monetaryValues[index]) ? 0 : monetaryValues[index];
+      const touch = {
+        impressions: impressions[index],
+        firstAge: (conversionTimes[index] - firstTimes[index]) / dayLength,
+        lastAge: (conversionTimes[index] - lastTimes[index]) / dayLength
+      };
+      
+      models.forEach((model, m) => {
+        const weights = model.getWeights(touch);
         
-        lastImpressionSites[site].conversions++;
-        lastImpressionSites[site].impressions += (row['Impression Count'] || 0);
-        lastImpressionSites[site].monetaryValue += (row['Monetary Value'] || 0);
-      }
+        levels.forEach(level => {
+          const conversions = level.conversions[m];
+          const values = level.values[m];
+          conversions[level.first[index]] += weights.first;
+          values[level.first[index]] += weights.first * value;
+          conversions[level.last[index]] += weights.last;
+          values[level.last[index]] += weights.last * value;
+          conversions[0] += weights.middle;
+          values[0] += weights.middle * value;
+        });
+      });
     });
     
-    // Calculate conversion rate for sites
-    Object.keys(lastImpressionSites).forEach(site => {
-      const data = lastImpressionSites[site];
-      data.conversionRate = data.impressions > 0 ? (data.conversions / data.impressions) * 100 : 0;
+    const byModel = {};
+    models.forEach((model, m) => {
+      byModel[model.type] = {};
+      levels.forEach(level => {
+        const credited = {};
+        level.names.forEach((name, slot) => {
+          if (level.conversions[m][slot] === 0) return;
+          credited[name] = {
+            conversions: level.conversions[m][slot],
+            monetaryValue: level.values[m][slot]
+          };
+        });
+        byModel[model.type][level.level] = credited;
+      });
+    });
+    
+    return {
+      models: models.map(model => ({ name: model.type, label: model.label })),
+      halfLifeDays: this.attributionHalfLife,
+      byModel
+    };
+  }
+
+  /**
+   * Cross-tabulate the first impression against the last impression campaign, ad group and creative,
+   * showing which ones open journeys and which ones close them
+   * @returns {Object} - { campaigns, adGroups, creatives }, each a map of 'first → last' to
+   *   { first, last, conversions, monetaryValue, impressionSpanDays, impressionSpanCount, avgImpressionSpan }
+   *   where avgImpressionSpan is the average days between the two impressions
+   */
+  prepareHandoffAnalysis() {
+    const handoff = {};
+    const metrics = ['conversions', 'monetaryValue', 'impressionSpanDays', 'impressionSpanCount'];
+    
+    Object.entries(EnhancedDataProcessor.attributionLevels).forEach(([level, suffix]) => {
+      const firstName = `First Impression ${suffix}`;
+      const lastName = `Last Impression ${suffix}`;
+      const cells = {};
+      
+      this.aggregate({ groupBy: [firstName, lastName], metrics }).forEach(row => {
+        const first = row[firstName] || 'Unknown';
+        const last = row[lastName] || 'Unknown';
+        const template = { first, last };
+        metrics.forEach(metric => {
+          template[metric] = 0;
+        });
+        this.addToRecord(cells, `${first} → ${last}`, template, row);
+      });
+      
+      Object.values(cells).forEach(cell => {
+        cell.avgImpressionSpan = cell.impressionSpanCount > 0 ? cell.impressionSpanDays / cell.impressionSpanCount : 0;
+      });
+      
+      handoff[level] = cells;
     });
     
+    return handoff;
+  }
+
+  /**
+   * Prepare site performance analysis data
+   * @returns {Object} - Site performance datasets
+   */
+  prepareSitePerformanceAnalysis() {
+    const lastImpressionSites = this.preparePerformance('Last Impression Site');
+    
     return {
       lastImpressionSites
     };
@@ -436,11 +795,13 @@ class EnhancedDataProcessor extends DataProcessor {
    * @returns {Array} - Processed data for table view
    */
   prepareTableData() {
-    // Return an enhanced version of the data for table view
-    return this.rawData.map(row => {
-      const firstImpressionTime = row['First Impression Time'];
-      const lastImpressionTime = row['Last Impression Time'];
-      const timeToConvert = this.calculateTimeToConvert(firstImpressionTime, lastImpressionTime);
+    // Return an enhanced version of the selected rows for table view
+    const store = this.getStore();
+    const convertedValues = store.getMeasure('monetaryValue');
+    const timesToConvert = store.getMeasure('timeToConvert');
+    
+    return this.getSelection().toArray().map(index => {
+      const row = this.rawData[index];
       
       const firstDevice = row['First Impression Device Type'] || 'Unknown';
       const conversionDevice = row['Conversion Device Type'] || 'Unknown';
@@ -456,15 +817,18 @@ class EnhancedDataProcessor extends DataProcessor {
         creative: row['Last Impression Creative Name'],
         impressions: row['Impression Count'],
         clicks: row['Display Click Count'],
-        monetaryValue: row['Monetary Value'],
+        monetaryValue: isNaN(convertedValues[index]) ? null : convertedValues[index],
+        originalValue: row['Monetary Value'],
+        currency: this.currency.getCurrency(row),
         country: row['Last Impression Country'],
         region: row['Last Impression Region'],
         metro: row['Last Impression Metro Name'],
         // Enhanced metrics
-        timeToConvert: timeToConvert,
+        timeToConvert: isNaN(timesToConvert[index]) ? null : timesToConvert[index],
         devicePath: devicePath,
         attributionModel: row['Cross Device Attribution Model'],
-        lastImpressionSite: row['Last Impression Site']
+        lastImpressionSite: row['Last Impression Site'],
+        sourceFile: row['Source File']
       };
     });
   }
@@ -95,7 +95,19 @@ class ExportManager {
    */
   exportData() {
     // Get current data (filtered if filters are applied)
-    const data = this.dataProcessor.processedData.tableData;
+    let data = this.dataProcessor.processedData.tableData;
+    
+    // Add the calculated metrics chosen for the table, evaluated on each conversion's own values
+    const metrics = this.dataProcessor.calculatedMetrics.filter(metric => metric.showInTable);
+    if (metrics.length > 0) {
+      data = data.map(row => {
+        const exportRow = { ...row };
+        metrics.forEach(metric => {
+          exportRow[metric.name] = metric.evaluate({ ...row, conversions: 1 });
+        });
+        return exportRow;
+      });
+    }
     
     // Convert to CSV
     const csv = this.dataProcessor.exportToCsv(data);
@@ -314,7 +326,8 @@ class ExportManager {
     doc.setFontSize(12);
     doc.text(`Total Conversions: ${summary.totalConversions}`, 25, 55);
     doc.text(`Average Impressions: ${summary.avgImpressions.toFixed(2)}`, 25, 65);
-    doc.text(`Total Value: $${summary.totalValue.toFixed(2)}`, 25, 75);
+    // The built-in PDF fonts lack most currency symbols, so use the currency code
+    doc.text(`Total Value: ${summary.totalValue.toFixed(2)} ${this.dataProcessor.currency.reportingCurrency}`, 25, 75);
     
     // Add charts
     // For each chart, convert to image and add to PDF
@@ -0,0 +1,544 @@
+// File ingestion pipeline for Trader Visualization Dashboard
+
+/**
+ * Streams uploaded CSV files through Papa Parse in chunks, reads Excel workbooks
+ * with SheetJS, reads JSON and NDJSON records, expands .gz and .zip uploads,
+ * and merges the parsed rows, handing each chunk on as soon as it is merged.
+ * Used by the parse worker, and on the main thread when workers are unavailable.
+ */
+class FileIngestor {
+  /**
+   * @param {Object} options - Ingestion options
+   * @param {Function} options.onProgress - Called with progress updates while parsing
+   * @param {Function} options.onPrompt - Called with (kind, payload) when user input is needed; returns a Promise
+   * @param {Function} options.onRows - Called with each chunk's merged rows as they are parsed, e.g. to aggregate them
+   * @param {number} options.chunkSize - Bytes read per parse chunk
+   * @param {Object} options.jsonPathMappings - Map of expected column to dot path in JSON records
+   * @param {Object} options.timeZones - { source, reporting } time zones used to parse timestamps
+   * @param {Object} options.currency - Currency settings used to total monetary values, see CurrencyConverter
+   * @param {string} options.numberLocale - Locale whose separators numbers use, or 'auto' to detect them
+   */
+  constructor(options = {}) {
+    this.onProgress = options.onProgress || (() => {});
+    this.onPrompt = options.onPrompt || (() => Promise.resolve(null));
+    this.onRows = options.onRows || (() => {});
+    this.columnMapper = new ColumnMapper();
+    this.columnMappings = {};
+    this.workbookReader = new WorkbookReader();
+    this.archiveReader = new ArchiveReader();
+    this.jsonReader = new JsonReader({ pathMappings: options.jsonPathMappings });
+    this.rowValidator = new RowValidator({
+      timeZone: new TimezoneConverter(options.timeZones),
+      numberParser: new NumberParser({ locale: options.numberLocale })
+    });
+    this.currency = new CurrencyConverter(options.currency);
+    this.validation = new ValidationReport();
+    this.chunkSize = options.chunkSize || 4 * 1024 * 1024;
+    this.cancelled = false;
+    this.parser = null;
+    this.totals = {
+      rows: 0,
+      quarantined: 0,
+      impressions: 0,
+      monetaryValue: 0,
+      conversionsByType: {}
+    };
+  }
+
+  /**
+   * Parse one or more files and merge them into a single dataset.
+   * Compressed files and zip archives are expanded first.
+   * @param {Array} files - Files to parse, in order
+   * @returns {Promise} - Promise resolving to { rows, importReport }
+   */
+  ingest(files) {
+    const merger = new DatasetMerger();
+
+    const parseAll = this.expandSources(files).then(sources => {
+      const totalWeight = sources.reduce((sum, source) => sum + source.weight, 0);
+      let weightBefore = 0;
+
+      const reportProgress = (stage, fileName, index, fraction) => {
+        const percent = totalWeight > 0 ? Math.min(99, ((weightBefore + fraction * sources[index].weight) / totalWeight) * 100) : 0;
+        this.onProgress({
+          stage,
+          percent: parseFloat(percent.toFixed(1)),
+          fileName,
+          fileIndex: index,
+          fileCount: sources.length,
+          totals: this.totals
+        });
+      };
+
+      // Parse files one after another so progress and memory stay predictable
+      return sources.reduce((previous, source, index) => {
+        return previous.then(() => {
+          if (source.compressed) {
+            reportProgress('decompressing', source.name, index, 0);
+          }
+          return source.open();
+        }).then(file => {
+          this.throwIfCancelled();
+
+          // List the file in the merge report even when it has no rows
+          const sourceName = file.name || `File ${index + 1}`;
+          merger.addRows([], sourceName);
+
+          return this.parseFile(file, cursor => {
+            const fraction = file.size > 0 ? Math.min(1, cursor / file.size) : 1;
+            reportProgress('parsing', file.name, index, fraction);
+          }, rows => {
+            // Merge each chunk as it arrives, so duplicates are dropped before it is handed on
+            this.onRows(merger.addRows(rows, sourceName));
+          }).then(() => {
+            weightBefore += source.weight;
+          });
+        });
+      }, Promise.resolve());
+    });
+
+    return parseAll.then(() => ({
+      rows: merger.getRows(),
+      importReport: {
+        merge: merger.getReport(),
+        columnMappings: this.columnMappings,
+        validation: this.validation.getReport()
+      }
+    }));
+  }
+
+  /**
+   * Turn uploaded files into parse sources, listing zip archives and asking which
+   * of their files to load. Sources are opened lazily, one at a time.
+   * @param {Array} files - Uploaded files
+   * @returns {Promise} - Promise resolving to sources as { name, weight, compressed, open }
+   */
+  expandSources(files) {
+    const sources = [];
+
+    return files.reduce((previous, file) => {
+      return previous.then(() => {
+        if (!this.archiveReader.isZip(file)) {
+          sources.push({
+            name: file.name,
+            weight: file.size || 0,
+            compressed: this.archiveReader.isGzip(file),
+            open: () => this.openFile(file)
+          });
+          return;
+        }
+
+        return this.archiveReader.listZipEntries(file).then(({ entries }) => {
+          if (entries.length === 0) {
+            throw new Error(`${file.name} does not contain any CSV, Excel or JSON files.`);
+          }
+
+          const selection = entries.length === 1 ?
+            Promise.resolve([entries[0].name]) :
+            this.onPrompt('archiveEntries', {
+              fileName: file.name,
+              entries: entries.map(entry => entry.name)
+            });
+
+          return selection.then(selectedNames => {
+            this.throwIfCancelled();
+            if (!selectedNames || selectedNames.length === 0) {
+              throw new DOMException('Processing cancelled', 'AbortError');
+            }
+
+            // Entry sizes are not exposed by JSZip, so split the archive size evenly
+            const selected = entries.filter(entry => selectedNames.includes(entry.name));
+            selected.forEach(entry => {
+              sources.push({
+                name: `${file.name}/${entry.name}`,
+                weight: (file.size || 0) / selected.length,
+                compressed: true,
+                open: () => this.archiveReader.extractEntry(entry, file.name).then(extracted => this.openFile(extracted))
+              });
+            });
+          });
+        });
+      });
+    }, Promise.resolve()).then(() => sources);
+  }
+
+  /**
+   * Decompress a file if needed
+   * @param {File|Blob} file - Uploaded or extracted file
+   * @returns {Promise} - Promise resolving to a file the parsers can read
+   */
+  openFile(file) {
+    return this.archiveReader.isGzip(file) ? this.archiveReader.gunzip(file) : Promise.resolve(file);
+  }
+
+  /**
+   * Parse a single file. Rows that fail to parse or validate are quarantined
+   * in the validation report instead of failing the whole file.
+   * @param {File|Blob} file - The file to parse
+   * @param {Function} onChunk - Called with the number of bytes processed so far
+   * @param {Function} onRows - Called with the accepted rows of each chunk
+   * @returns {Promise} - Promise resolving once the file is parsed
+   */
+  parseFile(file, onChunk, onRows) {
+    if (this.workbookReader.isWorkbook(file)) {
+      return this.parseWorkbook(file, onChunk, onRows);
+    }
+
+    return this.jsonReader.detectFormat(file).then(format => {
+      if (format === 'ndjson') return this.parseNdjson(file, onChunk, onRows);
+      if (format === 'json') return this.parseJson(file, onChunk, onRows);
+      return this.parseCsv(file, onChunk, onRows);
+    });
+  }
+
+  /**
+   * Parse a CSV file chunk by chunk
+   * @param {File|Blob} file - The file to parse
+   * @param {Function} onChunk - Called with the parse cursor after each chunk
+   * @param {Function} onRows - Called with the accepted rows of each chunk
+   * @returns {Promise} - Promise resolving once the file is parsed
+   */
+  parseCsv(file, onChunk, onRows) {
+    return new Promise((resolve, reject) => {
+      let mapping = null;
+      let rowOffset = 0;
+      let line = null; // Line of the file the next row starts on
+
+      const handleChunk = (results) => {
+        const fields = results.meta.fields || [];
+        if (line === null) {
+          // Data rows start below the header, which may itself hold quoted line breaks
+          line = 2 + this.countLineBreaks(fields);
+        }
+
+        const parseErrors = this.groupErrorsByRow(results.errors, rowOffset, file.name);
+        const data = [];
+        const lineNumbers = [];
+        const rowErrors = {};
+
+        results.data.forEach((row, index) => {
+          const start = line;
+          // A row takes one line plus every line break inside its quoted fields
+          line += 1 + this.countLineBreaks(row);
+
+          // Blank lines parse as one empty field; they only move the line count on
+          const keys = Object.keys(row);
+          if (fields.length > 1 && keys.length === 1 && row[keys[0]] === '') return;
+
+          if (parseErrors[index]) {
+            rowErrors[data.length] = parseErrors[index];
+          }
+          lineNumbers.push(start);
+          data.push(row);
+        });
+
+        this.processRows(data, { fileName: file.name, mapping, lineNumbers, parseErrors: rowErrors, onRows });
+        rowOffset += results.data.length;
+        onChunk(results.meta.cursor);
+      };
+
+      // Numbers are read by the row validator's locale-aware parser, so keep every value as text.
+      // Blank lines are kept so line numbers can count them, and dropped in handleChunk.
+      Papa.parse(file, {
+        header: true,
+        dynamicTyping: false,
+        skipEmptyLines: false,
+        chunkSize: this.chunkSize,
+        chunk: (results, parser) => {
+          this.parser = parser;
+
+          if (this.cancelled) {
+            parser.abort();
+            return;
+          }
+
+          // Resolve the column mapping from the headers before accepting any rows
+          if (mapping === null) {
+            parser.pause();
+            this.resolveMapping(file, results.meta.fields || [])
+              .then(resolved => {
+                if (this.cancelled) return;
+
+                mapping = resolved;
+                handleChunk(results);
+                parser.resume();
+              })
+              .catch(error => {
+                this.cancel();
+                reject(error);
+              });
+            return;
+          }
+
+          handleChunk(results);
+        },
+        complete: () => {
+          this.parser = null;
+          if (this.cancelled) {
+            reject(new DOMException('Processing cancelled', 'AbortError'));
+            return;
+          }
+          resolve();
+        },
+        error: (error) => {
+          reject(error);
+        }
+      });
+    });
+  }
+
+  /**
+   * Parse one sheet of an Excel workbook, asking which sheet to use when there are several
+   * @param {File|Blob} file - The workbook file
+   * @param {Function} onChunk - Called with the number of bytes processed
+   * @param {Function} onRows - Called with the accepted rows
+   * @returns {Promise} - Promise resolving once the sheet is parsed
+   */
+  parseWorkbook(file, onChunk, onRows) {
+    let workbook = null;
+
+    return this.workbookReader.read(file)
+      .then(result => {
+        workbook = result;
+        const sheets = this.workbookReader.getSheetSummaries(workbook);
+        if (sheets.length <= 1) {
+          return sheets.length === 1 ? sheets[0].name : null;
+        }
+        return this.onPrompt('sheet', { fileName: file.name, sheets });
+      })
+      .then(sheetName => {
+        this.throwIfCancelled();
+        if (!sheetName) {
+          throw new DOMException('Processing cancelled', 'AbortError');
+        }
+
+        const { fields, rows: data, date1904 } = this.workbookReader.readSheet(workbook, sheetName);
+        workbook = null;
+
+        return this.resolveMapping(file, fields).then(mapping => {
+          this.throwIfCancelled();
+
+          this.processRows(data, {
+            fileName: file.name,
+            mapping,
+            parseErrors: {},
+            // SheetJS reports the zero-based sheet row of each record
+            lineNumbers: data.map(row => row.__rowNum__ + 1),
+            onRows,
+            // Serials in cells without a date format still need converting
+            transformRow: row => this.workbookReader.convertDateColumns(row, this.rowValidator.dateColumns, date1904)
+          });
+          onChunk(file.size || 0);
+        });
+      });
+  }
+
+  /**
+   * Parse a JSON document holding an array of records
+   * @param {File|Blob} file - The JSON file
+   * @param {Function} onChunk - Called with the number of bytes processed
+   * @param {Function} onRows - Called with the accepted rows
+   * @returns {Promise} - Promise resolving once the file is parsed
+   */
+  parseJson(file, onChunk, onRows) {
+    return this.jsonReader.readJson(file).then(batch => {
+      this.throwIfCancelled();
+
+      return this.resolveMapping(file, this.collectFields(batch.rows)).then(mapping => {
+        this.throwIfCancelled();
+
+        this.processRows(batch.rows, {
+          fileName: file.name,
+          mapping,
+          parseErrors: batch.errors,
+          lineNumbers: batch.lineNumbers,
+          onRows
+        });
+        onChunk(file.size || 0);
+      });
+    });
+  }
+
+  /**
+   * Parse an NDJSON file batch by batch
+   * @param {File|Blob} file - The NDJSON file
+   * @param {Function} onChunk - Called with the number of bytes read after each batch
+   * @param {Function} onRows - Called with the accepted rows of each batch
+   * @returns {Promise} - Promise resolving once the file is parsed
+   */
+  parseNdjson(file, onChunk, onRows) {
+    let mapping = null;
+
+    return this.jsonReader.readNdjson(file, (batch, bytesRead) => {
+      this.throwIfCancelled();
+
+      // Resolve the column mapping from the first batch before accepting any rows
+      const ready = mapping !== null ?
+        Promise.resolve(mapping) :
+        this.resolveMapping(file, this.collectFields(batch.rows));
+
+      return ready.then(resolved => {
+        this.throwIfCancelled();
+        mapping = resolved;
+
+        this.processRows(batch.rows, {
+          fileName: file.name,
+          mapping,
+          parseErrors: batch.errors,
+          lineNumbers: batch.lineNumbers,
+          onRows
+        });
+        onChunk(bytesRead);
+      });
+    });
+  }
+
+  /**
+   * Collect the field names used by a set of JSON records
+   * @param {Array} records - Flattened records
+   * @returns {Array} - Field names in first-seen order
+   */
+  collectFields(records) {
+    const fields = new Set();
+    records.forEach(record => {
+      Object.keys(record).forEach(field => fields.add(field));
+    });
+    fields.delete('Raw Line');
+    fields.delete('Raw Record');
+    return Array.from(fields);
+  }
+
+  /**
+   * Ask for the column mapping of a file and remember it for the import report
+   * @param {File|Blob} file - The file being parsed
+   * @param {Array} fields - Headers found in the file
+   * @returns {Promise} - Promise resolving to the mapping (possibly empty)
+   */
+  resolveMapping(file, fields) {
+    return this.onPrompt('columnMapping', { fields, fileName: file.name })
+      .then(resolved => {
+        const mapping = resolved || {};
+        if (Object.keys(mapping).length > 0) {
+          this.columnMappings[file.name] = mapping;
+        }
+        return mapping;
+      });
+  }
+
+  /**
+   * Map, validate and accept a batch of parsed rows
+   * @param {Array} data - Parsed rows
+   * @param {Object} context - Batch context
+   * @param {string} context.fileName - Name of the file being parsed
+   * @param {Object} context.mapping - Column mapping to apply
+   * @param {Array} context.lineNumbers - Source line (or record number, for JSON arrays) of each row
+   * @param {Object} context.parseErrors - Parse problems keyed by batch row index
+   * @param {Function} context.onRows - Called with the accepted rows
+   * @param {Function} context.transformRow - Optional fix-up applied after mapping
+   */
+  processRows(data, context) {
+    const accepted = [];
+
+    data.forEach((row, index) => {
+      if (context.mapping) {
+        this.columnMapper.applyMapping(row, context.mapping);
+      }
+      if (context.transformRow) {
+        context.transformRow(row);
+      }
+      this.rowValidator.normalizeNumbers(row);
+
+      const problems = (context.parseErrors[index] || [])
+        .concat(this.rowValidator.validate(row));
+
+      if (problems.length > 0) {
+        this.validation.quarantine(row, context.fileName, context.lineNumbers[index], problems);
+        this.totals.quarantined++;
+        return;
+      }
+
+      accepted.push(row);
+    });
+
+    this.accumulateTotals(accepted);
+    context.onRows(accepted);
+  }
+
+  /**
+   * Throw an AbortError if ingestion was cancelled
+   */
+  throwIfCancelled() {
+    if (this.cancelled) {
+      throw new DOMException('Processing cancelled', 'AbortError');
+    }
+  }
+
+  /**
+   * Count the line breaks inside parsed values, which quoted CSV fields may hold
+   * @param {*} value - Parsed value, row or list of values
+   * @returns {number} - Number of line breaks (\r\n, \r or \n)
+   */
+  countLineBreaks(value) {
+    if (typeof value === 'string') {
+      if (value.indexOf('\n') < 0 && value.indexOf('\r') < 0) return 0;
+      return value.match(/\r\n|\r|\n/g).length;
+    }
+    if (value && typeof value === 'object') {
+      return Object.values(value).reduce((count, item) => count + this.countLineBreaks(item), 0);
+    }
+    return 0;
+  }
+
+  /**
+   * Index Papa Parse errors by their row within the current chunk
+   * @param {Array} errors - Errors reported for the chunk
+   * @param {number} rowOffset - Number of rows parsed before this chunk
+   * @param {string} fileName - Name of the file being parsed
+   * @returns {Object} - Map of chunk row index to problems, as { column, reason }
+   */
+  groupErrorsByRow(errors, rowOffset, fileName) {
+    const byRow = {};
+
+    errors.forEach(error => {
+      // Errors without a row (e.g. an undetectable delimiter) apply to the whole file
+      if (typeof error.row !== 'number') {
+        this.validation.addIssue(fileName, null, null, error.message);
+        return;
+      }
+
+      // Papa Parse numbers rows from the start of the file, not the chunk
+      const index = error.row - rowOffset;
+      byRow[index] = byRow[index] || [];
+      byRow[index].push({ column: null, reason: error.message });
+    });
+
+    return byRow;
+  }
+
+  /**
+   * Update the running totals with a freshly parsed chunk
+   * @param {Array} rows - Rows in the chunk
+   */
+  accumulateTotals(rows) {
+    rows.forEach(row => {
+      this.totals.rows++;
+      this.totals.impressions += (row['Impression Count'] || 0);
+      this.totals.monetaryValue += (this.currency.convertRow(row, this.rowValidator.timeZone) || 0);
+
+      const type = row['Tracking Tag Name'];
+      if (type) {
+        this.totals.conversionsByType[type] = (this.totals.conversionsByType[type] || 0) + 1;
+      }
+    });
+  }
+
+  /**
+   * Stop parsing at the next chunk boundary
+   */
+  cancel() {
+    this.cancelled = true;
+    if (this.parser) {
+      this.parser.abort();
+    }
+  }
+}
@@ -0,0 +1,250 @@
+// Campaign handoff analysis for Trader Dashboard
+
+/**
+ * Class to show which campaigns, ad groups and creatives open journeys and which ones close them,
+ * as a first vs last impression matrix and as a flow between the two
+ */
+class HandoffVisualizer {
+  constructor(dataProcessor, chartVisualizer) {
+    this.dataProcessor = dataProcessor;
+    this.chartVisualizer = chartVisualizer;
+    this.charts = {};
+    this.level = 'campaigns';
+    this.metric = 'conversions';
+    this.limit = 12;
+    this.levelLabels = {
+      campaigns: 'Campaigns',
+      adGroups: 'Ad Groups',
+      creatives: 'Creatives'
+    };
+    this.metricLabels = {
+      conversions: 'Conversions',
+      monetaryValue: 'Value',
+      avgImpressionSpan: 'Avg Days Between Impressions'
+    };
+    this.colorPalette = [
+      '#4e79a7', '#f28e2c', '#e15759', '#76b7b2',
+      '#59a14f', '#edc949', '#af7aa1', '#ff9da7',
+      '#9c755f', '#bab0ab'
+    ];
+  }
+
+  /**
+   * Initialize handoff visualizations
+   * @param {Object} data - Processed data from EnhancedDataProcessor
+   */
+  initializeVisualizations(data) {
+    if (!data || !data.handoff) return;
+
+    this.data = data;
+    const cells = data.handoff[this.level];
+    const firsts = this.getTopNames(cells, 'first');
+    const lasts = this.getTopNames(cells, 'last');
+
+    this.createHandoffMatrix(cells, firsts, lasts);
+    this.createHandoffSankey(cells, firsts, lasts);
+  }
+
+  /**
+   * Update handoff visualizations with new data
+   * @param {Object} data - New processed data
+   */
+  updateVisualizations(data) {
+    // Destroy existing charts to prevent memory leaks
+    Object.values(this.charts).forEach(chart => {
+      if (chart && typeof chart.destroy === 'function') {
+        chart.destroy();
+      }
+    });
+
+    // Reinitialize with new data
+    this.initializeVisualizations(data);
+  }
+
+  /**
+   * Get the names opening or closing the most conversions
+   * @param {Object} cells - Handoff cells keyed by 'first → last'
+   * @param {string} position - 'first' or 'last'
+   * @returns {Array} - Up to this.limit names, most conversions first
+   */
+  getTopNames(cells, position) {
+    const totals = {};
+    Object.values(cells).forEach(cell => {
+      totals[cell[position]] = (totals[cell[position]] || 0) + cell.conversions;
+    });
+
+    return Object.keys(totals).sort((a, b) => totals[b] - totals[a]).slice(0, this.limit);
+  }
+
+  /**
+   * Add up handoff cells
+   * @param {Array} cells - Handoff cells
+   * @returns {Object} - Totals, with the average span over the conversions with both impression times
+   */
+  sumCells(cells) {
+    const total = { conversions: 0, monetaryValue: 0, impressionSpanDays: 0, impressionSpanCount: 0 };
+    cells.forEach(cell => {
+      Object.keys(total).forEach(field => {
+        total[field] += cell[field];
+      });
+    });
+    total.avgImpressionSpan = total.impressionSpanCount > 0 ? total.impressionSpanDays / total.impressionSpanCount : 0;
+
+    return total;
+  }
+
+  /**
+   * Format a handoff metric for display
+   * @param {string} metric - Metric name, see metricLabels
+   * @param {number} value - Metric value
+   * @returns {string} - Formatted value
+   */
+  formatMetric(metric, value) {
+    switch (metric) {
+      case 'monetaryValue':
+        return this.dataProcessor.currency.format(value);
+      case 'avgImpressionSpan':
+        return `${value.toFixed(1)} d`;
+      default:
+        return value.toLocaleString();
+    }
+  }
+
+  /**
+   * Describe a cell or total with every metric, for tooltips
+   * @param {Object} total - Cell or totals
+   * @returns {string} - Conversions, value and average days between impressions
+   */
+  describeTotal(total) {
+    return `${this.formatMetric('conversions', total.conversions)} conversions, ` +
+      `${this.formatMetric('monetaryValue', total.monetaryValue)}, ` +
+      `${total.avgImpressionSpan.toFixed(1)} days between first and last impression on average`;
+  }
+
+  /**
+   * Create the heatmap of first against last impression
+   * @param {Object} cells - Handoff cells keyed by 'first → last'
+   * @param {Array} firsts - First impression names to show, as rows
+   * @param {Array} lasts - Last impression names to show, as columns
+   */
+  createHandoffMatrix(cells, firsts, lasts) {
+    const container = document.getElementById('handoff-matrix-container');
+    if (!container) return;
+
+    this.chartVisualizer.addHeaderSelect('handoff-matrix', this.levelLabels, this.level, value => {
+      this.level = value;
+      this.updateVisualizations(this.data);
+    }, 'level');
+    this.chartVisualizer.addHeaderSelect('handoff-matrix', this.metricLabels, this.metric, value => {
+      this.metric = value;
+      this.updateVisualizations(this.data);
+    }, 'metric');
+
+    if (firsts.length === 0) {
+      container.innerHTML = '<div class="chart-placeholder">No first and last impressions to compare</div>';
+      return;
+    }
+
+    const escape = value => this.chartVisualizer.escapeHtml(value);
+    const allCells = Object.values(cells);
+    const getCell = (first, last) => cells[`${first} → ${last}`];
+
+    // Shade against the largest shown cell
+    let max = 0;
+    firsts.forEach(first => lasts.forEach(last => {
+      const cell = getCell(first, last);
+      if (cell) max = Math.max(max, cell[this.metric]);
+    }));
+
+    const renderCell = (cell, title) => {
+      if (!cell || cell.conversions === 0) return '<td class="handoff-cell"></td>';
+
+      const intensity = max > 0 ? cell[this.metric] / max : 0;
+      const alpha = (0.08 + 0.82 * intensity).toFixed(2);
+      const textClass = intensity > 0.55 ? ' handoff-cell-dark' : '';
+      return `
+        <td class="handoff-cell${textClass}" style="background-color: rgba(78, 121, 167, ${alpha})" title="${escape(`${title}\n${this.describeTotal(cell)}`)}">
+          ${this.formatMetric(this.metric, cell[this.metric])}
+        </td>
+      `;
+    };
+
+    // Totals cover every pair, including names outside the shown rows and columns
+    const renderTotal = (total, title) => `
+      <td class="handoff-total" title="${escape(`${title}\n${this.describeTotal(total)}`)}">
+        ${this.formatMetric(this.metric, total[this.metric])}
+      </td>
+    `;
+
+    const rows = firsts.map(first => `
+      <tr>
+        <th scope="row">${escape(first)}</th>
+        ${lasts.map(last => renderCell(getCell(first, last), `${first} → ${last}`)).join('')}
+        ${renderTotal(this.sumCells(allCells.filter(cell => cell.first === first)), `Opened by ${first}`)}
+      </tr>
+    `).join('');
+
+    const level = this.levelLabels[this.level];
+    container.innerHTML = `
+      <table class="table table-sm handoff-table">
+        <thead>
+          <tr>
+            <th class="handoff-corner">First ↓ / Last →</th>
+            ${lasts.map(last => `<th scope="col" title="${escape(last)}">${escape(last)}</th>`).join('')}
+            <th scope="col">Total</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+        <tfoot>
+          <tr>
+            <th scope="row">Total</th>
+            ${lasts.map(last => renderTotal(this.sumCells(allCells.filter(cell => cell.last === last)), `Closed by ${last}`)).join('')}
+            ${renderTotal(this.sumCells(allCells), 'All conversions')}
+          </tr>
+        </tfoot>
+      </table>
+      <p class="handoff-help">
+        ${this.metricLabels[this.metric]} by first impression (rows) and last impression (columns) for the
+        ${firsts.length === this.limit || lasts.length === this.limit ? `top ${this.limit} ` : ''}${level.toLowerCase()};
+        cells whose row and column match show journeys one ${level.toLowerCase().replace(/s$/, '')} both opened and closed.
+      </p>
+    `;
+  }
+
+  /**
+   * Create the Sankey diagram of conversions flowing from first to last impression
+   * @param {Object} cells - Handoff cells keyed by 'first → last'
+   * @param {Array} firsts - First impression names to show, on the left
+   * @param {Array} lasts - Last impression names to show, on the right
+   */
+  createHandoffSankey(cells, firsts, lasts) {
+    const container = document.getElementById('handoff-sankey-container');
+    if (!container) return;
+
+    const flows = Object.values(cells)
+      .filter(cell => cell.conversions > 0 && firsts.includes(cell.first) && lasts.includes(cell.last))
+      .map(cell => ({
+        source: `First: ${cell.first}`,
+        target: `Last: ${cell.last}`,
+        value: cell.conversions,
+        cell
+      }));
+
+    if (flows.length === 0) {
+      container.innerHTML = '<div class="chart-placeholder">No first and last impressions to compare</div>';
+      return;
+    }
+
+    // Prefix names so a name that both opens and closes journeys gets a node on each side, avoiding cycles
+    const used = new Set(flows.flatMap(flow => [flow.source, flow.target]));
+    const nodes = firsts.map(name => ({ name: `First: ${name}`, label: name }))
+      .concat(lasts.map(name => ({ name: `Last: ${name}`, label: name })))
+      .filter(node => used.has(node.name));
+
+    this.charts.handoffSankey = this.chartVisualizer.createSankey(container, nodes, flows, {
+      colors: this.colorPalette,
+      describeLink: (d, flow) => `${flow.cell.first} → ${flow.cell.last}\n${this.describeTotal(flow.cell)}`,
+      describeNode: d => `${d.name}\n${d.value.toLocaleString()} conversions shown`
+    });
+  }
+}
@@ -0,0 +1,340 @@
+// Import report panel for Trader Visualization Dashboard
+
+/**
+ * Class to show what happened while importing files: merges, duplicates, conflicts,
+ * column mappings, rows quarantined by validation and batches appended to a saved dataset
+ */
+class ImportReportPanel {
+  constructor(dataProcessor, exportManager) {
+    this.dataProcessor = dataProcessor;
+    this.exportManager = exportManager;
+    this.maxIssueRows = 500;
+  }
+
+  /**
+   * Render the report for the most recent import
+   * @param {Object} options - Optional dataset details
+   * @param {Array} options.batches - Batches of the open saved dataset, oldest first
+   * @param {Function} options.onRollback - Called when the user rolls back the last batch
+   */
+  render(options = {}) {
+    const container = document.getElementById('import-report');
+    if (!container) return;
+
+    container.innerHTML = '';
+    container.style.display = 'none';
+
+    // Batch history only matters once something has been appended
+    if (options.batches && options.batches.length > 1) {
+      container.appendChild(this.createBatchSection(options.batches, options.onRollback));
+      container.style.display = 'block';
+    }
+
+    const importReport = this.dataProcessor.importReport;
+    if (!importReport) return;
+
+    if (importReport.validation && importReport.validation.issueCount > 0) {
+      container.appendChild(this.createValidationSection(importReport.validation));
+    }
+
+    // A single file without duplicates needs no merge summary
+    const mergeReport = importReport.merge;
+    if (mergeReport && (mergeReport.files.length > 1 || mergeReport.duplicates > 0)) {
+      container.appendChild(this.createMergeSection(mergeReport));
+    }
+
+    if (importReport.columnMappings && Object.keys(importReport.columnMappings).length > 0) {
+      container.appendChild(this.createMappingSection(importReport.columnMappings));
+    }
+
+    if (container.children.length > 0) {
+      container.style.display = 'block';
+    }
+  }
+
+  /**
+   * Create the validation section listing quarantined rows
+   * @param {Object} report - Validation report from FileIngestor
+   * @returns {HTMLElement} - Validation section element
+   */
+  createValidationSection(report) {
+    const section = document.createElement('div');
+    section.className = 'import-report-block import-report-warning';
+
+    const reasonRows = Object.entries(report.issuesByReason)
+      .sort((a, b) => b[1] - a[1])
+      .map(([reason, count]) => `
+        <tr>
+          <td>${this.escapeHtml(reason)}</td>
+          <td>${count.toLocaleString()}</td>
+        </tr>
+      `).join('');
+
+    const shownIssues = report.issues.slice(0, this.maxIssueRows);
+    const issueRows = shownIssues.map(issue => `
+      <tr>
+        <td>${this.escapeHtml(issue.file)}</td>
+        <td>${issue.line === null ? '—' : issue.line.toLocaleString()}</td>
+        <td>${this.escapeHtml(issue.column || '—')}</td>
+        <td>${this.escapeHtml(issue.reason)}</td>
+      </tr>
+    `).join('');
+
+    const quarantinedCount = report.quarantined.length;
+
+    section.innerHTML = `
+      <div class="import-report-header">
+        <h3>Validation Issues</h3>
+        <button type="button" class="close-btn" title="Dismiss">&times;</button>
+      </div>
+      <p>
+        ${report.issueCount.toLocaleString()} issue${report.issueCount === 1 ? '' : 's'} found.
+        ${quarantinedCount.toLocaleString()} row${quarantinedCount === 1 ? ' was' : 's were'} quarantined and left out of the dashboard.
+      </p>
+      <table class="table table-sm import-report-table">
+        <thead>
+          <tr><th>Issue</th><th>Rows</th></tr>
+        </thead>
+        <tbody>${reasonRows}</tbody>
+      </table>
+      <details>
+        <summary>Issues by line${report.issueCount > shownIssues.length ? ` (first ${shownIssues.length})` : ''}</summary>
+        <table class="table table-sm import-report-table">
+          <thead>
+            <tr><th>File</th><th>Line</th><th>Column</th><th>Reason</th></tr>
+          </thead>
+          <tbody>${issueRows}</tbody>
+        </table>
+      </details>
+      ${quarantinedCount > 0 ? `
+        <button type="button" class="btn btn-sm btn-outline-secondary download-quarantined-btn">
+          Download Quarantined Rows
+        </button>
+      ` : ''}
+    `;
+
+    const downloadBtn = section.querySelector('.download-quarantined-btn');
+    if (downloadBtn) {
+      downloadBtn.addEventListener('click', () => this.downloadQuarantinedRows(report.quarantined));
+    }
+
+    this.addDismissHandler(section);
+    return section;
+  }
+
+  /**
+   * Download quarantined rows as CSV with their file, line and reasons
+   * @param {Array} quarantined - Quarantined rows from the validation report
+   */
+  downloadQuarantinedRows(quarantined) {
+    // Rows can have different shapes (extra fields, other files), so collect every column
+    const columns = ['Source File', 'Line', 'Issues'];
+    const seen = new Set(columns);
+
+    const data = quarantined.map(entry => {
+      const record = {
+        'Source File': entry.file,
+        'Line': entry.line,
+        'Issues': entry.reasons.join('; ')
+      };
+
+      Object.entries(entry.row).forEach(([column, value]) => {
+        if (column === 'Source File') return;
+        if (!seen.has(column)) {
+          seen.add(column);
+          columns.push(column);
+        }
+        record[column] = Array.isArray(value) ? value.join(',') : value;
+      });
+
+      return record;
+    });
+
+    const csv = Papa.unparse(data, { columns });
+    this.exportManager.downloadFile(csv, 'quarantined_rows.csv', 'text/csv');
+  }
+
+  /**
+   * Create the column mapping section
+   * @param {Object} columnMappings - Map of file name to applied column mapping
+   * @returns {HTMLElement} - Mapping section element
+   */
+  createMappingSection(columnMappings) {
+    const section = document.createElement('div');
+    section.className = 'import-report-block';
+
+    const rows = [];
+    Object.entries(columnMappings).forEach(([fileName, mapping]) => {
+      Object.entries(mapping).forEach(([column, field]) => {
+        rows.push(`
+          <tr>
+            <td>${this.escapeHtml(fileName)}</td>
+            <td>${this.escapeHtml(field)}</td>
+            <td>${this.escapeHtml(column)}</td>
+          </tr>
+        `);
+      });
+    });
+
+    section.innerHTML = `
+      <div class="import-report-header">
+        <h3>Mapped Columns</h3>
+        <button type="button" class="close-btn" title="Dismiss">&times;</button>
+      </div>
+      <table class="table table-sm import-report-table">
+        <thead>
+          <tr><th>File</th><th>Column in File</th><th>Read As</th></tr>
+        </thead>
+        <tbody>${rows.join('')}</tbody>
+      </table>
+    `;
+
+    this.addDismissHandler(section);
+    return section;
+  }
+
+  /**
+   * Remove a report section when its close button is clicked
+   * @param {HTMLElement} section - Report section element
+   */
+  addDismissHandler(section) {
+    const closeBtn = section.querySelector('.close-btn');
+    if (!closeBtn) return;
+
+    closeBtn.addEventListener('click', () => {
+      section.remove();
+      const container = document.getElementById('import-report');
+      if (container && container.children.length === 0) {
+        container.style.display = 'none';
+      }
+    });
+  }
+
+  /**
+   * Create the merge summary section
+   * @param {Object} report - Merge report from DatasetMerger
+   * @returns {HTMLElement} - Merge section element
+   */
+  createMergeSection(report) {
+    const section = document.createElement('div');
+    section.className = 'import-report-block';
+
+    const fileRows = report.files.map(file => `
+      <tr>
+        <td>${this.escapeHtml(file.name)}</td>
+        <td>${file.rows.toLocaleString()}</td>
+        <td>${file.added.toLocaleString()}</td>
+        <td>${file.duplicates.toLocaleString()}</td>
+        <td>${file.conflicts.toLocaleString()}</td>
+      </tr>
+    `).join('');
+
+    const conflictRows = report.conflictDetails.map(conflict => `
+      <tr>
+        <td>${this.escapeHtml(conflict.conversionId)}</td>
+        <td>${this.escapeHtml(conflict.keptFrom)}</td>
+        <td>${this.escapeHtml(conflict.droppedFrom)}</td>
+        <td>${conflict.fields.map(field => this.escapeHtml(field)).join(', ')}</td>
+      </tr>
+    `).join('');
+
+    section.innerHTML = `
+      <div class="import-report-header">
+        <h3>Merged ${report.files.length} file${report.files.length === 1 ? '' : 's'}</h3>
+        <button type="button" class="close-btn" title="Dismiss">&times;</button>
+      </div>
+      <p>
+        ${report.totalRows.toLocaleString()} rows read, ${report.uniqueRows.toLocaleString()} conversions kept.
+        ${report.duplicates.toLocaleString()} duplicate Conversion IDs were dropped,
+        ${report.conflicts.toLocaleString()} of them with conflicting values.
+        ${report.missingKey > 0 ? `${report.missingKey.toLocaleString()} rows had no Conversion ID and were kept as-is.` : ''}
+      </p>
+      <table class="table table-sm import-report-table">
+        <thead>
+          <tr><th>File</th><th>Rows</th><th>Added</th><th>Duplicates</th><th>Conflicts</th></tr>
+        </thead>
+        <tbody>${fileRows}</tbody>
+      </table>
+      ${conflictRows ? `
+        <details>
+          <summary>Conflicting duplicates${report.conflicts > report.conflictDetails.length ? ` (first ${report.conflictDetails.length})` : ''}</summary>
+          <table class="table table-sm import-report-table">
+            <thead>
+              <tr><th>Conversion ID</th><th>Kept From</th><th>Dropped From</th><th>Differing Fields</th></tr>
+            </thead>
+            <tbody>${conflictRows}</tbody>
+          </table>
+        </details>
+      ` : ''}
+    `;
+
+    this.addDismissHandler(section);
+    return section;
+  }
+
+  /**
+   * Create the section listing the batches of a saved dataset
+   * @param {Array} batches - Batches from DatasetStore, oldest first
+   * @param {Function} onRollback - Called when the user rolls back the last batch
+   * @returns {HTMLElement} - Batch section element
+   */
+  createBatchSection(batches, onRollback) {
+    const section = document.createElement('div');
+    section.className = 'import-report-block';
+
+    const formatDay = value => (value ? this.dataProcessor.timeZone.formatDate(new Date(value)) : '—');
+    const batchRows = batches.map(batch => `
+      <tr>
+        <td>${batch.number}</td>
+        <td>${new Date(batch.addedAt).toLocaleString()}</td>
+        <td>${this.escapeHtml(batch.sourceFiles.join(', '))}</td>
+        <td>${formatDay(batch.dateRange && batch.dateRange.start)} – ${formatDay(batch.dateRange && batch.dateRange.end)}</td>
+        <td>${batch.rowCount.toLocaleString()}</td>
+        <td>${batch.skippedRows.toLocaleString()}</td>
+      </tr>
+    `).join('');
+
+    section.innerHTML = `
+      <div class="import-report-header">
+        <h3>Dataset Batches</h3>
+        <button type="button" class="close-btn" title="Dismiss">&times;</button>
+      </div>
+      <p>
+        Rows already in the dataset are skipped by Conversion ID when a batch is appended.
+      </p>
+      <table class="table table-sm import-report-table">
+        <thead>
+          <tr><th>Batch</th><th>Added</th><th>Files</th><th>Conversion Dates</th><th>New Rows</th><th>Skipped</th></tr>
+        </thead>
+        <tbody>${batchRows}</tbody>
+      </table>
+      ${onRollback ? `
+        <button type="button" class="btn btn-sm btn-outline-danger rollback-batch-btn">
+          Roll Back Batch ${batches[batches.length - 1].number}
+        </button>
+      ` : ''}
+    `;
+
+    const rollbackBtn = section.querySelector('.rollback-batch-btn');
+    if (rollbackBtn) {
+      rollbackBtn.addEventListener('click', () => onRollback(batches[batches.length - 1]));
+    }
+
+    this.addDismissHandler(section);
+    return section;
+  }
+
+  /**
+   * Escape a value for safe insertion into HTML
+   * @param {*} value - Value to escape
+   * @returns {string} - Escaped string
+   */
+  escapeHtml(value) {
+    return String(value === undefined || value === null ? '' : value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+}
@@ -0,0 +1,237 @@
+// JSON and NDJSON reading for Trader Visualization Dashboard
+
+/**
+ * Reads conversion rows from JSON arrays and NDJSON files, flattening nested
+ * objects into dot-path keys so they arrive in the same shape as CSV rows.
+ * Safe to load in the parse worker.
+ */
+class JsonReader {
+  /**
+   * @param {Object} options - Reader options
+   * @param {Object} options.pathMappings - Map of expected column to dot path, e.g. { 'Conversion Time': 'conversion.time' }
+   */
+  constructor(options = {}) {
+    this.pathMappings = options.pathMappings || {};
+    this.jsonExtensions = ['.json'];
+    this.ndjsonExtensions = ['.ndjson', '.jsonl'];
+
+    // Extensions handled by other readers are never sniffed
+    this.otherExtensions = ['.csv', '.tsv', '.xlsx', '.xls'];
+  }
+
+  /**
+   * Work out whether a file holds JSON, NDJSON or neither
+   * @param {File|Blob} file - Uploaded file
+   * @returns {Promise} - Promise resolving to 'json', 'ndjson' or null
+   */
+  detectFormat(file) {
+    const name = (file && file.name ? file.name : '').toLowerCase();
+
+    if (this.jsonExtensions.some(extension => name.endsWith(extension))) {
+      return Promise.resolve('json');
+    }
+    if (this.ndjsonExtensions.some(extension => name.endsWith(extension))) {
+      return Promise.resolve('ndjson');
+    }
+    if (this.otherExtensions.some(extension => name.endsWith(extension))) {
+      return Promise.resolve(null);
+    }
+
+    // Sniff files without a known extension
+    return file.slice(0, 4096).text().then(head => {
+      const text = head.replace(/^\uFEFF/, '').trimStart();
+      if (text.startsWith('[')) return 'json';
+      if (!text.startsWith('{')) return null;
+
+      // A document written on one line is a complete object too,
+      // so only two lines that each parse on their own mean one record per line
+      const lines = text.split(/\r?\n/).map(line => line.trim()).filter(line => line !== '');
+      return lines.length >= 2 && this.isJsonValue(lines[0]) && this.isJsonValue(lines[1]) ? 'ndjson' : 'json';
+    });
+  }
+
+  /**
+   * Check whether text is one complete JSON value
+   * @param {string} text - Text to parse
+   * @returns {boolean} - Whether the text parses
+   */
+  isJsonValue(text) {
+    try {
+      JSON.parse(text);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Read every record of a JSON document
+   * @param {File|Blob} file - JSON file holding an array, or an object with an array of records
+   * @returns {Promise} - Promise resolving to a batch of { rows, errors, lineNumbers }, numbered by record
+   */
+  readJson(file) {
+    return file.text().then(text => {
+      const document = JSON.parse(text.replace(/^\uFEFF/, ''));
+      const batch = this.createBatch();
+
+      this.findRecords(document).forEach((record, index) => {
+        batch.lineNumbers.push(index + 1);
+        try {
+          batch.rows.push(this.normalizeRecord(record));
+        } catch (error) {
+          batch.rows.push({ 'Raw Record': JSON.stringify(record) });
+          batch.errors[index] = [{ column: null, reason: error.message }];
+        }
+      });
+
+      return batch;
+    });
+  }
+
+  /**
+   * Find the array of records in a parsed JSON document
+   * @param {*} document - Parsed JSON
+   * @returns {Array} - Records
+   */
+  findRecords(document) {
+    if (Array.isArray(document)) return document;
+
+    // Accept wrappers like { "data": [...] } by taking the first array of objects
+    if (document && typeof document === 'object') {
+      const records = Object.values(document).find(value => {
+        return Array.isArray(value) && value.length > 0 && typeof value[0] === 'object';
+      });
+      if (records) return records;
+      return [document];
+    }
+
+    throw new Error('The JSON file does not contain any conversion records.');
+  }
+
+  /**
+   * Read an NDJSON file line by line
+   * @param {File|Blob} file - NDJSON file
+   * @param {Function} onBatch - Called with ({ rows, errors, lineNumbers }, bytesRead) per batch; may return a Promise to apply backpressure
+   * @param {number} batchSize - Records per batch
+   * @returns {Promise} - Promise resolving once the whole file has been read
+   */
+  readNdjson(file, onBatch, batchSize = 5000) {
+    const reader = file.stream().pipeThrough(new TextDecoderStream()).getReader();
+    let buffered = '';
+    let lineNumber = 0;
+    let bytesRead = 0;
+    let batch = this.createBatch();
+
+    const flush = () => {
+      if (batch.rows.length === 0) return Promise.resolve();
+      const full = batch;
+      batch = this.createBatch();
+      return Promise.resolve(onBatch(full, bytesRead));
+    };
+
+    const addLine = (line) => {
+      lineNumber++;
+      const text = line.trim();
+      if (!text) return;
+
+      const index = batch.rows.length;
+      batch.lineNumbers.push(lineNumber);
+      try {
+        batch.rows.push(this.normalizeRecord(JSON.parse(text)));
+      } catch (error) {
+        // Keep the raw line so it can be downloaded with the quarantined rows
+        batch.rows.push({ 'Raw Line': text });
+        batch.errors[index] = [{ column: null, reason: `Invalid JSON: ${error.message}` }];
+      }
+    };
+
+    const pump = () => {
+      return reader.read().then(({ done, value }) => {
+        if (done) {
+          if (buffered) addLine(buffered);
+          return flush();
+        }
+
+        // Approximate byte count from characters; only used for progress
+        bytesRead += value.length;
+        buffered += value;
+        const lines = buffered.split('\n');
+        buffered = lines.pop();
+        lines.forEach(addLine);
+
+        return (batch.rows.length >= batchSize ? flush() : Promise.resolve()).then(pump);
+      });
+    };
+
+    return pump().catch(error => {
+      reader.cancel();
+      throw error;
+    });
+  }
+
+  /**
+   * Create an empty batch of records
+   * @returns {Object} - Batch with rows, per-row errors and line numbers
+   */
+  createBatch() {
+    return { rows: [], errors: {}, lineNumbers: [] };
+  }
+
+  /**
+   * Flatten a record and apply the configured dot-path mappings
+   * @param {Object} record - Parsed JSON record
+   * @returns {Object} - Flat row
+   */
+  normalizeRecord(record) {
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+      throw new Error('Record is not a JSON object');
+    }
+
+    const row = this.flatten(record);
+
+    Object.entries(this.pathMappings).forEach(([column, path]) => {
+      if (Object.prototype.hasOwnProperty.call(row, path)) {
+        row[column] = row[path];
+        if (path !== column) {
+          delete row[path];
+        }
+      }
+    });
+
+    return row;
+  }
+
+  /**
+   * Flatten nested objects into dot-path keys, e.g. { a: { b: 1 } } to { 'a.b': 1 }
+   * @param {Object} value - Object to flatten
+   * @param {string} prefix - Path of the object being flattened
+   * @param {Object} target - Row being built
+   * @returns {Object} - Flat row
+   */
+  flatten(value, prefix = '', target = {}) {
+    Object.entries(value).forEach(([key, child]) => {
+      const path = prefix ? `${prefix}.${key}` : key;
+
+      if (child && typeof child === 'object' && !Array.isArray(child)) {
+        this.flatten(child, path, target);
+      } else if (Array.isArray(child)) {
+        // Lists of plain values read best as one cell; lists of objects get indexed paths
+        if (child.every(item => item === null || typeof item !== 'object')) {
+          target[path] = child.join(', ');
+        } else {
+          child.forEach((item, index) => {
+            if (item && typeof item === 'object') {
+              this.flatten(item, `${path}.${index}`, target);
+            } else {
+              target[`${path}.${index}`] = item;
+            }
+          });
+        }
+      } else {
+        target[path] = child;
+      }
+    });
+
+    return target;
+  }
+}
@@ -0,0 +1,273 @@
+// Headless Node.js build of the Trader Visualization Dashboard processing pipeline
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { Readable } = require('stream');
+
+/**
+ * Browser scripts the pipeline needs, in the order the parse worker imports them
+ */
+const SCRIPTS = [
+  'timezone-converter.js',
+  'currency-converter.js',
+  'number-parser.js',
+  'columnar-store.js',
+  'bucket-scheme.js',
+  'calculated-metric.js',
+  'attribution-model.js',
+  'data-processor.js',
+  'enhanced-data-processor.js',
+  'unified-data-processor.js',
+  'processed-data-merger.js',
+  'dataset-merger.js',
+  'column-mapper.js',
+  'row-validator.js',
+  'workbook-reader.js',
+  'archive-reader.js',
+  'json-reader.js',
+  'file-ingestor.js',
+  'sample-data-generator.js'
+];
+
+/**
+ * Classes the scripts define that callers can use directly
+ */
+const EXPORTED_CLASSES = [
+  'TimezoneConverter',
+  'CurrencyConverter',
+  'NumberParser',
+  'BucketScheme',
+  'CalculatedMetric',
+  'AttributionModel',
+  'DataProcessor',
+  'EnhancedDataProcessor',
+  'UnifiedDataProcessor',
+  'ProcessedDataMerger',
+  'ColumnMapper',
+  'FileIngestor',
+  'SampleDataGenerator'
+];
+
+let classes = null;
+
+/**
+ * Load a library if it is installed
+ * @param {string} name - Package name
+ * @returns {Object|undefined} - The library, or undefined when missing
+ */
+function optionalRequire(name) {
+  try {
+    return require(name);
+  } catch (error) {
+    return undefined;
+  }
+}
+
+/**
+ * Papa Parse reads Blobs with FileReader, which Node lacks, so hand it a Node stream instead
+ * @param {Object} Papa - Papa Parse
+ * @returns {Object} - Papa Parse accepting Blobs
+ */
+function adaptPapa(Papa) {
+  return Object.assign(Object.create(Papa), {
+    parse(input, config) {
+      return Papa.parse(input instanceof Blob ? Readable.fromWeb(input.stream()) : input, config);
+    }
+  });
+}
+
+/**
+ * JSZip also reads Blobs with FileReader, so load archives from their bytes
+ * @param {Object} JSZip - JSZip
+ * @returns {Object|undefined} - JSZip accepting Blobs, or undefined when JSZip is not installed
+ */
+function adaptJSZip(JSZip) {
+  if (!JSZip) return undefined;
+
+  return Object.assign(Object.create(JSZip), {
+    loadAsync(data, options) {
+      const bytes = data instanceof Blob ? data.arrayBuffer() : Promise.resolve(data);
+      return bytes.then(buffer => JSZip.loadAsync(buffer, options));
+    }
+  });
+}
+
+/**
+ * Run the dashboard's processing scripts in a sandbox holding the browser globals they use.
+ * The scripts are loaded once and shared by every call.
+ * @returns {Object} - Map of class name to class, see EXPORTED_CLASSES
+ */
+function loadClasses() {
+  if (classes) return classes;
+
+  const context = vm.createContext({
+    Papa: adaptPapa(require('papaparse')),
+    XLSX: optionalRequire('xlsx'),
+    JSZip: adaptJSZip(optionalRequire('jszip')),
+    console,
+    setTimeout,
+    clearTimeout,
+    Blob,
+    File,
+    Response,
+    TextDecoder,
+    TextDecoderStream,
+    DecompressionStream,
+    DOMException
+  });
+
+  const root = path.join(__dirname, '..');
+  SCRIPTS.forEach(script => {
+    const source = fs.readFileSync(path.join(root, script), 'utf8');
+    vm.runInContext(source, context, { filename: path.join(root, script) });
+  });
+
+  classes = vm.runInContext(`({ ${EXPORTED_CLASSES.join(', ')} })`, context);
+  return classes;
+}
+
+/**
+ * Turn a file path, stream or Blob into a File the ingestor can read.
+ * Streams are read to the end first, since parsers need to sniff the start of the data.
+ * @param {string|Object} input - File path, Blob, Node readable stream, or { name, stream }
+ * @param {number} index - Position of the input, used to name unnamed streams
+ * @returns {Promise} - Promise resolving to a File
+ */
+function toFile(input, index) {
+  if (typeof input === 'string') {
+    if (!fs.existsSync(input)) {
+      return Promise.reject(new Error(`File not found: ${input}`));
+    }
+    return fs.openAsBlob(input).then(blob => new File([blob], path.basename(input)));
+  }
+
+  if (input instanceof File) {
+    return Promise.resolve(input);
+  }
+
+  if (input instanceof Blob) {
+    return Promise.resolve(new File([input], `File ${index + 1}`));
+  }
+
+  const stream = input && input.stream ? input.stream : input;
+  const name = (input && input.name) || (stream && stream.path && path.basename(String(stream.path)));
+  if (!stream || typeof stream.on !== 'function') {
+    return Promise.reject(new TypeError(`Input ${index + 1} is not a file path, Blob or readable stream`));
+  }
+
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk));
+    stream.on('error', reject);
+    stream.on('end', () => resolve(new File(chunks, name || `File ${index + 1}`)));
+  });
+}
+
+/**
+ * Answer the ingestor's prompts without a user: saved or suggested column mappings,
+ * the configured or first sheet, and every file in an archive
+ * @param {Object} options - Processing options, see processFiles
+ * @returns {Function} - Prompt handler called with (kind, payload)
+ */
+function createPromptHandler(options) {
+  const { ColumnMapper } = loadClasses();
+  const columnMapper = new ColumnMapper();
+  const columnMappings = options.columnMappings || {};
+  const sheets = options.sheets || {};
+
+  return (kind, payload) => {
+    switch (kind) {
+      case 'columnMapping':
+        if (columnMappings[payload.fileName]) {
+          return Promise.resolve(columnMappings[payload.fileName]);
+        }
+        return Promise.resolve(columnMapper.needsMapping(payload.fields) ?
+          columnMapper.getSuggestedMapping(payload.fields) : {});
+      case 'sheet':
+        return Promise.resolve(sheets[payload.fileName] || payload.sheets[0].name);
+      case 'archiveEntries':
+        return Promise.resolve(payload.entries);
+      default:
+        return Promise.resolve(null);
+    }
+  };
+}
+
+/**
+ * Create a processor configured like the dashboard
+ * @param {Object} options - Processing options, see processFiles
+ * @returns {UnifiedDataProcessor} - Processor
+ */
+function createProcessor(options = {}) {
+  const { UnifiedDataProcessor } = loadClasses();
+  const processor = new UnifiedDataProcessor();
+
+  if (options.timeZones) processor.setTimeZones(options.timeZones);
+  if (options.currency) processor.setCurrencySettings(options.currency);
+  if (options.numberLocale) processor.setNumberLocale(options.numberLocale);
+  if (options.jsonPathMappings) processor.setJsonPathMappings(options.jsonPathMappings);
+  if (options.calculatedMetrics) processor.setCalculatedMetrics(options.calculatedMetrics);
+  if (options.bucketSchemes) processor.setBucketSchemes(options.bucketSchemes);
+  if (options.timeToConvertDefinition) processor.setTimeToConvertDefinition(options.timeToConvertDefinition);
+  if (options.attributionHalfLife) processor.setAttributionHalfLife(options.attributionHalfLife);
+
+  return processor;
+}
+
+/**
+ * Parse, merge and aggregate files exactly as the dashboard does
+ * @param {Array} inputs - File paths, Blobs, Node readable streams, or { name, stream } objects
+ * @param {Object} options - Processing options
+ * @param {Object} options.timeZones - { source, reporting } time zones, see TimezoneConverter
+ * @param {Object} options.currency - Reporting currency and exchange rates, see CurrencyConverter
+ * @param {string} options.numberLocale - Locale whose separators numbers use, or 'auto' (default)
+ * @param {Object} options.jsonPathMappings - Map of expected column to dot path in JSON records
+ * @param {Array} options.calculatedMetrics - Calculated metric definitions, see CalculatedMetric
+ * @param {Object} options.bucketSchemes - Distribution buckets by measure, see DataProcessor.compileBucketSchemes
+ * @param {string} options.timeToConvertDefinition - How time to convert is measured, see EnhancedDataProcessor
+ * @param {number} options.attributionHalfLife - Days after which a time-decay attribution weight halves
+ * @param {Object} options.columnMappings - Map of file name to column mapping; other files use suggested mappings
+ * @param {Object} options.sheets - Map of workbook name to sheet name; other workbooks use their first sheet
+ * @param {Function} options.onProgress - Called with { stage, percent, totals } while parsing
+ * @returns {Promise} - Promise resolving to { processedData, rawData, filters, importReport, processor }
+ */
+function processFiles(inputs, options = {}) {
+  let processor;
+
+  return Promise.resolve()
+    .then(() => {
+      processor = createProcessor(options);
+      return Promise.all(Array.from(inputs).map(toFile));
+    })
+    .then(files => processor.processFiles(files, {
+      onProgress: options.onProgress,
+      onPrompt: createPromptHandler(options)
+    }))
+    .then(processedData => ({
+      processedData,
+      rawData: processor.rawData,
+      filters: processor.filters,
+      importReport: processor.importReport,
+      processor
+    }));
+}
+
+/**
+ * Aggregate rows that are already parsed
+ * @param {Array} rows - Data rows keyed by the dashboard's column names
+ * @param {Object} options - Processing options, see processFiles
+ * @returns {Object} - Processed data
+ */
+function processRows(rows, options = {}) {
+  return createProcessor(options).loadData(rows);
+}
+
+module.exports = {
+  loadClasses,
+  createProcessor,
+  processFiles,
+  processRows
+};
@@ -0,0 +1,169 @@
+// Number parsing for Trader Visualization Dashboard
+
+/**
+ * Parses formatted numbers such as "1,234.50", "$12.00", "1.234,50 €" or
+ * "(45.00)" using a locale's separators, or by detecting the separators when
+ * the locale is 'auto'. Safe to load in the parse worker.
+ */
+class NumberParser {
+  /**
+   * @param {Object} options - Parser options
+   * @param {string} options.locale - BCP 47 locale whose separators numbers use, e.g. 'de-DE', or 'auto' (default)
+   */
+  constructor(options = {}) {
+    // Exponent notation, as some spreadsheet exports write large numbers
+    this.exponentPattern = /^\d+(?:\.\d+)?e[-+]?\d+$/i;
+    // Spaces (including no-break spaces) and apostrophes only ever group digits, e.g. "1 234,50" or "1'234.50"
+    this.spaceGroupPattern = /[\s'’]/g;
+
+    this.locale = options.locale || 'auto';
+    this.separators = this.locale === 'auto' ? null : this.getLocaleSeparators(this.locale);
+  }
+
+  /**
+   * Parse a value
+   * @param {*} value - Raw value
+   * @returns {number|null} - Parsed number, or null if blank or unparseable
+   */
+  parse(value) {
+    if (typeof value === 'number') return isFinite(value) ? value : null;
+    if (typeof value !== 'string') return null;
+
+    let text = value.trim();
+    if (text === '') return null;
+
+    let negative = false;
+
+    // Accounting notation for negative amounts, e.g. "(1,234.50)"
+    if (text.startsWith('(') && text.endsWith(')')) {
+      negative = true;
+      text = text.slice(1, -1).trim();
+    }
+
+    // Currency symbols and codes on either side, around an optional sign, e.g. "-$12.00" or "12,00 EUR"
+    text = this.stripCurrency(text);
+    const sign = /^[-+−]/.exec(text);
+    if (sign) {
+      if (sign[0] !== '+') negative = !negative;
+      text = this.stripCurrency(text.slice(1));
+    }
+    if (text.endsWith('-')) {
+      negative = !negative;
+      text = text.slice(0, -1).trim();
+    }
+
+    const number = this.parseUnsigned(text);
+    if (number === null) return null;
+    return negative ? -number : number;
+  }
+
+  /**
+   * Parse an unsigned number without currency marks
+   * @param {string} text - Digits and separators
+   * @returns {number|null} - Parsed number, or null if unparseable
+   */
+  parseUnsigned(text) {
+    if (this.exponentPattern.test(text)) return Number(text);
+
+    const normalized = text.replace(this.spaceGroupPattern, ' ');
+    const separators = this.separators || this.detectSeparators(normalized);
+    const groups = separators.group === ' ' ? [' '] : [separators.group, ' '];
+
+    const [integerPart, fractionPart, extra] = normalized.split(separators.decimal);
+    if (extra !== undefined) return null;
+    // The fraction may be empty, e.g. "5." as some exports write whole amounts
+    if (fractionPart !== undefined && !/^\d*$/.test(fractionPart)) return null;
+
+    // Digits may be grouped by one kind of separator only, in groups of two or three
+    // (Indian numbering groups the digits above the thousands in twos), without a leading zero
+    const usedGroups = groups.filter(group => integerPart.includes(group));
+    if (usedGroups.length > 1) return null;
+
+    let digits = integerPart;
+    if (usedGroups.length === 1) {
+      const parts = integerPart.split(usedGroups[0]);
+      const last = parts.length - 1;
+      const validGroups = parts.every((part, index) => {
+        if (index === 0) return /^[1-9]\d{0,2}$/.test(part);
+        if (index === last) return /^\d{3}$/.test(part);
+        return /^\d{2,3}$/.test(part);
+      });
+      if (!validGroups) return null;
+      digits = parts.join('');
+    }
+
+    if (digits === '' && !fractionPart) return null;
+    if (digits !== '' && !/^\d+$/.test(digits)) return null;
+
+    return Number(`${digits || '0'}${fractionPart ? `.${fractionPart}` : ''}`);
+  }
+
+  /**
+   * Work out the separators of a number when no locale is set. When both a comma
+   * and a period appear, the last one is the decimal separator. A single period is
+   * always the decimal separator, so "1.500" stays 1.5; only a locale grouping with
+   * periods reads it as 1500. A single comma followed by exactly three digits groups
+   * thousands, unless the integer part is 0.
+   * @param {string} text - Digits and separators, with spaces as the only other group separator
+   * @returns {Object} - { group, decimal }
+   */
+  detectSeparators(text) {
+    const lastComma = text.lastIndexOf(',');
+    const lastPeriod = text.lastIndexOf('.');
+
+    if (lastComma >= 0 && lastPeriod >= 0) {
+      return lastComma > lastPeriod ? { group: '.', decimal: ',' } : { group: ',', decimal: '.' };
+    }
+
+    const separator = lastComma >= 0 ? ',' : '.';
+    const other = separator === ',' ? '.' : ',';
+    const index = Math.max(lastComma, lastPeriod);
+    if (index < 0) return { group: ',', decimal: '.' };
+
+    const occurrences = text.split(separator).length - 1;
+    const integerPart = text.slice(0, text.indexOf(separator)).replace(/ /g, '');
+    const fraction = text.slice(index + 1);
+
+    if (occurrences > 1 || (separator === ',' && /^\d{3}$/.test(fraction) && integerPart !== '' && integerPart !== '0')) {
+      return { group: separator, decimal: other };
+    }
+    return { group: other, decimal: separator };
+  }
+
+  /**
+   * Get the group and decimal separators of a locale
+   * @param {string} locale - BCP 47 locale
+   * @returns {Object} - { group, decimal }, with space-like and apostrophe group separators as ' '
+   */
+  getLocaleSeparators(locale) {
+    const separators = { group: ',', decimal: '.' };
+
+    try {
+      new Intl.NumberFormat(locale).formatToParts(1234567.5).forEach(part => {
+        if (part.type === 'group' || part.type === 'decimal') {
+          separators[part.type] = part.value;
+        }
+      });
+    } catch (error) {
+      console.warn(`Unknown number locale "${locale}", detecting separators instead.`);
+      this.locale = 'auto';
+      return null;
+    }
+
+    separators.group = separators.group.replace(this.spaceGroupPattern, ' ');
+    return separators;
+  }
+
+  /**
+   * Remove currency symbols and three-letter currency codes around a number
+   * @param {string} text - Raw text
+   * @returns {string} - Text without currency marks
+   */
+  stripCurrency(text) {
+    return text
+      .replace(/\p{Sc}/gu, '')
+      .replace(/^[A-Za-z]{3}(?=[\s\d.,(-])/, '')
+      .replace(/(?<=[\s\d.,)])[A-Za-z]{3}$/, '')
+      .trim();
+  }
+}
@@ -0,0 +1,106 @@
+// Web Worker that parses and aggregates uploaded files off the main thread
+
+importScripts(
+  'https://cdn.jsdelivr.net/npm/papaparse@5.4.1/papaparse.min.js',
+  'https://cdn.jsdelivr.net/npm/xlsx@0.18.5/dist/xlsx.full.min.js',
+  'https://cdnjs.cloudflare.com/ajax/libs/jszip/3.10.1/jszip.min.js',
+  'timezone-converter.js',
+  'currency-converter.js',
+  'number-parser.js',
+  'columnar-store.js',
+  'bucket-scheme.js',
+  'calculated-metric.js',
+  'attribution-model.js',
+  'data-processor.js',
+  'enhanced-data-processor.js',
+  'unified-data-processor.js',
+  'processed-data-merger.js',
+  'dataset-merger.js',
+  'column-mapper.js',
+  'row-validator.js',
+  'workbook-reader.js',
+  'archive-reader.js',
+  'json-reader.js',
+  'file-ingestor.js'
+);
+
+// Prompts waiting for an answer from the dashboard, keyed by prompt ID
+const pendingPrompts = new Map();
+let nextPromptId = 1;
+
+/**
+ * Ask the dashboard for user input and wait for the answer
+ * @param {string} kind - Prompt kind, e.g. 'columnMapping'
+ * @param {Object} payload - Data the dashboard needs to show the prompt
+ * @returns {Promise} - Promise resolving to the dashboard's answer
+ */
+function requestFromMain(kind, payload) {
+  return new Promise(resolve => {
+    const id = nextPromptId++;
+    pendingPrompts.set(id, resolve);
+    self.postMessage({ type: 'prompt', id, kind, payload });
+  });
+}
+
+/**
+ * Handle messages from the dashboard
+ * @param {MessageEvent} event - Message containing the files to parse
+ */
+self.onmessage = function(event) {
+  const message = event.data;
+  if (!message) return;
+
+  if (message.type === 'promptResponse') {
+    const resolve = pendingPrompts.get(message.id);
+    if (resolve) {
+      pendingPrompts.delete(message.id);
+      resolve(message.value);
+    }
+    return;
+  }
+
+  if (message.type !== 'parse') return;
+
+  // Rows parsed for appending are aggregated by the dashboard against its loaded data
+  const processor = message.aggregate === false ? null : new UnifiedDataProcessor();
+  if (processor) {
+    processor.setTimeZones(message.options && message.options.timeZones);
+    processor.setCurrencySettings(message.options && message.options.currency);
+    processor.setBucketSchemes(message.options && message.options.bucketSchemes);
+    processor.setTimeToConvertDefinition(message.options && message.options.timeToConvertDefinition);
+    processor.setAttributionHalfLife(message.options && message.options.attributionHalfLife);
+    processor.beginChunkedLoad();
+  }
+
+  const ingestor = new FileIngestor({
+    ...message.options,
+    onProgress: progress => self.postMessage({ type: 'progress', ...progress }),
+    onPrompt: requestFromMain,
+    // Aggregate each chunk as soon as it is parsed
+    onRows: processor ? rows => processor.loadChunk(rows) : undefined
+  });
+
+  ingestor.ingest(message.files)
+    .then(({ rows, importReport }) => {
+      // Chunks are already aggregated; what is left needs every row, e.g. time to convert percentiles
+      self.postMessage({ type: 'progress', stage: 'aggregating', percent: 99, totals: ingestor.totals });
+
+      if (!processor) {
+        self.postMessage({ type: 'complete', rawData: rows, importReport });
+        return;
+      }
+
+      processor.finishChunkedLoad();
+
+      self.postMessage({
+        type: 'complete',
+        rawData: processor.rawData,
+        filters: processor.filters,
+        processedData: processor.processedData,
+        importReport
+      });
+    })
+    .catch(error => {
+      self.postMessage({ type: 'error', error: error });
+    });
+};
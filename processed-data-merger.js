@@ -0,0 +1,305 @@
+// Incremental aggregate merging for Trader Visualization Dashboard
+
+/**
+ * Merges the processed data of a batch of rows into the processed data of the rows before it,
+ * so rows can be aggregated batch by batch, e.g. chunk by chunk while a file is parsed,
+ * without rebuilding every aggregate from scratch.
+ * Totals are added and derived values (rates, averages, percentages) are recomputed.
+ * Percentiles cannot be merged from totals, so the time to convert analyses are
+ * left null for the caller to rebuild from every row.
+ */
+class ProcessedDataMerger {
+  /**
+   * @param {Object} options - Merge options
+   * @param {boolean} options.appendInPlace - Append table rows to the base's own list instead of a copy,
+   *   for callers that replace the base with the result, e.g. when merging chunk after chunk
+   */
+  constructor(options = {}) {
+    this.appendInPlace = Boolean(options.appendInPlace);
+  }
+
+  /**
+   * Merge two sets of processed data
+   * @param {Object} base - Processed data of the existing rows
+   * @param {Object} delta - Processed data of the appended rows only
+   * @returns {Object} - Processed data covering both
+   */
+  merge(base, delta) {
+    if (!base || !base.summary) return delta;
+    if (!delta || !delta.summary || delta.summary.totalConversions === 0) return base;
+
+    return {
+      ...base,
+      summary: this.mergeSummary(base.summary, delta.summary),
+      conversionAnalysis: this.mergeConversionAnalysis(base.conversionAnalysis, delta.conversionAnalysis),
+      mediaPerformance: {
+        campaignPerformance: this.mergePerformance(base.mediaPerformance.campaignPerformance, delta.mediaPerformance.campaignPerformance),
+        adGroupPerformance: this.mergePerformance(base.mediaPerformance.adGroupPerformance, delta.mediaPerformance.adGroupPerformance)
+      },
+      channelAnalysis: {
+        devicePerformance: this.mergePerformance(base.channelAnalysis.devicePerformance, delta.channelAnalysis.devicePerformance),
+        environmentPerformance: this.mergePerformance(base.channelAnalysis.environmentPerformance, delta.channelAnalysis.environmentPerformance)
+      },
+      creativePerformance: {
+        creativePerformance: this.mergePerformance(base.creativePerformance.creativePerformance, delta.creativePerformance.creativePerformance),
+        formatPerformance: this.mergePerformance(base.creativePerformance.formatPerformance, delta.creativePerformance.formatPerformance)
+      },
+      geoInsights: {
+        countryPerformance: this.mergeKeyed(base.geoInsights.countryPerformance, delta.geoInsights.countryPerformance, ['conversions', 'impressions', 'monetaryValue']),
+        regionPerformance: this.mergeKeyed(base.geoInsights.regionPerformance, delta.geoInsights.regionPerformance, ['conversions', 'impressions']),
+        metroPerformance: this.mergeKeyed(base.geoInsights.metroPerformance, delta.geoInsights.metroPerformance, ['conversions', 'impressions'])
+      },
+      frequencyAnalysis: this.mergeFrequencyAnalysis(base.frequencyAnalysis, delta.frequencyAnalysis),
+      tableData: this.appendAll(base.tableData, delta.tableData),
+      timeToConvert: null,
+      devicePathAnalysis: this.mergeDevicePathAnalysis(base.devicePathAnalysis, delta.devicePathAnalysis),
+      sitePerformance: {
+        lastImpressionSites: this.mergePerformance(base.sitePerformance.lastImpressionSites, delta.sitePerformance.lastImpressionSites)
+      },
+      attribution: this.mergeAttribution(base.attribution, delta.attribution),
+      handoff: this.mergeHandoff(base.handoff, delta.handoff)
+    };
+  }
+
+  /**
+   * Merge summary metrics
+   * @param {Object} base - Existing summary
+   * @param {Object} delta - Summary of appended rows
+   * @returns {Object} - Merged summary
+   */
+  mergeSummary(base, delta) {
+    const totalConversions = base.totalConversions + delta.totalConversions;
+    const totalImpressions = base.totalImpressions + delta.totalImpressions;
+
+    return {
+      ...base,
+      totalConversions,
+      conversionsByType: this.mergeCounts(base.conversionsByType, delta.conversionsByType),
+      totalImpressions,
+      totalClicks: base.totalClicks + delta.totalClicks,
+      avgImpressions: totalConversions > 0 ? totalImpressions / totalConversions : 0,
+      totalValue: base.totalValue + delta.totalValue,
+      currency: {
+        reportingCurrency: base.currency.reportingCurrency,
+        valuesByCurrency: this.mergeKeyed(base.currency.valuesByCurrency, delta.currency.valuesByCurrency, ['rows', 'value', 'convertedValue']),
+        unconvertedRows: base.currency.unconvertedRows + delta.currency.unconvertedRows
+      },
+      dateRange: {
+        start: this.pickDate(base.dateRange.start, delta.dateRange.start, (a, b) => a < b),
+        end: this.pickDate(base.dateRange.end, delta.dateRange.end, (a, b) => a > b)
+      }
+    };
+  }
+
+  /**
+   * Merge conversion analysis
+   * @param {Object} base - Existing conversion analysis
+   * @param {Object} delta - Conversion analysis of appended rows
+   * @returns {Object} - Merged conversion analysis
+   */
+  mergeConversionAnalysis(base, delta) {
+    const timeline = this.mergeCounts(base.conversionTimeline, delta.conversionTimeline);
+
+    // Keep the timeline sorted by date, as prepareConversionAnalysis does
+    const sortedTimeline = Object.keys(timeline)
+      .sort((dateA, dateB) => new Date(dateA) - new Date(dateB))
+      .reduce((obj, date) => {
+        obj[date] = timeline[date];
+        return obj;
+      }, {});
+
+    return {
+      conversionsByType: this.mergeCounts(base.conversionsByType, delta.conversionsByType),
+      conversionsByDevice: this.mergeCounts(base.conversionsByDevice, delta.conversionsByDevice),
+      conversionTimeline: sortedTimeline
+    };
+  }
+
+  /**
+   * Merge frequency analysis
+   * @param {Object} base - Existing frequency analysis
+   * @param {Object} delta - Frequency analysis of appended rows
+   * @returns {Object} - Merged frequency analysis
+   */
+  mergeFrequencyAnalysis(base, delta) {
+    const frequencyConversionRate = {};
+    const ranges = new Set([...Object.keys(base.frequencyConversionRate), ...Object.keys(delta.frequencyConversionRate)]);
+
+    ranges.forEach(range => {
+      const a = base.frequencyConversionRate[range] || { conversions: 0, avgValue: 0 };
+      const b = delta.frequencyConversionRate[range] || { conversions: 0, avgValue: 0 };
+      const conversions = a.conversions + b.conversions;
+      // Only the average is kept, so rebuild the value totals from it
+      const totalValue = a.avgValue * a.conversions + b.avgValue * b.conversions;
+
+      frequencyConversionRate[range] = {
+        conversions,
+        avgValue: conversions > 0 ? totalValue / conversions : 0
+      };
+    });
+
+    return {
+      impressionDistribution: this.mergeCounts(base.impressionDistribution, delta.impressionDistribution),
+      frequencyConversionRate
+    };
+  }
+
+  /**
+   * Merge device path analysis
+   * @param {Object} base - Existing device path analysis
+   * @param {Object} delta - Device path analysis of appended rows
+   * @returns {Object} - Merged device path analysis
+   */
+  mergeDevicePathAnalysis(base, delta) {
+    const flows = {};
+    [base.flows, delta.flows].forEach(list => {
+      list.forEach(flow => {
+        const key = `${flow.source}-${flow.target}`;
+        if (!flows[key]) {
+          flows[key] = { source: flow.source, target: flow.target, value: 0 };
+        }
+        flows[key].value += flow.value;
+      });
+    });
+
+    const nodeNames = new Set([...base.nodes, ...delta.nodes].map(node => node.name));
+
+    return {
+      ...base,
+      paths: this.mergeCounts(base.paths, delta.paths),
+      flows: Object.values(flows),
+      nodes: Array.from(nodeNames).map(name => ({ name })),
+      timeToConvert: null
+    };
+  }
+
+  /**
+   * Merge attribution analysis, adding the credit each model gives
+   * @param {Object} base - Existing attribution analysis
+   * @param {Object} delta - Attribution analysis of appended rows
+   * @returns {Object} - Merged attribution analysis
+   */
+  mergeAttribution(base, delta) {
+    const byModel = {};
+    Object.keys(base.byModel).forEach(model => {
+      byModel[model] = {};
+      Object.keys(base.byModel[model]).forEach(level => {
+        byModel[model][level] = this.mergeKeyed(
+          base.byModel[model][level],
+          delta.byModel[model] && delta.byModel[model][level],
+          ['conversions', 'monetaryValue']
+        );
+      });
+    });
+
+    return {
+      ...base,
+      byModel
+    };
+  }
+
+  /**
+   * Merge the first vs last impression handoff, adding each pair's totals and recomputing its average span
+   * @param {Object} base - Existing handoff analysis
+   * @param {Object} delta - Handoff analysis of appended rows
+   * @returns {Object} - Merged handoff analysis
+   */
+  mergeHandoff(base, delta) {
+    const handoff = {};
+    Object.keys(base).forEach(level => {
+      handoff[level] = this.mergeKeyed(
+        base[level],
+        delta[level],
+        ['conversions', 'monetaryValue', 'impressionSpanDays', 'impressionSpanCount'],
+        data => {
+          data.avgImpressionSpan = data.impressionSpanCount > 0 ? data.impressionSpanDays / data.impressionSpanCount : 0;
+        }
+      );
+    });
+
+    return handoff;
+  }
+
+  /**
+   * Merge performance records, adding their base metric totals, and recompute their conversion rates
+   * @param {Object} base - Existing records keyed by name
+   * @param {Object} delta - Records of appended rows keyed by name
+   * @returns {Object} - Merged records
+   */
+  mergePerformance(base, delta) {
+    return this.mergeKeyed(base, delta, CalculatedMetric.baseMetrics, data => {
+      data.conversionRate = data.impressions > 0 ? (data.conversions / data.impressions) * 100 : 0;
+    });
+  }
+
+  /**
+   * Merge records keyed by name, adding numeric fields and keeping the other fields of the first record seen
+   * @param {Object} base - Existing records
+   * @param {Object} delta - Records of appended rows
+   * @param {Array} fields - Numeric fields to add
+   * @param {Function} derive - Optional function recomputing derived fields of a merged record
+   * @returns {Object} - Merged records
+   */
+  mergeKeyed(base, delta, fields, derive) {
+    const merged = {};
+
+    Object.entries(base || {}).forEach(([key, data]) => {
+      merged[key] = { ...data };
+    });
+
+    Object.entries(delta || {}).forEach(([key, data]) => {
+      if (!merged[key]) {
+        merged[key] = { ...data };
+        return;
+      }
+      fields.forEach(field => {
+        merged[key][field] = (merged[key][field] || 0) + (data[field] || 0);
+      });
+      if (derive) {
+        derive(merged[key]);
+      }
+    });
+
+    return merged;
+  }
+
+  /**
+   * Merge simple count maps
+   * @param {Object} base - Existing counts
+   * @param {Object} delta - Counts of appended rows
+   * @returns {Object} - Merged counts
+   */
+  mergeCounts(base, delta) {
+    const merged = { ...(base || {}) };
+    Object.entries(delta || {}).forEach(([key, count]) => {
+      merged[key] = (merged[key] || 0) + count;
+    });
+    return merged;
+  }
+
+  /**
+   * Append every item of one array to a copy of another, or to the array itself when appending in place
+   * @param {Array} base - Existing items
+   * @param {Array} delta - Items to append
+   * @returns {Array} - Combined array
+   */
+  appendAll(base, delta) {
+    const combined = this.appendInPlace ? base : base.slice();
+    // Push one by one; spreading millions of rows overflows the call stack
+    delta.forEach(item => combined.push(item));
+    return combined;
+  }
+
+  /**
+   * Pick one of two possibly missing dates
+   * @param {Date|null} a - First date
+   * @param {Date|null} b - Second date
+   * @param {Function} prefer - Returns true if its first argument should be kept
+   * @returns {Date|null} - The preferred date
+   */
+  pickDate(a, b, prefer) {
+    if (!a) return b;
+    if (!b) return a;
+    return prefer(a, b) ? a : b;
+  }
+}
@@ -0,0 +1,171 @@
+// Row validation for Trader Visualization Dashboard
+
+/**
+ * Checks parsed rows for values the processors cannot use.
+ * Safe to load in the parse worker.
+ */
+class RowValidator {
+  /**
+   * @param {Object} options - Validator options
+   * @param {TimezoneConverter} options.timeZone - Converter used to parse timestamps
+   * @param {NumberParser} options.numberParser - Parser used to read formatted numbers
+   */
+  constructor(options = {}) {
+    this.timeZone = options.timeZone || new TimezoneConverter();
+    this.numberParser = options.numberParser || new NumberParser();
+    this.dateColumns = ['Conversion Time', 'First Impression Time', 'Last Impression Time'];
+    this.countColumns = ['Impression Count', 'Display Click Count'];
+    this.numericColumns = this.countColumns.concat(['Monetary Value']);
+  }
+
+  /**
+   * Convert formatted numbers in numeric columns, e.g. "1,234.50" or "$12.00", to numbers.
+   * Blank values become null; values that cannot be parsed are left for validate to report.
+   * @param {Object} row - Parsed row with expected column names, updated in place
+   */
+  normalizeNumbers(row) {
+    this.numericColumns.forEach(column => {
+      const value = row[column];
+      if (value === undefined) return;
+
+      if (this.isBlank(typeof value === 'string' ? value.trim() : value)) {
+        row[column] = null;
+        return;
+      }
+
+      const number = this.numberParser.parse(value);
+      if (number !== null) {
+        row[column] = number;
+      }
+    });
+  }
+
+  /**
+   * Validate a single row
+   * @param {Object} row - Parsed row with expected column names
+   * @returns {Array} - Problems found, as { column, reason }
+   */
+  validate(row) {
+    const problems = [];
+    const dates = {};
+
+    this.dateColumns.forEach(column => {
+      const value = row[column];
+      if (this.isBlank(value)) return;
+
+      const date = this.parseDate(value);
+      if (date === null) {
+        problems.push({ column, reason: `Unparseable date "${value}"` });
+      } else {
+        dates[column] = date;
+      }
+    });
+
+    this.numericColumns.forEach(column => {
+      const value = row[column];
+      if (this.isBlank(value)) return;
+
+      if (typeof value !== 'number' || !isFinite(value)) {
+        problems.push({ column, reason: `Unparseable number "${value}"` });
+      } else if (value < 0 && this.countColumns.includes(column)) {
+        problems.push({ column, reason: `Negative count "${value}"` });
+      }
+    });
+
+    const first = dates['First Impression Time'];
+    const last = dates['Last Impression Time'];
+    if (first && last && first > last) {
+      problems.push({
+        column: 'First Impression Time',
+        reason: 'First Impression Time is after Last Impression Time'
+      });
+    }
+
+    return problems;
+  }
+
+  /**
+   * Parse a timestamp value
+   * @param {*} value - Raw timestamp value
+   * @returns {Date|null} - Parsed date, or null if unparseable
+   */
+  parseDate(value) {
+    return this.timeZone.parse(value);
+  }
+
+  /**
+   * Check whether a value is empty
+   * @param {*} value - Raw value
+   * @returns {boolean} - True if the value is missing
+   */
+  isBlank(value) {
+    return value === undefined || value === null || value === '';
+  }
+}
+
+/**
+ * Collects validation problems and quarantined rows across an import
+ */
+class ValidationReport {
+  /**
+   * @param {Object} options - Report options
+   * @param {number} options.maxIssues - Number of individual issues to keep details for
+   */
+  constructor(options = {}) {
+    this.maxIssues = options.maxIssues || 5000;
+    this.issues = [];
+    this.issueCount = 0;
+    this.issuesByReason = {};
+    this.quarantined = [];
+  }
+
+  /**
+   * Record problems found on a row and quarantine it
+   * @param {Object} row - The rejected row
+   * @param {string} fileName - Source file name
+   * @param {number} line - Line number in the source file (header is line 1)
+   * @param {Array} problems - Problems found, as { column, reason }
+   */
+  quarantine(row, fileName, line, problems) {
+    this.quarantined.push({
+      file: fileName,
+      line,
+      reasons: problems.map(problem => problem.reason),
+      row
+    });
+
+    problems.forEach(problem => this.addIssue(fileName, line, problem.column, problem.reason));
+  }
+
+  /**
+   * Record a single issue
+   * @param {string} fileName - Source file name
+   * @param {number|null} line - Line number, or null for file-level issues
+   * @param {string|null} column - Column the issue relates to
+   * @param {string} reason - Description of the problem
+   */
+  addIssue(fileName, line, column, reason) {
+    this.issueCount++;
+
+    // Group by reason without the offending value so the summary stays short
+    const reasonKey = `${column || 'Row'}: ${reason.replace(/\s*".*"$/, '')}`;
+    this.issuesByReason[reasonKey] = (this.issuesByReason[reasonKey] || 0) + 1;
+
+    if (this.issues.length < this.maxIssues) {
+      this.issues.push({ file: fileName, line, column, reason });
+    }
+  }
+
+  /**
+   * Get a serializable summary of the validation
+   * @returns {Object} - Validation report
+   */
+  getReport() {
+    return {
+      issues: this.issues,
+      issueCount: this.issueCount,
+      issuesByReason: this.issuesByReason,
+      quarantined: this.quarantined
+    };
+  }
+}
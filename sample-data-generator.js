@@ -0,0 +1,334 @@
+// Synthetic sample data for Trader Visualization Dashboard
+
+/**
+ * Generates realistic conversion rows with every column the processors read,
+ * so the dashboard can be explored without client data. The same seed and
+ * options always produce the same rows.
+ */
+class SampleDataGenerator {
+  /**
+   * @param {Object} options - Generator options, see getDefaultOptions
+   */
+  constructor(options = {}) {
+    const defaults = this.getDefaultOptions();
+    this.options = {
+      ...defaults,
+      ...options,
+      timeToConvert: { ...defaults.timeToConvert, ...(options.timeToConvert || {}) }
+    };
+    this.random = this.createRandom(this.options.seed);
+
+    this.conversionTypes = [
+      { name: 'Purchase', weight: 3, averageValue: 85 },
+      { name: 'Add to Cart', weight: 4, averageValue: 0 },
+      { name: 'Sign Up', weight: 2, averageValue: 0 },
+      { name: 'Lead Form', weight: 1, averageValue: 0 }
+    ];
+
+    this.devices = [
+      { name: 'Mobile', weight: 50, environments: ['In-App', 'Web'] },
+      { name: 'Desktop', weight: 30, environments: ['Web'] },
+      { name: 'Tablet', weight: 12, environments: ['In-App', 'Web'] },
+      { name: 'Connected TV', weight: 8, environments: ['CTV'] }
+    ];
+
+    // Countries the geo map can place, with regions and metros
+    this.geography = [
+      { country: 'United States', weight: 70, regions: [
+        { region: 'California', metros: ['Los Angeles', 'San Francisco-Oakland-San Jose'] },
+        { region: 'New York', metros: ['New York'] },
+        { region: 'Texas', metros: ['Dallas-Ft. Worth', 'Houston'] },
+        { region: 'Illinois', metros: ['Chicago'] },
+        { region: 'Florida', metros: ['Miami-Ft. Lauderdale', 'Tampa-St. Petersburg'] }
+      ] },
+      { country: 'Canada', weight: 15, regions: [
+        { region: 'Ontario', metros: ['Toronto'] },
+        { region: 'British Columbia', metros: ['Vancouver'] },
+        { region: 'Quebec', metros: ['Montreal'] }
+      ] },
+      { country: 'United Kingdom', weight: 15, regions: [
+        { region: 'England', metros: ['London', 'Manchester'] },
+        { region: 'Scotland', metros: ['Glasgow'] }
+      ] }
+    ];
+
+    this.sites = {
+      Web: ['news.example.com', 'weather.example.com', 'sports.example.com', 'recipes.example.com', 'travel.example.com'],
+      'In-App': ['Puzzle Quest (App)', 'Daily Weather (App)', 'Fit Tracker (App)'],
+      CTV: ['StreamBox', 'Sports Channel Live']
+    };
+
+    this.formats = [
+      { name: 'Display', sizes: ['300x250', '728x90', '160x600'] },
+      { name: 'Video', sizes: ['15s', '30s'] },
+      { name: 'Native', sizes: ['Article', 'Carousel'] },
+      { name: 'Audio', sizes: ['30s Spot'] }
+    ];
+
+    this.campaignThemes = ['Brand Awareness', 'Spring Sale', 'Retargeting', 'New Product Launch', 'Holiday Promo', 'Loyalty', 'App Install', 'Back to School'];
+    this.adGroupThemes = ['Prospecting', 'Retargeting', 'Lookalike', 'Contextual', 'Site List'];
+  }
+
+  /**
+   * Get the default generator options
+   * @returns {Object} - Default options
+   */
+  getDefaultOptions() {
+    return {
+      seed: 1,
+      rowCount: 5000,
+      campaignCount: 5,
+      days: 30,
+      // Conversions fall in the days before this date. It is fixed, not today,
+      // so a seed produces the same rows on every day and in every time zone.
+      endDate: new Date(Date.UTC(2025, 0, 1)),
+      timeToConvert: {
+        distribution: 'lognormal', // 'lognormal', 'exponential' or 'uniform'
+        medianDays: 3,
+        maxDays: 30
+      }
+    };
+  }
+
+  /**
+   * Generate conversion rows
+   * @returns {Array} - Rows keyed by the column names of a conversion export
+   */
+  generate() {
+    const campaigns = this.createCampaigns();
+    const rows = [];
+
+    for (let index = 0; index < this.options.rowCount; index++) {
+      rows.push(this.createRow(index, campaigns));
+    }
+
+    // Exports are ordered by conversion time
+    return rows.sort((a, b) => a['Conversion Time'].localeCompare(b['Conversion Time']));
+  }
+
+  /**
+   * Generate rows and wrap them in a CSV file, so they load like an upload
+   * @param {string} fileName - Optional file name
+   * @returns {File} - CSV file of generated rows
+   */
+  generateFile(fileName = `sample-conversions-seed-${this.options.seed}.csv`) {
+    return new File([Papa.unparse(this.generate())], fileName, { type: 'text/csv' });
+  }
+
+  /**
+   * Create the campaigns with their ad groups and creatives
+   * @returns {Array} - Campaigns with a weight, ad groups and creatives
+   */
+  createCampaigns() {
+    const campaigns = [];
+
+    for (let index = 0; index < this.options.campaignCount; index++) {
+      const theme = this.campaignThemes[index % this.campaignThemes.length];
+      const round = Math.floor(index / this.campaignThemes.length);
+      const name = round > 0 ? `${theme} ${round + 1}` : theme;
+
+      const adGroups = this.shuffle(this.adGroupThemes)
+        .slice(0, 2 + Math.floor(this.random() * 2))
+        .map(adGroup => `${name} - ${adGroup}`);
+
+      const creatives = this.shuffle(this.formats)
+        .slice(0, 2 + Math.floor(this.random() * 2))
+        .map(format => {
+          const size = this.pick(format.sizes);
+          return { name: `${name} ${format.name} ${size}`, format: format.name };
+        });
+
+      // A few campaigns drive most conversions, as in real accounts
+      campaigns.push({ name, weight: 1 / (index + 1), adGroups, creatives, valueFactor: 0.7 + this.random() * 0.6 });
+    }
+
+    return campaigns;
+  }
+
+  /**
+   * Create one conversion row
+   * @param {number} index - Row index
+   * @param {Array} campaigns - Campaigns from createCampaigns
+   * @returns {Object} - Conversion row
+   */
+  createRow(index, campaigns) {
+    const hour = 60 * 60 * 1000;
+    const day = 24 * hour;
+
+    const end = new Date(this.options.endDate).getTime();
+    const conversionTime = end - this.random() * this.options.days * day;
+    // Most conversions follow the last impression within hours
+    const lastImpressionTime = conversionTime - Math.min(this.exponential(4), 48) * hour;
+    const timeToConvert = this.sampleTimeToConvert();
+    const firstImpressionTime = lastImpressionTime - timeToConvert * day;
+
+    const lastDevice = this.pickWeighted(this.devices);
+    const firstDevice = this.random() < 0.65 ? lastDevice : this.pickWeighted(this.devices);
+    // Conversions do not happen on TVs, and often move to another screen
+    const conversionDevices = this.devices.filter(device => device.name !== 'Connected TV');
+    const conversionDevice = lastDevice.name !== 'Connected TV' && this.random() < 0.75 ?
+      lastDevice :
+      this.pickWeighted(conversionDevices);
+
+    const lastCampaign = this.pickWeighted(campaigns);
+    const firstCampaign = this.random() < 0.7 ? lastCampaign : this.pickWeighted(campaigns);
+    const lastCreative = this.pick(lastCampaign.creatives);
+    const environment = this.pick(lastDevice.environments);
+
+    const geo = this.pickWeighted(this.geography);
+    const region = this.pick(geo.regions);
+
+    const conversionType = this.pickWeighted(this.conversionTypes);
+    const monetaryValue = conversionType.averageValue > 0 ?
+      Math.round(this.logNormal(conversionType.averageValue * lastCampaign.valueFactor, 0.6) * 100) / 100 :
+      0;
+
+    // Longer journeys see more impressions
+    const impressionCount = Math.min(100, 1 + Math.floor(timeToConvert * (0.5 + this.random()) + this.exponential(3)));
+    const clickCount = Math.floor(impressionCount * this.random() * 0.05 + (this.random() < 0.1 ? 1 : 0));
+
+    return {
+      'Conversion ID': `SAMPLE-${this.options.seed}-${String(index + 1).padStart(7, '0')}`,
+      'Conversion Time': this.formatDateTime(conversionTime),
+      'Tracking Tag Name': conversionType.name,
+      'Conversion Device Type': conversionDevice.name,
+      'Impression Count': impressionCount,
+      'Display Click Count': clickCount,
+      'Monetary Value': monetaryValue,
+      'First Impression Time': this.formatDateTime(firstImpressionTime),
+      'Last Impression Time': this.formatDateTime(lastImpressionTime),
+      'First Impression Device Type': firstDevice.name,
+      'Last Impression Device Type': lastDevice.name,
+      'First Impression Campaign Name': firstCampaign.name,
+      'Last Impression Campaign Name': lastCampaign.name,
+      'First Impression Ad Group Name': this.pick(firstCampaign.adGroups),
+      'Last Impression Ad Group Name': this.pick(lastCampaign.adGroups),
+      'First Impression Creative Name': this.pick(firstCampaign.creatives).name,
+      'Last Impression Creative Name': lastCreative.name,
+      'Last Impression Ad Format': lastCreative.format,
+      'Last Impression Ad Environment': environment,
+      'Last Impression Country': geo.country,
+      'Last Impression Region': region.region,
+      'Last Impression Metro Name': this.pick(region.metros),
+      'Last Impression Site': this.pick(this.sites[environment]),
+      'Cross Device Attribution Model': firstDevice === conversionDevice && lastDevice === conversionDevice ?
+        'Deterministic' :
+        (this.random() < 0.6 ? 'Deterministic' : 'Probabilistic')
+    };
+  }
+
+  /**
+   * Sample a time to convert from the configured distribution
+   * @returns {number} - Days between first and last impression
+   */
+  sampleTimeToConvert() {
+    const { distribution, medianDays, maxDays } = this.options.timeToConvert;
+    let days;
+
+    switch (distribution) {
+      case 'exponential':
+        // An exponential distribution's median is its mean times ln 2
+        days = this.exponential(medianDays / Math.LN2);
+        break;
+      case 'uniform':
+        days = this.random() * maxDays;
+        break;
+      case 'lognormal':
+      default:
+        days = this.logNormal(medianDays, 1);
+        break;
+    }
+
+    return Math.min(days, maxDays);
+  }
+
+  /**
+   * Create a seeded pseudo-random number generator (mulberry32)
+   * @param {number} seed - Seed
+   * @returns {Function} - Function returning numbers in [0, 1)
+   */
+  createRandom(seed) {
+    let state = (Number(seed) || 0) >>> 0;
+
+    return () => {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  /**
+   * Sample an exponential distribution
+   * @param {number} mean - Mean
+   * @returns {number} - Sample
+   */
+  exponential(mean) {
+    return -Math.log(1 - this.random()) * mean;
+  }
+
+  /**
+   * Sample a log-normal distribution
+   * @param {number} median - Median
+   * @param {number} sigma - Spread of the underlying normal distribution
+   * @returns {number} - Sample
+   */
+  logNormal(median, sigma) {
+    // Box-Muller transform for a standard normal sample
+    const normal = Math.sqrt(-2 * Math.log(1 - this.random())) * Math.cos(2 * Math.PI * this.random());
+    return median * Math.exp(sigma * normal);
+  }
+
+  /**
+   * Pick a random item
+   * @param {Array} items - Items
+   * @returns {*} - Picked item
+   */
+  pick(items) {
+    return items[Math.floor(this.random() * items.length)];
+  }
+
+  /**
+   * Pick a random item with probability proportional to its weight
+   * @param {Array} items - Items with a weight property
+   * @returns {Object} - Picked item
+   */
+  pickWeighted(items) {
+    const total = items.reduce((sum, item) => sum + item.weight, 0);
+    let threshold = this.random() * total;
+
+    for (const item of items) {
+      threshold -= item.weight;
+      if (threshold < 0) return item;
+    }
+    return items[items.length - 1];
+  }
+
+  /**
+   * Shuffle a copy of an array
+   * @param {Array} items - Items
+   * @returns {Array} - Shuffled copy
+   */
+  shuffle(items) {
+    const copy = items.slice();
+    for (let index = copy.length - 1; index > 0; index--) {
+      const swap = Math.floor(this.random() * (index + 1));
+      [copy[index], copy[swap]] = [copy[swap], copy[index]];
+    }
+    return copy;
+  }
+
+  /**
+   * Format a timestamp the way conversion exports do
+   * @param {number} time - Milliseconds since the epoch
+   * @returns {string} - UTC time as 'YYYY-MM-DD HH:mm:ss', so rows do not depend on the local time zone
+   */
+  formatDateTime(time) {
+    const date = new Date(time);
+    const pad = value => String(value).padStart(2, '0');
+
+    return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())} ` +
+      `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())}`;
+  }
+}
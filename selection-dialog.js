@@ -0,0 +1,81 @@
+// Selection dialog for Trader Visualization Dashboard
+
+/**
+ * Class to ask the user to pick one or more options in a modal, e.g. a workbook sheet
+ */
+class SelectionDialog {
+  /**
+   * Show the dialog
+   * @param {Object} options - Dialog options
+   * @param {string} options.title - Dialog title
+   * @param {string} options.message - Explanation shown above the options (HTML-escaped)
+   * @param {Array} options.choices - Choices as { value, label, detail }
+   * @param {boolean} options.multiple - Allow several choices to be selected
+   * @param {string} options.confirmLabel - Label of the confirm button
+   * @returns {Promise} - Promise resolving to the chosen value (or array of values), or null if cancelled
+   */
+  show(options) {
+    return new Promise(resolve => {
+      const inputType = options.multiple ? 'checkbox' : 'radio';
+
+      const choices = options.choices.map((choice, index) => `
+        <label class="selection-choice">
+          <input type="${inputType}" name="selection-dialog-choice" value="${index}" ${index === 0 || options.multiple ? 'checked' : ''}>
+          <span>${this.escapeHtml(choice.label)}</span>
+          ${choice.detail ? `<small>${this.escapeHtml(choice.detail)}</small>` : ''}
+        </label>
+      `).join('');
+
+      const modalContainer = document.createElement('div');
+      modalContainer.className = 'modal-container';
+      modalContainer.id = 'selection-dialog-modal';
+
+      modalContainer.innerHTML = `
+        <div class="modal-content">
+          <div class="modal-header">
+            <h2>${this.escapeHtml(options.title)}</h2>
+          </div>
+          <div class="modal-body">
+            <p>${this.escapeHtml(options.message)}</p>
+            <div class="selection-choices">${choices}</div>
+          </div>
+          <div class="modal-footer">
+            <button id="confirm-selection-btn" class="btn btn-primary">${this.escapeHtml(options.confirmLabel || 'Continue')}</button>
+            <button id="cancel-selection-btn" class="btn btn-secondary">Cancel</button>
+          </div>
+        </div>
+      `;
+
+      document.body.appendChild(modalContainer);
+
+      const close = (value) => {
+        document.body.removeChild(modalContainer);
+        resolve(value);
+      };
+
+      modalContainer.querySelector('#confirm-selection-btn').addEventListener('click', () => {
+        const selected = Array.from(modalContainer.querySelectorAll('input[name="selection-dialog-choice"]:checked'))
+          .map(input => options.choices[parseInt(input.value, 10)].value);
+
+        if (selected.length === 0) return;
+        close(options.multiple ? selected : selected[0]);
+      });
+
+      modalContainer.querySelector('#cancel-selection-btn').addEventListener('click', () => close(null));
+    });
+  }
+
+  /**
+   * Escape a value for safe insertion into HTML
+   * @param {*} value - Value to escape
+   * @returns {string} - Escaped string
+   */
+  escapeHtml(value) {
+    return String(value === undefined || value === null ? '' : value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+}
@@ -0,0 +1,62 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { UnifiedDataProcessor, AttributionModel, SampleDataGenerator } = require('../node').loadClasses();
+
+const rows = new SampleDataGenerator({ seed: 5, rowCount: 2000 }).generate();
+
+/**
+ * Add up one field of every item in a breakdown
+ * @param {Object} breakdown - Map of name to totals
+ * @param {string} field - Field to add up
+ * @returns {number} - Sum
+ */
+function sum(breakdown, field) {
+  return Object.values(breakdown).reduce((total, item) => total + item[field], 0);
+}
+
+test('every model credits each conversion and its value exactly once', () => {
+  const processedData = new UnifiedDataProcessor().loadData(rows);
+  const { summary, attribution } = processedData;
+
+  assert.deepEqual(Object.keys(attribution.byModel), Object.keys(AttributionModel.types));
+  Object.entries(attribution.byModel).forEach(([model, levels]) => {
+    ['campaigns', 'adGroups', 'creatives'].forEach(level => {
+      const conversions = sum(levels[level], 'conversions');
+      const value = sum(levels[level], 'monetaryValue');
+      assert.ok(Math.abs(conversions - summary.totalConversions) < 1e-6, `${model} ${level} conversions ${conversions}`);
+      assert.ok(Math.abs(value - summary.totalValue) < 1e-6, `${model} ${level} value ${value}`);
+    });
+  });
+});
+
+test('last touch credit matches campaign performance', () => {
+  const processedData = new UnifiedDataProcessor().loadData(rows);
+  const lastTouch = processedData.attribution.byModel.lastTouch.campaigns;
+
+  Object.entries(processedData.mediaPerformance.campaignPerformance).forEach(([campaign, performance]) => {
+    assert.ok(Math.abs(lastTouch[campaign].conversions - performance.conversions) < 1e-9, campaign);
+  });
+});
+
+test('touch weights add up to one', () => {
+  Object.keys(AttributionModel.types).forEach(type => {
+    const model = new AttributionModel({ type, halfLifeDays: 1 });
+    [
+      { impressions: 1, firstAge: 0, lastAge: 0 },
+      { impressions: 3, firstAge: 2, lastAge: 1 },
+      { impressions: 3, firstAge: 5000, lastAge: 4999 },
+      { impressions: 3, firstAge: NaN, lastAge: 1 }
+    ].forEach(touch => {
+      const { first, last, middle } = model.getWeights(touch);
+      assert.ok(Math.abs(first + last + middle - 1) < 1e-12, `${type} ${JSON.stringify(touch)}`);
+    });
+  });
+});
+
+test('rejects unknown models and invalid half-lives', () => {
+  assert.throws(() => new AttributionModel({ type: 'dataDriven' }), /Unknown attribution model/);
+  assert.throws(() => new AttributionModel({ type: 'timeDecay', halfLifeDays: 0 }), /positive number of days/);
+  assert.throws(() => new AttributionModel({ type: 'timeDecay', halfLifeDays: 'abc' }), /positive number of days/);
+});
@@ -0,0 +1,40 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { BucketScheme } = require('../node').loadClasses();
+
+test('custom edges close each bucket', () => {
+  const scheme = new BucketScheme({ edges: [1, 3] });
+
+  assert.deepEqual(Array.from(scheme.getLabels()), ['0-1', '1-3', '3+']);
+  assert.equal(scheme.getIndex(0.5), 0);
+  assert.equal(scheme.getIndex(1), 0);
+  assert.equal(scheme.getIndex(2), 1);
+  assert.equal(scheme.getIndex(9), 2);
+});
+
+test('whole-number buckets start above the previous edge', () => {
+  const scheme = new BucketScheme({ edges: [0, 5, 10], integer: true });
+
+  assert.deepEqual(Array.from(scheme.getLabels()), ['0', '1-5', '6-10', '10+']);
+  assert.equal(scheme.getLabel(5), '1-5');
+  assert.equal(scheme.getLabel(6), '6-10');
+});
+
+test('derived schemes need resolving against the data', () => {
+  const scheme = new BucketScheme({ type: 'quantile', count: 4, integer: true });
+  assert.ok(scheme.isDataDependent());
+  assert.throws(() => scheme.getLabels(), /Resolve the bucket scheme/);
+
+  const resolved = scheme.resolve([1, 2, 3, 4, 5, 6, 7, 8, NaN]);
+  assert.ok(!resolved.isDataDependent());
+  assert.deepEqual(Array.from(resolved.edges), [2, 4, 6]);
+});
+
+test('rejects invalid definitions', () => {
+  assert.throws(() => new BucketScheme({ edges: [3, 1] }), /increasing order/);
+  assert.throws(() => new BucketScheme({ edges: ['a'] }), /must be numbers/);
+  assert.throws(() => new BucketScheme({ edges: [1.5], integer: true }), /whole numbers/);
+  assert.throws(() => new BucketScheme({ type: 'log', count: 0 }), /Bucket count/);
+});
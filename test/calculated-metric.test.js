@@ -0,0 +1,32 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CalculatedMetric } = require('../node').loadClasses();
+
+test('evaluates formulas on totals with operator precedence', () => {
+  const cpm = new CalculatedMetric({ name: 'Value per mille', formula: 'monetaryValue / impressions * 1000' });
+  const mixed = new CalculatedMetric({ name: 'Mixed', formula: '-(conversions + clicks) * 2 + .5' });
+
+  assert.equal(cpm.evaluate({ monetaryValue: 50, impressions: 20000 }), 2.5);
+  assert.equal(mixed.evaluate({ conversions: 3, clicks: 1 }), -7.5);
+});
+
+test('is undefined when dividing by zero', () => {
+  const metric = new CalculatedMetric({ name: 'AOV', formula: 'monetaryValue / conversions' });
+
+  assert.equal(metric.evaluate({ monetaryValue: 10, conversions: 4 }), 2.5);
+  assert.equal(metric.evaluate({ monetaryValue: 10, conversions: 0 }), null);
+  assert.equal(metric.evaluate({ monetaryValue: 10 }), null);
+});
+
+test('rejects formulas that are not arithmetic over the base metrics', () => {
+  const create = formula => new CalculatedMetric({ name: 'Metric', formula });
+
+  assert.throws(() => create(''), /Formula is empty/);
+  assert.throws(() => create('monetaryValue /'), /ends unexpectedly/);
+  assert.throws(() => create('revenue / conversions'), /Unknown metric "revenue"/);
+  assert.throws(() => create('constructor'), /Unknown metric "constructor"/);
+  assert.throws(() => create('1; alert(1)'), /Unexpected ";"/);
+  assert.throws(() => new CalculatedMetric({ name: ' ', formula: '1' }), /name is empty/);
+});
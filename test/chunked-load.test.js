@@ -0,0 +1,107 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { UnifiedDataProcessor, SampleDataGenerator } = require('../node').loadClasses();
+
+/**
+ * Assert that two values are equal, allowing numbers a relative difference of 1e-9
+ * since merged totals are summed in a different order
+ * @param {*} actual - Value to check
+ * @param {*} expected - Expected value
+ * @param {string} path - Location of the values, for the failure message
+ */
+function assertClose(actual, expected, path = 'processedData') {
+  if (typeof expected === 'number' && typeof actual === 'number') {
+    if (Number.isNaN(expected)) {
+      assert.ok(Number.isNaN(actual), `${path}: expected NaN, got ${actual}`);
+      return;
+    }
+    const tolerance = 1e-9 * Math.max(1, Math.abs(expected));
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${path}: expected ${expected}, got ${actual}`);
+    return;
+  }
+  if (expected instanceof Date) {
+    assert.ok(actual instanceof Date, `${path}: expected a date`);
+    assert.equal(actual.getTime(), expected.getTime(), path);
+    return;
+  }
+  if (expected === null || typeof expected !== 'object') {
+    assert.equal(actual, expected, path);
+    return;
+  }
+
+  assert.ok(actual !== null && typeof actual === 'object', `${path}: expected an object`);
+  assert.deepEqual(Object.keys(actual).sort(), Object.keys(expected).sort(), `${path}: keys differ`);
+  Object.keys(expected).forEach(key => assertClose(actual[key], expected[key], `${path}.${key}`));
+}
+
+const rows = new SampleDataGenerator({ seed: 11, rowCount: 2000 }).generate();
+
+test('aggregating rows chunk by chunk matches a single pass', () => {
+  const expected = new UnifiedDataProcessor().loadData(rows);
+
+  const processor = new UnifiedDataProcessor();
+  processor.beginChunkedLoad();
+  for (let start = 0; start < rows.length; start += 300) {
+    processor.loadChunk(rows.slice(start, start + 300));
+  }
+  const actual = processor.finishChunkedLoad();
+
+  assertClose(actual, expected);
+  assert.equal(processor.rawData.length, rows.length);
+});
+
+test('chunked loads rebuild data-dependent buckets from every row', () => {
+  const bucketSchemes = { impressions: { type: 'quantile', count: 4, integer: true } };
+  const single = new UnifiedDataProcessor();
+  single.setBucketSchemes(bucketSchemes);
+  const expected = single.loadData(rows);
+
+  const processor = new UnifiedDataProcessor();
+  processor.setBucketSchemes(bucketSchemes);
+  processor.beginChunkedLoad();
+  processor.loadChunk(rows.slice(0, 500));
+  processor.loadChunk(rows.slice(500));
+
+  assertClose(processor.finishChunkedLoad(), expected);
+});
+
+test('a chunked load without rows prepares empty datasets', () => {
+  const processor = new UnifiedDataProcessor();
+  processor.beginChunkedLoad();
+  processor.loadChunk([]);
+
+  assertClose(processor.finishChunkedLoad(), new UnifiedDataProcessor().loadData([]));
+});
+
+test('appending rows merges them like a full load and can be rolled back', () => {
+  const expected = new UnifiedDataProcessor().loadData(rows);
+  const before = new UnifiedDataProcessor().loadData(rows.slice(0, 1200));
+
+  const processor = new UnifiedDataProcessor();
+  processor.loadData(rows.slice(0, 1200));
+  // Rows already loaded are skipped on Conversion ID
+  const result = processor.appendData(rows.slice(1000));
+
+  assert.equal(result.skippedRows, 200);
+  assertClose(processor.processedData, expected);
+
+  processor.removeLastRows(result.rows.length);
+  assertClose(processor.processedData, before);
+});
+
+test('loading rows in chunks reports progress and matches loadData', () => {
+  const single = new UnifiedDataProcessor();
+  const expected = single.loadData(rows);
+  const percents = [];
+  const processor = new UnifiedDataProcessor();
+
+  return processor.loadDataInChunks(rows, progress => percents.push(progress.percent), 700).then(actual => {
+    assertClose(actual, expected);
+    assertClose(processor.filters, single.filters, 'filters');
+    assert.equal(processor.processedData, actual);
+    assert.equal(processor.rawData.length, rows.length);
+    assert.deepEqual(percents.map(Math.round), [35, 69, 99]);
+  });
+});
@@ -0,0 +1,75 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Papa = require('papaparse');
+const { FileIngestor, SampleDataGenerator } = require('../node').loadClasses();
+
+/**
+ * Write rows as CSV with quoted line breaks in some fields, blank lines in the middle,
+ * and an unparseable impression count in some rows
+ * @returns {Object} - { file, badLines }, badLines holding the line each invalid row starts on
+ */
+function createMessyCsv() {
+  const rows = new SampleDataGenerator({ seed: 3, rowCount: 400 }).generate();
+  rows.forEach((row, index) => {
+    if (index % 7 === 0) row['Last Impression Site'] = `site\r\nwith\nbreaks ${index}`;
+    if (index % 50 === 3) row['Impression Count'] = 'lots';
+  });
+
+  const lines = Papa.unparse(rows, { newline: '\r\n' }).split('\r\n');
+  lines.splice(100, 0, '', '');
+  const text = `${lines.join('\r\n')}\r\n\r\n`;
+
+  const badLines = [];
+  text.split(/\r\n|\r|\n/).forEach((line, index, all) => {
+    if (!line.includes(',lots,')) return;
+    let start = index;
+    while (!all[start].startsWith('SAMPLE-')) start--;
+    badLines.push(start + 1);
+  });
+
+  return { file: new File([text], 'messy.csv'), badLines };
+}
+
+test('quarantines invalid rows with the line they start on, across chunks', () => {
+  const { file, badLines } = createMessyCsv();
+  const ingestor = new FileIngestor({ chunkSize: 3000 });
+
+  return ingestor.ingest([file]).then(({ rows, importReport }) => {
+    // Arrays made in the sandbox have their own prototype, so copy them before deep comparisons
+    const lines = Array.from(importReport.validation.quarantined, item => item.line);
+    assert.equal(badLines.length, 8);
+    assert.deepEqual(lines, badLines);
+    assert.equal(rows.length, 400 - badLines.length);
+  });
+});
+
+test('merges files on Conversion ID and reports the duplicates', () => {
+  const rows = new SampleDataGenerator({ seed: 9, rowCount: 300 }).generate();
+  const first = new File([Papa.unparse(rows.slice(0, 200))], 'first.csv');
+  const second = new File([Papa.unparse(rows.slice(150))], 'second.csv');
+  const onRowsCounts = [];
+  const ingestor = new FileIngestor({ onRows: added => onRowsCounts.push(added.length) });
+
+  return ingestor.ingest([first, second]).then(({ rows: merged, importReport }) => {
+    const [firstReport, secondReport] = importReport.merge.files;
+
+    assert.equal(merged.length, 300);
+    assert.deepEqual([firstReport.added, firstReport.duplicates], [200, 0]);
+    assert.deepEqual([secondReport.added, secondReport.duplicates], [100, 50]);
+    // Only rows not seen before are handed on to be aggregated
+    assert.equal(onRowsCounts.reduce((total, count) => total + count, 0), 300);
+  });
+});
+
+test('reads JSON and NDJSON records', () => {
+  const rows = new SampleDataGenerator({ seed: 4, rowCount: 20 }).generate();
+  const json = new File([JSON.stringify({ records: rows.slice(0, 10) })], 'records.json');
+  const ndjson = new File([rows.slice(10).map(row => JSON.stringify(row)).join('\n')], 'records');
+
+  return new FileIngestor().ingest([json, ndjson]).then(({ rows: merged }) => {
+    assert.equal(merged.length, 20);
+    assert.equal(merged[15]['Conversion ID'], rows[15]['Conversion ID']);
+  });
+});
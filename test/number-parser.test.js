@@ -0,0 +1,47 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { NumberParser } = require('../node').loadClasses();
+
+test('detects the separators of formatted numbers', () => {
+  const parser = new NumberParser();
+
+  assert.equal(parser.parse('1,234.50'), 1234.5);
+  assert.equal(parser.parse('1.234,50'), 1234.5);
+  assert.equal(parser.parse('1 234,50 €'), 1234.5);
+  assert.equal(parser.parse('12,00 EUR'), 12);
+  assert.equal(parser.parse('-$3.5'), -3.5);
+  assert.equal(parser.parse('(45.00)'), -45);
+  assert.equal(parser.parse('1e3'), 1000);
+  assert.equal(parser.parse(42), 42);
+});
+
+test('reads numbers with the separators of the chosen locale only', () => {
+  const german = new NumberParser({ locale: 'de-DE' });
+  const american = new NumberParser({ locale: 'en-US' });
+
+  assert.equal(german.parse('1.234,50'), 1234.5);
+  assert.equal(german.parse('1,234.50'), null);
+  assert.equal(american.parse('1,234.50'), 1234.5);
+  assert.equal(american.parse('1.234,50'), null);
+});
+
+test('reads a trailing decimal separator as a whole number', () => {
+  assert.equal(new NumberParser().parse('5.'), 5);
+  assert.equal(new NumberParser({ locale: 'en-US' }).parse('5.'), 5);
+  assert.equal(new NumberParser({ locale: 'de-DE' }).parse('5,'), 5);
+  assert.equal(new NumberParser().parse('.'), null);
+});
+
+test('rejects blank and malformed values', () => {
+  const parser = new NumberParser();
+
+  assert.equal(parser.parse(''), null);
+  assert.equal(parser.parse('   '), null);
+  assert.equal(parser.parse('abc'), null);
+  assert.equal(parser.parse('1,2,3'), null);
+  assert.equal(parser.parse('1.2.3'), null);
+  assert.equal(parser.parse(Infinity), null);
+  assert.equal(parser.parse(null), null);
+});
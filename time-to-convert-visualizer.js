@@ -8,6 +8,10 @@ class TimeToConvertVisualizer {
     this.dataProcessor = dataProcessor;
     this.chartVisualizer = chartVisualizer;
     this.charts = {};
+    // Statistic each breakdown chart plots, keyed by chart ID
+    this.statistics = {};
+    // Breakdown the cumulative chart draws one line per value of
+    this.cumulativeGroup = 'byDevice';
     this.colorPalette = [
       '#4e79a7', '#f28e2c', '#e15759', '#76b7b2', 
       '#59a14f', '#edc949', '#af7aa1', '#ff9da7', 
@@ -22,11 +26,14 @@ class TimeToConvertVisualizer {
   initializeVisualizations(data) {
     if (!data || !data.timeToConvert) return;
     
+    this.data = data;
+    this.definition = data.timeToConvert.definition;
     this.createTimeToConvertDistribution(data.timeToConvert.distribution, data.timeToConvert.stats);
     this.createTimeToConvertByDevice(data.timeToConvert.byDevice);
     this.createTimeToConvertByAdFormat(data.timeToConvert.byAdFormat);
     this.createTimeToConvertByChannel(data.timeToConvert.byChannel);
     this.createTimeVsConversionChart(data.timeToConvert.timeVsConversionPct);
+    this.createCumulativeChart(data.timeToConvert.cumulative);
   }
 
   /**
@@ -45,6 +52,29 @@ class TimeToConvertVisualizer {
     this.initializeVisualizations(data);
   }
 
+  /**
+   * Add the time to convert definition to an axis title
+   * @param {string} title - Axis title
+   * @returns {string} - Title naming how days are measured, e.g. 'Days to Convert (First Impression → Conversion)'
+   */
+  labelDays(title) {
+    return this.definition ? `${title} (${this.definition.label})` : title;
+  }
+
+  /**
+   * Get the statistic a breakdown chart plots, adding the toggle choosing it to the chart's header
+   * @param {string} chartId - Chart ID
+   * @returns {string} - Breakdown field, see EnhancedDataProcessor.timeToConvertStatistics
+   */
+  getStatistic(chartId) {
+    const statistic = this.statistics[chartId] || 'avgTime';
+    this.chartVisualizer.addHeaderSelect(chartId, EnhancedDataProcessor.timeToConvertStatistics, statistic, value => {
+      this.statistics[chartId] = value;
+      this.updateVisualizations(this.data);
+    });
+    return statistic;
+  }
+
   /**
    * Create time to convert distribution chart
    * @param {Object} distribution - Time to convert distribution data
@@ -106,7 +136,7 @@ class TimeToConvertVisualizer {
           x: {
             title: {
               display: true,
-              text: 'Days to Convert'
+              text: this.labelDays('Days to Convert')
             }
           }
         }
@@ -146,6 +176,37 @@ class TimeToConvertVisualizer {
       'time-max-icon'
     );
     
+    // Percentiles and the trimmed mean, which a few very slow conversions skew less than the average
+    const medianTimeCard = this.createMetricCard(
+      'Median Time to Convert',
+      `${stats.median} days`,
+      'time-median-icon'
+    );
+    
+    const trimmedMeanCard = this.createMetricCard(
+      'Trimmed Mean (middle 80%)',
+      `${stats.trimmedMean} days`,
+      'time-trimmed-icon'
+    );
+    
+    const interquartileCard = this.createMetricCard(
+      '25th-75th Percentile',
+      `${stats.p25}-${stats.p75} days`,
+      'time-range-icon'
+    );
+    
+    const p90Card = this.createMetricCard(
+      '90th Percentile',
+      `${stats.p90} days`,
+      'time-p90-icon'
+    );
+    
+    const p95Card = this.createMetricCard(
+      '95th Percentile',
+      `${stats.p95} days`,
+      'time-p95-icon'
+    );
+    
     const totalConversionsCard = this.createMetricCard(
       'Conversions with Time Data', 
       stats.totalConversions.toLocaleString(), 
@@ -154,6 +215,11 @@ class TimeToConvertVisualizer {
     
     // Append cards to container
     summaryContainer.appendChild(avgTimeCard);
+    summaryContainer.appendChild(medianTimeCard);
+    summaryContainer.appendChild(trimmedMeanCard);
+    summaryContainer.appendChild(interquartileCard);
+    summaryContainer.appendChild(p90Card);
+    summaryContainer.appendChild(p95Card);
     summaryContainer.appendChild(minTimeCard);
     summaryContainer.appendChild(maxTimeCard);
     summaryContainer.appendChild(totalConversionsCard);
@@ -190,7 +256,9 @@ class TimeToConvertVisualizer {
     if (!ctx) return;
     
     const devices = Object.keys(deviceData);
-    const avgTimes = devices.map(device => deviceData[device].avgTime.toFixed(2));
+    const statistic = this.getStatistic('time-by-device');
+    const statisticLabel = EnhancedDataProcessor.timeToConvertStatistics[statistic];
+    const times = devices.map(device => deviceData[device][statistic].toFixed(2));
     const conversions = devices.map(device => deviceData[device].conversions);
     
     this.charts.timeByDevice = new Chart(ctx, {
@@ -199,8 +267,8 @@ class TimeToConvertVisualizer {
         labels: devices,
         datasets: [
           {
-            label: 'Avg. Days to Convert',
-            data: avgTimes,
+            label: `${statisticLabel} Days to Convert`,
+            data: times,
             backgroundColor: 'rgba(78, 121, 167, 0.7)',
             borderColor: 'rgba(78, 121, 167, 1)',
             borderWidth: 1,
@@ -234,7 +302,7 @@ class TimeToConvertVisualizer {
             beginAtZero: true,
             title: {
               display: true,
-              text: 'Average Days to Convert'
+              text: this.labelDays(`${statisticLabel} Days to Convert`)
             },
             position: 'left'
           },
@@ -269,7 +337,9 @@ class TimeToConvertVisualizer {
     if (!ctx) return;
     
     const formats = Object.keys(formatData);
-    const avgTimes = formats.map(format => formatData[format].avgTime.toFixed(2));
+    const statistic = this.getStatistic('time-by-format');
+    const statisticLabel = EnhancedDataProcessor.timeToConvertStatistics[statistic];
+    const times = formats.map(format => formatData[format][statistic].toFixed(2));
     const conversions = formats.map(format => formatData[format].conversions);
     
     this.charts.timeByFormat = new Chart(ctx, {
@@ -278,8 +348,8 @@ class TimeToConvertVisualizer {
         labels: formats,
         datasets: [
           {
-            label: 'Avg. Days to Convert',
-            data: avgTimes,
+            label: `${statisticLabel} Days to Convert`,
+            data: times,
             backgroundColor: 'rgba(89, 161, 79, 0.7)',
             borderColor: 'rgba(89, 161, 79, 1)',
             borderWidth: 1,
@@ -313,7 +383,7 @@ class TimeToConvertVisualizer {
             beginAtZero: true,
             title: {
               display: true,
-              text: 'Average Days to Convert'
+              text: this.labelDays(`${statisticLabel} Days to Convert`)
             },
             position: 'left'
           },
@@ -352,7 +422,9 @@ class TimeToConvertVisualizer {
     if (!ctx) return;
     
     const channels = Object.keys(channelData);
-    const avgTimes = channels.map(channel => channelData[channel].avgTime.toFixed(2));
+    const statistic = this.getStatistic('time-by-channel');
+    const statisticLabel = EnhancedDataProcessor.timeToConvertStatistics[statistic];
+    const times = channels.map(channel => channelData[channel][statistic].toFixed(2));
     const conversions = channels.map(channel => channelData[channel].conversions);
     
     this.charts.timeByChannel = new Chart(ctx, {
@@ -361,8 +433,8 @@ class TimeToConvertVisualizer {
         labels: channels,
         datasets: [
           {
-            label: 'Avg. Days to Convert',
-            data: avgTimes,
+            label: `${statisticLabel} Days to Convert`,
+            data: times,
             backgroundColor: 'rgba(118, 183, 178, 0.7)',
             borderColor: 'rgba(118, 183, 178, 1)',
             borderWidth: 1,
@@ -396,7 +468,7 @@ class TimeToConvertVisualizer {
             beginAtZero: true,
             title: {
               display: true,
-              text: 'Average Days to Convert'
+              text: this.labelDays(`${statisticLabel} Days to Convert`)
             },
             position: 'left'
           },
@@ -492,7 +564,7 @@ class TimeToConvertVisualizer {
           x: {
             title: {
               display: true,
-              text: 'Days to Convert'
+              text: this.labelDays('Days to Convert')
             },
             type: 'linear',
             position: 'bottom'
@@ -501,4 +573,128 @@ class TimeToConvertVisualizer {
       }
     });
   }
+
+  /**
+   * Create the cumulative conversions chart: the share of conversions made within each number of days,
+   * overall and per device, ad format, channel or conversion type, with markers where 50, 80 and 95%
+   * of conversions have happened. Planners read attribution lookback windows off it.
+   * @param {Object} cumulative - Cumulative curves from EnhancedDataProcessor.prepareTimeToConvertAnalysis
+   */
+  createCumulativeChart(cumulative) {
+    const ctx = document.getElementById('time-cumulative-chart');
+    if (!ctx || !cumulative) return;
+    
+    const groups = {
+      byDevice: 'By Device',
+      byAdFormat: 'By Ad Format',
+      byChannel: 'By Channel',
+      byConversionType: 'By Conversion Type'
+    };
+    this.chartVisualizer.addHeaderSelect('time-cumulative', groups, this.cumulativeGroup, value => {
+      this.cumulativeGroup = value;
+      this.updateVisualizations(this.data);
+    });
+    
+    const toPoints = curve => curve.points.map(point => ({ x: point.day, y: point.percentage }));
+    const describeMarks = marks => [50, 95]
+      .filter(share => marks[share] !== null)
+      .map(share => `${share}% ≤ ${marks[share]}d`)
+      .join(', ');
+    
+    // One line per group, largest first, up to one per palette color
+    const curves = Object.entries(cumulative[this.cumulativeGroup] || {})
+      .sort((a, b) => b[1].conversions - a[1].conversions)
+      .slice(0, this.colorPalette.length);
+    
+    const datasets = [{
+      label: `All Conversions (${describeMarks(cumulative.overall.marks)})`,
+      name: 'All Conversions',
+      data: toPoints(cumulative.overall),
+      borderColor: '#333333',
+      backgroundColor: '#333333',
+      borderWidth: 3,
+      pointRadius: 0,
+      pointHoverRadius: 4
+    }];
+    
+    curves.forEach(([label, curve], index) => {
+      datasets.push({
+        label: `${label} (${describeMarks(curve.marks)})`,
+        name: label,
+        data: toPoints(curve),
+        borderColor: this.colorPalette[index],
+        backgroundColor: this.colorPalette[index],
+        borderWidth: 2,
+        pointRadius: 0,
+        pointHoverRadius: 4
+      });
+    });
+    
+    // Dashed markers running from each share across to the overall curve, then down to its day
+    [50, 80, 95].forEach(share => {
+      const days = cumulative.overall.marks[share];
+      if (days === null) return;
+      
+      datasets.push({
+        label: `${share}% within ${days} days`,
+        data: [{ x: 0, y: share }, { x: days, y: share }, { x: days, y: 0 }],
+        borderColor: 'rgba(225, 87, 89, 0.8)',
+        backgroundColor: 'rgba(225, 87, 89, 0.8)',
+        borderWidth: 1,
+        borderDash: [6, 4],
+        pointRadius: 0,
+        pointHoverRadius: 0,
+        marker: true
+      });
+    });
+    
+    this.charts.timeCumulative = new Chart(ctx, {
+      type: 'line',
+      data: {
+        datasets: datasets
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        interaction: {
+          mode: 'index',
+          intersect: false
+        },
+        plugins: {
+          title: {
+            display: true,
+            text: 'Share of Conversions Within N Days',
+            font: {
+              size: 16
+            }
+          },
+          tooltip: {
+            filter: item => !item.dataset.marker,
+            callbacks: {
+              title: items => items.length > 0 ? `Within ${items[0].parsed.x} days` : '',
+              label: context => `${context.dataset.name}: ${context.parsed.y}%`
+            }
+          }
+        },
+        scales: {
+          y: {
+            min: 0,
+            max: 100,
+            title: {
+              display: true,
+              text: '% of Conversions (cumulative)'
+            }
+          },
+          x: {
+            type: 'linear',
+            beginAtZero: true,
+            title: {
+              display: true,
+              text: this.labelDays('Days to Convert')
+            }
+          }
+        }
+      }
+    });
+  }
 }
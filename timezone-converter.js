@@ -0,0 +1,267 @@
+// Time zone handling for Trader Visualization Dashboard
+
+/**
+ * Parses export timestamps in the time zone they were recorded in (the source
+ * time zone) and buckets and formats them in the time zone reports are read in
+ * (the reporting time zone). Safe to load in the parse worker.
+ */
+class TimezoneConverter {
+  /**
+   * @param {Object} settings - Time zone settings; both default to the browser's time zone
+   * @param {string} settings.source - IANA time zone of timestamps without an offset, e.g. 'America/New_York'
+   * @param {string} settings.reporting - IANA time zone used for days and displayed dates
+   */
+  constructor(settings = {}) {
+    this.formatters = {};
+    this.offsetCache = {};
+
+    const localTimeZone = this.getLocalTimeZone();
+    this.sourceTimeZone = this.isValidTimeZone(settings.source) ? settings.source : localTimeZone;
+    this.reportingTimeZone = this.isValidTimeZone(settings.reporting) ? settings.reporting : localTimeZone;
+
+    // 'YYYY-MM-DD', 'YYYY-MM-DD HH:mm', 'YYYY-MM-DD HH:mm:ss' and 'YYYY-MM-DDTHH:mm:ss.sss' without an offset
+    this.wallClockPattern = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3})\d*)?)?)?$/;
+    // A time followed by 'Z' or an offset, or a GMT/UTC suffix as in Date.toString() output
+    this.explicitZonePattern = /(?:\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?\s*(?:Z|[+-]\d{2}:?\d{2})|\b(?:GMT|UTC)(?:[+-]\d{2}:?\d{2})?(?:\s*\([^)]*\))?)$/i;
+  }
+
+  /**
+   * Get the current settings
+   * @returns {Object} - { source, reporting }
+   */
+  getSettings() {
+    return { source: this.sourceTimeZone, reporting: this.reportingTimeZone };
+  }
+
+  /**
+   * Parse a timestamp, reading wall-clock times in the source time zone.
+   * Timestamps with an explicit offset or 'Z' keep their own offset.
+   * @param {*} value - Raw timestamp value
+   * @returns {Date|null} - Parsed instant, or null if blank or unparseable
+   */
+  parse(value) {
+    if (value === undefined || value === null || value === '') return null;
+    if (value instanceof Date) return isNaN(value.getTime()) ? null : value;
+    if (typeof value === 'number') {
+      const date = new Date(value);
+      return isNaN(date.getTime()) ? null : date;
+    }
+
+    const text = String(value).trim();
+    const match = this.wallClockPattern.exec(text);
+    if (match) {
+      return this.toInstant({
+        year: parseInt(match[1], 10),
+        month: parseInt(match[2], 10),
+        day: parseInt(match[3], 10),
+        hour: match[4] ? parseInt(match[4], 10) : 0,
+        minute: match[5] ? parseInt(match[5], 10) : 0,
+        second: match[6] ? parseInt(match[6], 10) : 0,
+        millisecond: match[7] ? parseInt(match[7].padEnd(3, '0'), 10) : 0
+      }, this.sourceTimeZone);
+    }
+
+    const date = new Date(text);
+    if (isNaN(date.getTime())) return null;
+    if (this.explicitZonePattern.test(text)) return date;
+
+    // Other formats, e.g. '09/01/2026 10:00 AM', are parsed as browser-local
+    // time, so re-read their wall-clock time in the source time zone
+    return this.toInstant({
+      year: date.getFullYear(),
+      month: date.getMonth() + 1,
+      day: date.getDate(),
+      hour: date.getHours(),
+      minute: date.getMinutes(),
+      second: date.getSeconds(),
+      millisecond: date.getMilliseconds()
+    }, this.sourceTimeZone);
+  }
+
+  /**
+   * Get the reporting-time-zone day an instant falls on
+   * @param {Date} date - Instant
+   * @returns {string} - Day as 'YYYY-MM-DD'
+   */
+  getDayKey(date) {
+    const time = date.getTime();
+    return new Date(time + this.getOffset(time, this.reportingTimeZone)).toISOString().slice(0, 10);
+  }
+
+  /**
+   * Get the first instant of a reporting-time-zone day
+   * @param {string} dayKey - Day as 'YYYY-MM-DD', e.g. from a date input
+   * @returns {Date|null} - Start of the day, or null if the day is invalid
+   */
+  startOfDay(dayKey) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(dayKey || '');
+    if (!match) return null;
+
+    return this.toInstant({
+      year: parseInt(match[1], 10),
+      month: parseInt(match[2], 10),
+      day: parseInt(match[3], 10),
+      hour: 0,
+      minute: 0,
+      second: 0,
+      millisecond: 0
+    }, this.reportingTimeZone);
+  }
+
+  /**
+   * Get the last instant of a reporting-time-zone day, so a date range includes its whole end day
+   * @param {string} dayKey - Day as 'YYYY-MM-DD', e.g. from a date input
+   * @returns {Date|null} - End of the day, or null if the day is invalid
+   */
+  endOfDay(dayKey) {
+    const start = this.startOfDay(dayKey);
+    if (!start) return null;
+
+    // Days are not always 24 hours long, so find the start of the next calendar day
+    const nextDay = new Date(Date.UTC(
+      parseInt(dayKey.slice(0, 4), 10),
+      parseInt(dayKey.slice(5, 7), 10) - 1,
+      parseInt(dayKey.slice(8, 10), 10) + 1
+    ));
+    return new Date(this.startOfDay(nextDay.toISOString().slice(0, 10)).getTime() - 1);
+  }
+
+  /**
+   * Format an instant as a date in the reporting time zone
+   * @param {Date} date - Instant
+   * @returns {string} - Localized date
+   */
+  formatDate(date) {
+    return date.toLocaleDateString(undefined, { timeZone: this.reportingTimeZone });
+  }
+
+  /**
+   * Format a day key as a localized date without shifting it
+   * @param {string} dayKey - Day as 'YYYY-MM-DD'
+   * @returns {string} - Localized date
+   */
+  formatDayKey(dayKey) {
+    const date = new Date(`${dayKey}T00:00:00Z`);
+    return isNaN(date.getTime()) ? dayKey : date.toLocaleDateString(undefined, { timeZone: 'UTC' });
+  }
+
+  /**
+   * Convert wall-clock time in a time zone to an instant
+   * @param {Object} parts - { year, month, day, hour, minute, second, millisecond }
+   * @param {string} timeZone - IANA time zone
+   * @returns {Date|null} - Instant, or null if the wall-clock time is not a real date
+   */
+  toInstant(parts, timeZone) {
+    const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second, parts.millisecond);
+    const check = new Date(wallClock);
+    // Date.UTC rolls values like February 30 over; treat those as invalid
+    if (isNaN(wallClock) || check.getUTCMonth() !== parts.month - 1 || check.getUTCDate() !== parts.day || parts.hour > 23) {
+      return null;
+    }
+
+    // The offset at the guessed instant can differ near a DST change, so check once more
+    const offset = this.getOffset(wallClock, timeZone);
+    let time = wallClock - offset;
+    const correctedOffset = this.getOffset(time, timeZone);
+    if (correctedOffset !== offset) {
+      time = wallClock - correctedOffset;
+    }
+
+    return new Date(time);
+  }
+
+  /**
+   * Get the offset of a time zone from UTC at an instant
+   * @param {number} time - Milliseconds since the epoch
+   * @param {string} timeZone - IANA time zone
+   * @returns {number} - Offset in milliseconds (positive east of UTC)
+   */
+  getOffset(time, timeZone) {
+    if (timeZone === 'UTC') return 0;
+
+    // Offsets only change on quarter hours, so cache them per quarter hour
+    const quarterHour = 15 * 60 * 1000;
+    const bucket = Math.floor(time / quarterHour);
+    const cache = this.offsetCache[timeZone] || (this.offsetCache[timeZone] = new Map());
+    if (cache.has(bucket)) return cache.get(bucket);
+
+    const instant = bucket * quarterHour;
+    const parts = {};
+    this.getFormatter(timeZone).formatToParts(new Date(instant)).forEach(part => {
+      parts[part.type] = part.value;
+    });
+
+    const wallClock = Date.UTC(
+      parseInt(parts.year, 10),
+      parseInt(parts.month, 10) - 1,
+      parseInt(parts.day, 10),
+      parseInt(parts.hour, 10) % 24,
+      parseInt(parts.minute, 10),
+      parseInt(parts.second, 10)
+    );
+    const offset = wallClock - instant;
+
+    cache.set(bucket, offset);
+    return offset;
+  }
+
+  /**
+   * Get a cached formatter that splits instants into wall-clock parts
+   * @param {string} timeZone - IANA time zone
+   * @returns {Intl.DateTimeFormat} - Formatter
+   */
+  getFormatter(timeZone) {
+    if (!this.formatters[timeZone]) {
+      this.formatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+      });
+    }
+    return this.formatters[timeZone];
+  }
+
+  /**
+   * Check whether a time zone name is supported
+   * @param {string} timeZone - IANA time zone
+   * @returns {boolean} - True if supported
+   */
+  isValidTimeZone(timeZone) {
+    if (!timeZone) return false;
+
+    try {
+      this.getFormatter(timeZone);
+      return true;
+    } catch (error) {
+      console.warn(`Unknown time zone "${timeZone}", using the browser time zone instead.`);
+      return false;
+    }
+  }
+
+  /**
+   * Get the browser's time zone
+   * @returns {string} - IANA time zone
+   */
+  getLocalTimeZone() {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  }
+
+  /**
+   * List the time zones the browser supports
+   * @returns {Array} - IANA time zone names, always including UTC and the browser's time zone
+   */
+  getSupportedTimeZones() {
+    const zones = typeof Intl.supportedValuesOf === 'function' ?
+      Intl.supportedValuesOf('timeZone') :
+      ['America/Los_Angeles', 'America/Denver', 'America/Chicago', 'America/New_York', 'America/Sao_Paulo',
+        'Europe/London', 'Europe/Paris', 'Europe/Berlin', 'Asia/Dubai', 'Asia/Kolkata', 'Asia/Singapore',
+        'Asia/Tokyo', 'Australia/Sydney', 'Pacific/Auckland'];
+
+    return Array.from(new Set(['UTC', this.getLocalTimeZone(), ...zones]));
+  }
+}
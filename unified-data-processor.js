@@ -4,207 +4,667 @@
 class UnifiedDataProcessor extends EnhancedDataProcessor {
   constructor() {
     super();
+    this.activeJob = null;
+    this.importReport = null;
+    this.jsonPathMappingsKey = 'traderDashboard.jsonPathMappings';
+    this.jsonPathMappings = this.loadJsonPathMappings();
+    this.currencySettingsKey = 'traderDashboard.currencySettings';
+    this.currency = new CurrencyConverter(this.loadCurrencySettings());
+    this.numberLocaleKey = 'traderDashboard.numberLocale';
+    this.numberLocale = this.loadNumberLocale();
+    this.calculatedMetricsKey = 'traderDashboard.calculatedMetrics';
+    this.loadCalculatedMetrics();
+    this.bucketSchemesKey = 'traderDashboard.bucketSchemes';
+    this.bucketSchemes = this.compileBucketSchemes(this.loadBucketSchemes());
+    this.timeToConvertDefinitionKey = 'traderDashboard.timeToConvertDefinition';
+    this.timeToConvertDefinition = this.loadTimeToConvertDefinition();
+    this.attributionHalfLifeKey = 'traderDashboard.attributionHalfLife';
+    this.attributionHalfLife = this.loadAttributionHalfLife();
   }
 
   /**
-   * Apply filters to the data including multi-select filter support
+   * Set the time-decay attribution half-life and save it with the dashboard settings.
+   * Call loadData again to re-aggregate loaded rows.
+   * @param {number} days - Days after which an impression's weight halves; empty for the default
+   */
+  setAttributionHalfLife(days) {
+    super.setAttributionHalfLife(days);
+
+    if (typeof localStorage === 'undefined') return;
+    try {
+      localStorage.setItem(this.attributionHalfLifeKey, String(this.attributionHalfLife));
+    } catch (error) {
+      console.warn('Unable to save attribution half-life:', error);
+    }
+  }
+
+  /**
+   * Load the saved time-decay attribution half-life
+   * @returns {number} - Days, the default if none is saved
+   */
+  loadAttributionHalfLife() {
+    const fallback = this.attributionHalfLife;
+    if (typeof localStorage === 'undefined') return fallback;
+
+    try {
+      const saved = parseFloat(localStorage.getItem(this.attributionHalfLifeKey));
+      return saved > 0 ? saved : fallback;
+    } catch (error) {
+      console.warn('Unable to read attribution half-life:', error);
+      return fallback;
+    }
+  }
+
+  /**
+   * Choose how time to convert is measured and save the choice with the dashboard settings.
+   * Call loadData again to re-aggregate loaded rows.
+   * @param {string} name - Definition name, see EnhancedDataProcessor.timeToConvertDefinitions
+   */
+  setTimeToConvertDefinition(name) {
+    super.setTimeToConvertDefinition(name);
+
+    if (typeof localStorage === 'undefined') return;
+    try {
+      localStorage.setItem(this.timeToConvertDefinitionKey, this.timeToConvertDefinition);
+    } catch (error) {
+      console.warn('Unable to save time to convert definition:', error);
+    }
+  }
+
+  /**
+   * Load the saved time to convert definition
+   * @returns {string} - Definition name, the default if none is saved
+   */
+  loadTimeToConvertDefinition() {
+    const fallback = this.timeToConvertDefinition;
+    if (typeof localStorage === 'undefined') return fallback;
+
+    try {
+      const saved = localStorage.getItem(this.timeToConvertDefinitionKey);
+      return saved && EnhancedDataProcessor.timeToConvertDefinitions[saved] ? saved : fallback;
+    } catch (error) {
+      console.warn('Unable to read time to convert definition:', error);
+      return fallback;
+    }
+  }
+
+  /**
+   * Set the distribution buckets and save them with the dashboard settings.
+   * Call loadData again to re-aggregate loaded rows.
+   * @param {Object} definitions - Map of measure name to definition, see compileBucketSchemes
+   */
+  setBucketSchemes(definitions) {
+    super.setBucketSchemes(definitions);
+
+    if (typeof localStorage === 'undefined') return;
+    try {
+      localStorage.setItem(this.bucketSchemesKey, JSON.stringify(this.getBucketSchemeDefinitions()));
+    } catch (error) {
+      console.warn('Unable to save bucket settings:', error);
+    }
+  }
+
+  /**
+   * Load saved bucket scheme definitions
+   * @returns {Object} - Map of measure name to definition
+   */
+  loadBucketSchemes() {
+    if (typeof localStorage === 'undefined') return {};
+
+    try {
+      const saved = JSON.parse(localStorage.getItem(this.bucketSchemesKey) || '{}');
+      // Fall back to the defaults if the saved schemes are no longer valid
+      this.compileBucketSchemes(saved);
+      return saved;
+    } catch (error) {
+      console.warn('Unable to read bucket settings:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Set the calculated metrics and save them with the dashboard settings
+   * @param {Array} definitions - Metric definitions, see CalculatedMetric
+   */
+  setCalculatedMetrics(definitions) {
+    super.setCalculatedMetrics(definitions);
+
+    // A removed metric can no longer be charted
+    if (this.chartMetric && !this.getCalculatedMetric(this.chartMetric)) {
+      this.chartMetric = null;
+    }
+    this.saveCalculatedMetrics();
+  }
+
+  /**
+   * Choose the metric performance charts plot against conversions
+   * @param {string|null} name - Calculated metric name, or null for the conversion rate
+   */
+  setChartMetric(name) {
+    this.chartMetric = this.getCalculatedMetric(name) ? name : null;
+    this.saveCalculatedMetrics();
+  }
+
+  /**
+   * Save the calculated metrics and the charted metric
+   */
+  saveCalculatedMetrics() {
+    if (typeof localStorage === 'undefined') return;
+    try {
+      localStorage.setItem(this.calculatedMetricsKey, JSON.stringify({
+        metrics: this.calculatedMetrics.map(metric => metric.getDefinition()),
+        chartMetric: this.chartMetric
+      }));
+    } catch (error) {
+      console.warn('Unable to save calculated metrics:', error);
+    }
+  }
+
+  /**
+   * Load the saved calculated metrics and the charted metric
+   */
+  loadCalculatedMetrics() {
+    this.chartMetric = null;
+    if (typeof localStorage === 'undefined') return;
+
+    try {
+      const saved = JSON.parse(localStorage.getItem(this.calculatedMetricsKey) || '{}');
+      this.calculatedMetrics = this.compileCalculatedMetrics(saved.metrics);
+      this.chartMetric = this.getCalculatedMetric(saved.chartMetric) ? saved.chartMetric : null;
+    } catch (error) {
+      console.warn('Unable to read calculated metrics:', error);
+    }
+  }
+
+  /**
+   * Set the locale whose separators formatted numbers in imported files use.
+   * Applies to files imported afterwards.
+   * @param {string} locale - BCP 47 locale, e.g. 'de-DE', or 'auto' to detect separators per value
+   */
+  setNumberLocale(locale) {
+    this.numberLocale = locale || 'auto';
+
+    if (typeof localStorage === 'undefined') return;
+    try {
+      localStorage.setItem(this.numberLocaleKey, this.numberLocale);
+    } catch (error) {
+      console.warn('Unable to save number locale:', error);
+    }
+  }
+
+  /**
+   * Load the saved number locale
+   * @returns {string} - Locale, or 'auto'
+   */
+  loadNumberLocale() {
+    if (typeof localStorage === 'undefined') return 'auto';
+
+    try {
+      return localStorage.getItem(this.numberLocaleKey) || 'auto';
+    } catch (error) {
+      console.warn('Unable to read number locale:', error);
+      return 'auto';
+    }
+  }
+
+  /**
+   * Set the dot paths that JSON records use for expected columns
+   * @param {Object} mappings - Map of expected column to dot path, e.g. { 'Conversion Time': 'event.time' }
+   */
+  setJsonPathMappings(mappings) {
+    this.jsonPathMappings = mappings || {};
+
+    if (typeof localStorage === 'undefined') return;
+    try {
+      localStorage.setItem(this.jsonPathMappingsKey, JSON.stringify(this.jsonPathMappings));
+    } catch (error) {
+      console.warn('Unable to save JSON path mappings:', error);
+    }
+  }
+
+  /**
+   * Set the source and reporting time zones. Call loadData again to re-aggregate loaded rows.
+   * @param {Object} settings - { source, reporting } IANA time zone names
+   */
+  setTimeZones(settings) {
+    this.timeZone = new TimezoneConverter(settings || {});
+    // Conversion times and days in the store depend on the time zones
+    this.store = null;
+  }
+
+  /**
+   * Set the reporting currency, row currency sources and exchange rates.
+   * Call loadData again to re-aggregate loaded rows.
+   * @param {Object} settings - Currency settings, see CurrencyConverter
+   */
+  setCurrencySettings(settings) {
+    this.currency = new CurrencyConverter(settings || {});
+    // Converted values in the store depend on the currency settings
+    this.store = null;
+
+    if (typeof localStorage === 'undefined') return;
+    try {
+      localStorage.setItem(this.currencySettingsKey, JSON.stringify(this.currency.getSettings()));
+    } catch (error) {
+      console.warn('Unable to save currency settings:', error);
+    }
+  }
+
+  /**
+   * Load saved currency settings
+   * @returns {Object} - Currency settings, see CurrencyConverter
+   */
+  loadCurrencySettings() {
+    if (typeof localStorage === 'undefined') return {};
+
+    try {
+      const saved = localStorage.getItem(this.currencySettingsKey);
+      return saved ? JSON.parse(saved) : {};
+    } catch (error) {
+      console.warn('Unable to read currency settings:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Load saved JSON dot-path mappings
+   * @returns {Object} - Map of expected column to dot path
+   */
+  loadJsonPathMappings() {
+    if (typeof localStorage === 'undefined') return {};
+
+    try {
+      const saved = localStorage.getItem(this.jsonPathMappingsKey);
+      return saved ? JSON.parse(saved) : {};
+    } catch (error) {
+      console.warn('Unable to read JSON path mappings:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Apply filters to the data including multi-select filter support.
+   * Filters are matched against the columnar store's bitmap indexes, and every
+   * dataset is then prepared from the selected rows.
    * @param {Object} filters - Object containing filter criteria
    * @returns {Object} - Processed data with all visualizations
    */
   applyFilters(filters) {
-    let filteredData = [...this.rawData];
+    const conditions = this.getFilterConditions(filters);
     
-    // Apply date range filter
-    if (filters.dateRange) {
-      if (filters.dateRange.start && filters.dateRange.end) {
-        const startDate = new Date(filters.dateRange.start);
-        const endDate = new Date(filters.dateRange.end);
-        
-        filteredData = filteredData.filter(row => {
-          const convDate = new Date(row['Conversion Time']);
-          return convDate >= startDate && convDate <= endDate;
-        });
-      } else if (filters.dateRange.start) {
-        const startDate = new Date(filters.dateRange.start);
-        
-        filteredData = filteredData.filter(row => {
-          const convDate = new Date(row['Conversion Time']);
-          return convDate >= startDate;
-        });
-      } else if (filters.dateRange.end) {
-        const endDate = new Date(filters.dateRange.end);
-        
-        filteredData = filteredData.filter(row => {
-          const convDate = new Date(row['Conversion Time']);
-          return convDate <= endDate;
-        });
+    // Prepare every dataset from the selected rows, then restore the unfiltered data
+    const processedData = this.processedData;
+    try {
+      this.selection = this.getStore().select(conditions);
+      this.prepareDatasets();
+      this.prepareEnhancedDatasets();
+      return this.processedData;
+    } finally {
+      this.processedData = processedData;
+      this.selection = null;
+    }
+  }
+
+  /**
+   * Load parsed rows and prepare every dataset
+   * @param {Array} rows - Parsed data rows
+   * @returns {Object} - Processed data with all visualizations
+   */
+  loadData(rows) {
+    this.rawData = rows;
+    this.extractFilters();
+    this.prepareDatasets();
+    this.prepareEnhancedDatasets();
+    return this.processedData;
+  }
+
+  /**
+   * Load parsed rows like loadData, but aggregate them chunk by chunk and yield between chunks,
+   * so the page stays responsive and can show progress while a large dataset loads
+   * @param {Array} rows - Parsed data rows, already de-duplicated
+   * @param {Function} onProgress - Called with { stage, percent } after each chunk
+   * @param {number} chunkRows - Rows aggregated per chunk
+   * @returns {Promise} - Promise resolving to processed data
+   */
+  loadDataInChunks(rows, onProgress = () => {}, chunkRows = 50000) {
+    // Aggregate into a separate processor so the loaded data stays usable until every row is in
+    const loader = this.createSibling();
+    loader.beginChunkedLoad();
+
+    const loadFrom = start => {
+      if (start >= rows.length) {
+        return Promise.resolve();
       }
+
+      loader.loadChunk(rows.slice(start, start + chunkRows));
+      const loaded = Math.min(start + chunkRows, rows.length);
+      onProgress({ stage: 'aggregating', percent: loaded / rows.length * 99 });
+
+      return new Promise(resolve => setTimeout(resolve, 0)).then(() => loadFrom(loaded));
+    };
+
+    return loadFrom(0).then(() => {
+      this.processedData = loader.finishChunkedLoad();
+      this.rawData = loader.rawData;
+      this.filters = loader.filters;
+      return this.processedData;
+    });
+  }
+
+  /**
+   * Process an uploaded file and prepare data for visualizations
+   * @param {File} file - The CSV, Excel, JSON or compressed file to process
+   * @param {Object} callbacks - Progress and prompt callbacks, see processFiles
+   * @returns {Promise} - Promise resolving to processed data
+   */
+  processFile(file, callbacks) {
+    return this.processFiles([file], callbacks);
+  }
+
+  /**
+   * Process one or more files in a Web Worker, merging them into one dataset
+   * @param {Array} files - The files to process
+   * @param {Object} callbacks - Optional callbacks
+   * @param {Function} callbacks.onProgress - Called with { stage, percent, totals } while parsing
+   * @param {Function} callbacks.onPrompt - Called with (kind, payload) when user input is needed; returns a Promise
+   * @returns {Promise} - Promise resolving to processed data
+   */
+  processFiles(files, callbacks = {}) {
+    return this.ingestFiles(files, callbacks, true).then(result => {
+      this.importReport = result.importReport;
+      this.rawData = result.rawData;
+      this.filters = result.filters;
+      this.processedData = result.processedData;
+      return this.processedData;
+    });
+  }
+
+  /**
+   * Parse files without aggregating them or replacing the loaded data, e.g. to append them later
+   * @param {Array} files - The files to parse
+   * @param {Object} callbacks - Progress and prompt callbacks, see processFiles
+   * @returns {Promise} - Promise resolving to { rows, importReport }
+   */
+  parseFiles(files, callbacks = {}) {
+    return this.ingestFiles(files, callbacks, false).then(result => ({
+      rows: result.rawData,
+      importReport: result.importReport
+    }));
+  }
+
+  /**
+   * Run the file ingestor in a Web Worker, falling back to the main thread
+   * @param {Array} files - The files to ingest
+   * @param {Object} callbacks - Progress and prompt callbacks, see processFiles
+   * @param {boolean} aggregate - Whether to also prepare the datasets, chunk by chunk as files are parsed
+   * @returns {Promise} - Promise resolving to { rawData, importReport } plus filters and processedData when aggregated
+   */
+  ingestFiles(files, callbacks, aggregate) {
+    files = Array.from(files);
+    const onProgress = callbacks.onProgress || (() => {});
+    const onPrompt = callbacks.onPrompt || (() => Promise.resolve(null));
+
+    if (typeof Worker === 'undefined') {
+      return this.ingestFilesOnMainThread(files, { onProgress, onPrompt }, aggregate);
     }
-    
-    // Apply multi-select filters
-    Object.entries(filters).forEach(([key, value]) => {
-      if (key === 'dateRange') return; // Skip date range, already handled
-      
-      if (Array.isArray(value)) {
-        // Handle multi-select values
-        switch (key) {
-          case 'conversionType':
-            filteredData = filteredData.filter(row => value.includes(row['Tracking Tag Name']));
-            break;
-            
-          case 'campaign':
-            filteredData = filteredData.filter(row => 
-              value.includes(row['Last Impression Campaign Name']) || 
-              value.includes(row['First Impression Campaign Name'])
-            );
-            break;
-            
-          case 'adGroup':
-            filteredData = filteredData.filter(row => 
-              value.includes(row['Last Impression Ad Group Name']) || 
-              value.includes(row['First Impression Ad Group Name'])
-            );
-            break;
-            
-          case 'creative':
-            filteredData = filteredData.filter(row => 
-              value.includes(row['Last Impression Creative Name']) || 
-              value.includes(row['First Impression Creative Name'])
-            );
-            break;
-            
-          case 'deviceType':
-            filteredData = filteredData.filter(row => 
-              value.includes(row['Conversion Device Type']) || 
-              value.includes(row['Last Impression Device Type'])
-            );
-            break;
-            
-          case 'country':
-            filteredData = filteredData.filter(row => value.includes(row['Last Impression Country']));
-            break;
-            
-          case 'region':
-            filteredData = filteredData.filter(row => value.includes(row['Last Impression Region']));
-            break;
-            
-          case 'metro':
-            filteredData = filteredData.filter(row => value.includes(row['Last Impression Metro Name']));
-            break;
-            
-          case 'adEnvironment':
-            filteredData = filteredData.filter(row => value.includes(row['Last Impression Ad Environment']));
-            break;
-            
-          case 'attributionModel':
-            filteredData = filteredData.filter(row => value.includes(row['Cross Device Attribution Model']));
-            break;
-            
-          case 'lastImpressionSite':
-            filteredData = filteredData.filter(row => value.includes(row['Last Impression Site']));
-            break;
+
+    let worker;
+    try {
+      worker = new Worker('parse-worker.js');
+    } catch (error) {
+      // Workers cannot be created from file:// pages in some browsers
+      console.warn('Parse worker unavailable, parsing on the main thread:', error);
+      return this.ingestFilesOnMainThread(files, { onProgress, onPrompt }, aggregate);
+    }
+
+    return new Promise((resolve, reject) => {
+      const finish = () => {
+        worker.terminate();
+        this.activeJob = null;
+      };
+
+      this.activeJob = {
+        cancel: () => {
+          finish();
+          reject(new DOMException('Processing cancelled', 'AbortError'));
         }
-      } else {
-        // Handle single value filters (for backward compatibility)
-        switch (key) {
-          case 'conversionType':
-            filteredData = filteredData.filter(row => row['Tracking Tag Name'] === value);
-            break;
-            
-          case 'campaign':
-            filteredData = filteredData.filter(row => 
-              row['Last Impression Campaign Name'] === value || 
-              row['First Impression Campaign Name'] === value
-            );
-            break;
-            
-          case 'adGroup':
-            filteredData = filteredData.filter(row => 
-              row['Last Impression Ad Group Name'] === value || 
-              row['First Impression Ad Group Name'] === value
-            );
-            break;
-            
-          case 'creative':
-            filteredData = filteredData.filter(row => 
-              row['Last Impression Creative Name'] === value || 
-              row['First Impression Creative Name'] === value
-            );
-            break;
-            
-          case 'deviceType':
-            filteredData = filteredData.filter(row => 
-              row['Conversion Device Type'] === value || 
-              row['Last Impression Device Type'] === value
-            );
-            break;
-            
-          case 'country':
-            filteredData = filteredData.filter(row => row['Last Impression Country'] === value);
-            break;
-            
-          case 'region':
-            filteredData = filteredData.filter(row => row['Last Impression Region'] === value);
-            break;
-            
-          case 'metro':
-            filteredData = filteredData.filter(row => row['Last Impression Metro Name'] === value);
+      };
+
+      worker.onmessage = (event) => {
+        const message = event.data;
+
+        switch (message.type) {
+          case 'progress':
+            onProgress(message);
             break;
-            
-          case 'adEnvironment':
-            filteredData = filteredData.filter(row => row['Last Impression Ad Environment'] === value);
+
+          case 'prompt':
+            Promise.resolve(onPrompt(message.kind, message.payload))
+              .catch(error => {
+                console.error('Prompt failed:', error);
+                return null;
+              })
+              .then(value => {
+                if (this.activeJob) {
+                  worker.postMessage({ type: 'promptResponse', id: message.id, value });
+                }
+              });
             break;
-            
-          case 'attributionModel':
-            filteredData = filteredData.filter(row => row['Cross Device Attribution Model'] === value);
+
+          case 'complete':
+            finish();
+            resolve(message);
             break;
-            
-          case 'lastImpressionSite':
-            filteredData = filteredData.filter(row => row['Last Impression Site'] === value);
+
+          case 'error':
+            finish();
+            reject(message.error);
             break;
         }
-      }
+      };
+
+      worker.onerror = (event) => {
+        finish();
+        reject(event.message || event);
+      };
+
+      worker.postMessage({
+        type: 'parse',
+        files,
+        aggregate,
+        options: {
+          jsonPathMappings: this.jsonPathMappings,
+          timeZones: this.timeZone.getSettings(),
+          currency: this.currency.getSettings(),
+          numberLocale: this.numberLocale,
+          bucketSchemes: this.getBucketSchemeDefinitions(),
+          timeToConvertDefinition: this.timeToConvertDefinition,
+          attributionHalfLife: this.attributionHalfLife
+        }
+      });
     });
-    
-    // Create a new instance to process the filtered data
-    const tempProcessor = new UnifiedDataProcessor();
-    tempProcessor.rawData = filteredData;
-    
-    // Ensure we call the original EnhancedDataProcessor methods to prepare all datasets
-    tempProcessor.extractFilters();
-    tempProcessor.prepareDatasets();
-    tempProcessor.prepareEnhancedDatasets();
-    
-    return tempProcessor.processedData;
   }
 
   /**
-   * Process CSV file and prepare data for visualizations
-   * @param {File} file - The CSV file to process
-   * @returns {Promise} - Promise resolving to processed data
+   * Ingest files on the main thread, still parsing and aggregating in chunks
+   * @param {Array} files - The files to ingest
+   * @param {Object} callbacks - Progress and prompt callbacks, see processFiles
+   * @param {boolean} aggregate - Whether to also prepare the datasets
+   * @returns {Promise} - Promise resolving to { rawData, importReport } plus filters and processedData when aggregated
    */
-  processFile(file) {
-    return new Promise((resolve, reject) => {
-      Papa.parse(file, {
-        header: true,
-        dynamicTyping: true,
-        skipEmptyLines: true,
-        complete: (results) => {
-          if (results.errors.length > 0) {
-            reject(results.errors);
-            return;
-          }
-          
-          this.rawData = results.data;
-          this.extractFilters();
-          this.prepareDatasets();
-          this.prepareEnhancedDatasets();
-          resolve(this.processedData);
-        },
-        error: (error) => {
-          reject(error);
+  ingestFilesOnMainThread(files, callbacks, aggregate) {
+    // Aggregate into a separate processor so a cancelled import leaves the loaded data alone
+    const loader = aggregate ? this.createSibling() : null;
+    if (loader) {
+      loader.beginChunkedLoad();
+    }
+
+    const ingestor = new FileIngestor({
+      ...callbacks,
+      onRows: loader ? rows => loader.loadChunk(rows) : undefined,
+      jsonPathMappings: this.jsonPathMappings,
+      timeZones: this.timeZone.getSettings(),
+      currency: this.currency.getSettings(),
+      numberLocale: this.numberLocale
+    });
+    this.activeJob = { cancel: () => ingestor.cancel() };
+
+    return ingestor.ingest(files)
+      .then(({ rows, importReport }) => {
+        // Chunks are already aggregated; what is left needs every row, e.g. time to convert percentiles
+        callbacks.onProgress({ stage: 'aggregating', percent: 99, totals: ingestor.totals });
+        if (!loader) {
+          return { rawData: rows, importReport };
         }
+
+        return {
+          processedData: loader.finishChunkedLoad(),
+          rawData: loader.rawData,
+          filters: loader.filters,
+          importReport
+        };
+      })
+      .finally(() => {
+        this.activeJob = null;
       });
+  }
+
+  /**
+   * Append parsed rows to the loaded data, skipping rows whose Conversion ID is already loaded.
+   * Only the new rows are aggregated; their results are merged into the existing processed data.
+   * @param {Array} rows - Parsed rows to append
+   * @returns {Object} - { rows, skippedRows, dateRange } describing the rows actually appended
+   */
+  appendData(rows) {
+    const isBlank = id => id === undefined || id === null || id === '';
+    const knownIds = new Set();
+    this.rawData.forEach(row => {
+      if (!isBlank(row['Conversion ID'])) {
+        knownIds.add(String(row['Conversion ID']));
+      }
     });
+
+    // Rows without an ID cannot be matched, so they are always appended
+    const newRows = rows.filter(row => {
+      const id = row['Conversion ID'];
+      if (isBlank(id)) return true;
+      if (knownIds.has(String(id))) return false;
+      knownIds.add(String(id));
+      return true;
+    });
+
+    const batch = this.createSibling();
+    batch.loadData(newRows);
+    this.mergeBatch(batch, new ProcessedDataMerger());
+    this.rebuildUnmergedSections();
+
+    return {
+      rows: newRows,
+      skippedRows: rows.length - newRows.length,
+      dateRange: batch.processedData.summary.dateRange
+    };
+  }
+
+  /**
+   * Create an empty processor with this processor's settings, to aggregate rows on their own
+   * @returns {UnifiedDataProcessor} - Processor without data
+   */
+  createSibling() {
+    const sibling = new UnifiedDataProcessor();
+    sibling.timeZone = this.timeZone;
+    sibling.currency = this.currency;
+    sibling.bucketSchemes = this.bucketSchemes;
+    sibling.timeToConvertDefinition = this.timeToConvertDefinition;
+    sibling.attributionHalfLife = this.attributionHalfLife;
+    return sibling;
+  }
+
+  /**
+   * Add the rows, aggregates and filter values of a processor holding other rows to the loaded data.
+   * Sections that cannot be merged are stale until rebuildUnmergedSections is called.
+   * @param {UnifiedDataProcessor} batch - Processor that loaded only the added rows
+   * @param {ProcessedDataMerger} merger - Merger to combine the aggregates with
+   */
+  mergeBatch(batch, merger) {
+    batch.rawData.forEach(row => this.rawData.push(row));
+    // The rows were added in place, so the store is rebuilt on next use
+    this.store = null;
+    this.processedData = merger.merge(this.processedData, batch.processedData);
+
+    Object.keys(batch.filters).forEach(key => {
+      const values = new Set([...(this.filters[key] || []), ...batch.filters[key]]);
+      this.filters[key] = Array.from(values).sort();
+    });
+  }
+
+  /**
+   * Rebuild the sections the merger cannot combine from every loaded row
+   */
+  rebuildUnmergedSections() {
+    // Derived bucket edges move as rows are added, so those distributions are rebuilt from every row
+    if (this.bucketSchemes.impressions.isDataDependent()) {
+      this.processedData.frequencyAnalysis = this.prepareFrequencyAnalysis();
+    }
+    // Time to convert percentiles cannot be merged, so they are rebuilt from every row too
+    this.processedData.timeToConvert = this.prepareTimeToConvertAnalysis();
+    this.processedData.devicePathAnalysis.timeToConvert = this.prepareDevicePathAnalysis().timeToConvert;
+  }
+
+  /**
+   * Start loading rows chunk by chunk while files are parsed, replacing any loaded data
+   */
+  beginChunkedLoad() {
+    this.rawData = [];
+    this.filters = {};
+    this.processedData = {};
+    this.store = null;
+    this.chunkMerger = new ProcessedDataMerger({ appendInPlace: true });
+  }
+
+  /**
+   * Aggregate one parsed chunk and merge it into the data loaded so far,
+   * so aggregation keeps pace with parsing instead of running once at the end
+   * @param {Array} rows - Rows of the chunk, already de-duplicated
+   */
+  loadChunk(rows) {
+    if (rows.length === 0) return;
+
+    const batch = this.createSibling();
+    batch.loadData(rows);
+    this.mergeBatch(batch, this.chunkMerger);
+  }
+
+  /**
+   * Finish a chunked load by rebuilding the sections that need every row at once
+   * @returns {Object} - Processed data with all visualizations
+   */
+  finishChunkedLoad() {
+    this.chunkMerger = null;
+
+    // Without rows there is nothing merged, so prepare the empty datasets directly
+    if (!this.processedData.summary) {
+      return this.loadData(this.rawData);
+    }
+
+    this.rebuildUnmergedSections();
+    return this.processedData;
+  }
+
+  /**
+   * Remove the most recently appended rows and rebuild every dataset from the rest
+   * @param {number} rowCount - Number of rows to remove from the end
+   * @returns {Object} - Processed data with all visualizations
+   */
+  removeLastRows(rowCount) {
+    return this.loadData(this.rawData.slice(0, Math.max(0, this.rawData.length - rowCount)));
+  }
+
+  /**
+   * Cancel the file currently being processed, if any
+   */
+  cancelProcessing() {
+    if (this.activeJob) {
+      this.activeJob.cancel();
+    }
   }
 }
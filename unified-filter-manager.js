@@ -8,6 +8,7 @@ class UnifiedFilterManager {
     this.activeFilters = {};
     this.pendingFilters = {}; // Store filters before applying
     this.filterElements = {};
+    this.onFiltersChanged = null; // Called with the active filters after apply or reset
   }
 
   /**
@@ -19,6 +20,9 @@ class UnifiedFilterManager {
     
     // Clear previous filters
     filterContainer.innerHTML = '';
+    this.filterElements = {};
+    this.pendingFilters = {};
+    this.activeFilters = {};
     
     // Get available filter options
     const filters = this.dataProcessor.getFilters();
@@ -47,6 +51,11 @@ class UnifiedFilterManager {
       this.createMultiSelectFilter(filterContainer, 'lastImpressionSite', 'Last Impression Site', filters.lastImpressionSites);
     }
     
+    // Create source file filter when several exports were merged
+    if (filters.sourceFiles && filters.sourceFiles.length > 1) {
+      this.createMultiSelectFilter(filterContainer, 'sourceFile', 'Source File', filters.sourceFiles);
+    }
+    
     // Create apply button
     this.createApplyButton(filterContainer);
     
@@ -87,17 +96,16 @@ class UnifiedFilterManager {
     this.filterElements.dateStart = startDateInput;
     this.filterElements.dateEnd = endDateInput;
     
-    // Set initial date range based on data
+    // Set initial date range based on data, as days in the reporting time zone
     const summary = this.dataProcessor.processedData.summary;
+    const timeZone = this.dataProcessor.timeZone;
     if (summary && summary.dateRange) {
       if (summary.dateRange.start) {
-        const startDate = summary.dateRange.start.toISOString().split('T')[0];
-        startDateInput.value = startDate;
+        startDateInput.value = timeZone.getDayKey(summary.dateRange.start);
       }
       
       if (summary.dateRange.end) {
-        const endDate = summary.dateRange.end.toISOString().split('T')[0];
-        endDateInput.value = endDate;
+        endDateInput.value = timeZone.getDayKey(summary.dateRange.end);
       }
     }
   }
@@ -253,7 +261,7 @@ class UnifiedFilterManager {
     const filterIds = [
       'conversionType', 'campaign', 'adGroup', 'creative', 
       'deviceType', 'country', 'region', 'metro', 'adEnvironment',
-      'attributionModel', 'lastImpressionSite'
+      'attributionModel', 'lastImpressionSite', 'sourceFile'
     ];
     
     filterIds.forEach(id => {
@@ -333,6 +341,16 @@ class UnifiedFilterManager {
       window.devicePathVisualizer.updateVisualizations(filteredData);
     }
     
+    // Update attribution comparison if available
+    if (window.attributionVisualizer) {
+      window.attributionVisualizer.updateVisualizations(filteredData);
+    }
+    
+    // Update campaign handoff if available
+    if (window.handoffVisualizer) {
+      window.handoffVisualizer.updateVisualizations(filteredData);
+    }
+    
     // Highlight apply button to indicate filters have been applied
     if (this.filterElements.applyButton) {
       this.filterElements.applyButton.classList.add('filter-applied');
@@ -340,6 +358,47 @@ class UnifiedFilterManager {
         this.filterElements.applyButton.classList.remove('filter-applied');
       }, 1000);
     }
+    
+    if (this.onFiltersChanged) {
+      this.onFiltersChanged(this.activeFilters);
+    }
+  }
+
+  /**
+   * Restore previously active filters into the filter UI and apply them
+   * @param {Object} filters - Filters as returned by getActiveFilters
+   */
+  setFilters(filters) {
+    if (!filters || Object.keys(filters).length === 0) return;
+    
+    this.pendingFilters = {};
+    
+    // Restore date range
+    if (filters.dateRange) {
+      if (filters.dateRange.start && this.filterElements.dateStart) {
+        this.filterElements.dateStart.value = filters.dateRange.start;
+        this.updatePendingFilters('dateStart', this.filterElements.dateStart);
+      }
+      
+      if (filters.dateRange.end && this.filterElements.dateEnd) {
+        this.filterElements.dateEnd.value = filters.dateRange.end;
+        this.updatePendingFilters('dateEnd', this.filterElements.dateEnd);
+      }
+    }
+    
+    // Restore multi-select filters, skipping values no longer in the data
+    Object.entries(filters).forEach(([id, values]) => {
+      const element = this.filterElements[id];
+      if (id === 'dateRange' || !element || !element.multiple) return;
+      
+      const selected = new Set(Array.isArray(values) ? values : [values]);
+      Array.from(element.options).forEach(option => {
+        option.selected = selected.has(option.value);
+      });
+      this.updatePendingFilters(id, element);
+    });
+    
+    this.applyFilters();
   }
 
   /**
@@ -359,7 +418,7 @@ class UnifiedFilterManager {
     const filterIds = [
       'conversionType', 'campaign', 'adGroup', 'creative', 
       'deviceType', 'country', 'region', 'metro', 'adEnvironment',
-      'attributionModel', 'lastImpressionSite'
+      'attributionModel', 'lastImpressionSite', 'sourceFile'
     ];
     
     filterIds.forEach(id => {
@@ -389,6 +448,20 @@ class UnifiedFilterManager {
     if (window.devicePathVisualizer) {
       window.devicePathVisualizer.updateVisualizations(this.dataProcessor.processedData);
     }
+    
+    // Update attribution comparison if available
+    if (window.attributionVisualizer) {
+      window.attributionVisualizer.updateVisualizations(this.dataProcessor.processedData);
+    }
+    
+    // Update campaign handoff if available
+    if (window.handoffVisualizer) {
+      window.handoffVisualizer.updateVisualizations(this.dataProcessor.processedData);
+    }
+    
+    if (this.onFiltersChanged) {
+      this.onFiltersChanged(this.activeFilters);
+    }
   }
 
   /**
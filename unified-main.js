@@ -5,8 +5,19 @@ let dataProcessor;
 let chartVisualizer;
 let timeToConvertVisualizer;
 let devicePathVisualizer;
+let attributionVisualizer;
+let handoffVisualizer;
 let filterManager;
 let exportManager;
+let importReportPanel;
+let dataQualityPanel;
+let columnMappingWizard;
+let selectionDialog;
+let currencySettingsDialog;
+let calculatedMetricsDialog;
+let bucketSettingsDialog;
+let datasetStore;
+let currentDataset = null;
 
 // Initialize dashboard when DOM is loaded
 document.addEventListener('DOMContentLoaded', function() {
@@ -38,8 +49,17 @@ function initializeDashboard() {
     devicePathVisualizer = new DevicePathVisualizer(dataProcessor, chartVisualizer);
     window.devicePathVisualizer = devicePathVisualizer;
     
-    // Initialize unified filter manager
+    // Initialize attribution model comparison
+    attributionVisualizer = new AttributionVisualizer(dataProcessor, chartVisualizer);
+    window.attributionVisualizer = attributionVisualizer;
+    
+    // Initialize first vs last impression handoff
+    handoffVisualizer = new HandoffVisualizer(dataProcessor, chartVisualizer);
+    window.handoffVisualizer = handoffVisualizer;
+    
+    // Initialize unified filter manager, saving filters with the open dataset
     filterManager = new UnifiedFilterManager(dataProcessor, chartVisualizer);
+    filterManager.onFiltersChanged = saveActiveFilters;
     
     // Initialize export manager
     exportManager = new ExportManager(dataProcessor, chartVisualizer);
@@ -47,6 +67,30 @@ function initializeDashboard() {
     // Initialize export UI
     exportManager.initializeExport();
     
+    // Initialize import report panel
+    importReportPanel = new ImportReportPanel(dataProcessor, exportManager);
+    
+    // Initialize data quality tab
+    dataQualityPanel = new DataQualityPanel(dataProcessor, chartVisualizer);
+    
+    // Initialize column mapping wizard
+    columnMappingWizard = new ColumnMappingWizard();
+    
+    // Initialize selection dialog used for sheet and archive choices
+    selectionDialog = new SelectionDialog();
+    
+    // Initialize currency settings dialog
+    currencySettingsDialog = new CurrencySettingsDialog();
+    
+    // Initialize calculated metrics dialog
+    calculatedMetricsDialog = new CalculatedMetricsDialog();
+    
+    // Initialize bucket settings dialog
+    bucketSettingsDialog = new BucketSettingsDialog();
+    
+    // Initialize local dataset library
+    datasetStore = new DatasetStore();
+    
     // Show welcome message
     showWelcomeMessage();
 }
@@ -63,24 +107,175 @@ function setupEventListeners() {
     
     // File name display update
     fileInput.addEventListener('change', function() {
-        const fileNameDisplay = document.getElementById('file-name-display');
-        if (fileNameDisplay) {
-            if (fileInput.files.length > 0) {
-                fileNameDisplay.textContent = fileInput.files[0].name;
-            } else {
-                fileNameDisplay.textContent = 'No file selected';
+        updateFileNameDisplay(fileInput.files);
+    });
+    
+    // Append daily exports to the open saved dataset
+    const appendInput = document.getElementById('append-file-input');
+    if (appendInput) {
+        appendInput.addEventListener('change', function() {
+            if (!appendInput.files || appendInput.files.length === 0) return;
+            
+            appendFiles(appendInput.files).finally(() => {
+                appendInput.value = '';
+            });
+        });
+    }
+    
+    // Source and reporting time zones
+    setupTimeZoneSettings();
+    
+    // Separators of formatted numbers in imported files
+    const numberLocaleSelect = document.getElementById('number-locale');
+    if (numberLocaleSelect) {
+        numberLocaleSelect.value = dataProcessor.numberLocale;
+        numberLocaleSelect.addEventListener('change', function() {
+            dataProcessor.setNumberLocale(numberLocaleSelect.value);
+        });
+    }
+    
+    // Reporting currency and exchange rates
+    const currencyButton = document.getElementById('currency-settings-btn');
+    if (currencyButton) {
+        currencyButton.addEventListener('click', openCurrencySettings);
+        updateReportingCurrencyLabel();
+    }
+    
+    // Calculated metrics, and the metric performance charts plot against conversions
+    const metricsButton = document.getElementById('calculated-metrics-btn');
+    if (metricsButton) {
+        metricsButton.addEventListener('click', openCalculatedMetrics);
+    }
+    
+    // Buckets of the impression count and time to convert distributions
+    const bucketButton = document.getElementById('bucket-settings-btn');
+    if (bucketButton) {
+        bucketButton.addEventListener('click', openBucketSettings);
+    }
+    
+    // Half-life of the time-decay attribution model
+    const halfLifeInput = document.getElementById('attribution-half-life');
+    if (halfLifeInput) {
+        halfLifeInput.value = dataProcessor.attributionHalfLife;
+        halfLifeInput.addEventListener('change', function() {
+            try {
+                dataProcessor.setAttributionHalfLife(halfLifeInput.value);
+            } catch (error) {
+                alert(error.message);
+                halfLifeInput.value = dataProcessor.attributionHalfLife;
+                return;
             }
+            reaggregateLoadedData('Recalculating attribution...');
+        });
+    }
+    
+    // Timestamps time to convert is measured between
+    const ttcDefinitionSelect = document.getElementById('ttc-definition');
+    if (ttcDefinitionSelect) {
+        ttcDefinitionSelect.value = dataProcessor.timeToConvertDefinition;
+        ttcDefinitionSelect.addEventListener('change', function() {
+            dataProcessor.setTimeToConvertDefinition(ttcDefinitionSelect.value);
+            updateTimeToConvertDescription();
+            reaggregateLoadedData('Recalculating time to convert...');
+        });
+    }
+    
+    const chartMetricSelect = document.getElementById('chart-metric');
+    if (chartMetricSelect) {
+        populateChartMetricSelect();
+        chartMetricSelect.addEventListener('change', function() {
+            dataProcessor.setChartMetric(chartMetricSelect.value || null);
+            reaggregateLoadedData('Updating charts...');
+        });
+    }
+    
+    // Drag and drop upload anywhere on the page
+    document.addEventListener('dragover', function(event) {
+        event.preventDefault();
+        document.body.classList.add('drag-over');
+    });
+    
+    document.addEventListener('dragleave', function(event) {
+        if (!event.relatedTarget) {
+            document.body.classList.remove('drag-over');
         }
     });
+    
+    document.addEventListener('drop', function(event) {
+        event.preventDefault();
+        document.body.classList.remove('drag-over');
+        
+        const files = event.dataTransfer ? event.dataTransfer.files : null;
+        if (files && files.length > 0) {
+            updateFileNameDisplay(files);
+            loadFiles(files);
+        }
+    });
+}
+
+/**
+ * Update the selected file name display
+ * @param {FileList|Array} files - Selected files
+ */
+function updateFileNameDisplay(files) {
+    const fileNameDisplay = document.getElementById('file-name-display');
+    if (!fileNameDisplay) return;
+    
+    if (!files || files.length === 0) {
+        fileNameDisplay.textContent = 'No file selected';
+    } else if (files.length === 1) {
+        fileNameDisplay.textContent = files[0].name;
+    } else {
+        fileNameDisplay.textContent = `${files.length} files selected`;
+        fileNameDisplay.title = Array.from(files).map(file => file.name).join('\n');
+    }
 }
 
 /**
- * Check for sample data and load if available
+ * Load sample data when the page is opened with ?sample or ?sample=<seed>, e.g. for demo links
  */
 function checkForSampleData() {
-    // In a real implementation, this would check for sample data
-    // For this example, we'll just show a message
-    console.log('Unified dashboard initialized. Upload a CSV file to begin.');
+    const params = new URLSearchParams(window.location.search);
+    if (!params.has('sample')) return;
+    
+    const seed = parseInt(params.get('sample'), 10);
+    loadSampleData(isNaN(seed) ? {} : { seed });
+}
+
+/**
+ * Generate a synthetic dataset and load it like an uploaded file
+ * @param {Object} options - SampleDataGenerator options
+ * @returns {Promise} - Promise resolving once the dashboard is rendered
+ */
+function loadSampleData(options) {
+    const file = new SampleDataGenerator(options).generateFile();
+    updateFileNameDisplay([file]);
+    return loadFiles([file]);
+}
+
+/**
+ * Wire the sample data form on the welcome screen
+ */
+function setupSampleDataForm() {
+    const form = document.getElementById('sample-data-form');
+    if (!form) return;
+    
+    form.addEventListener('submit', function(event) {
+        event.preventDefault();
+        
+        const value = name => parseFloat(form.elements[name].value);
+        loadSampleData({
+            seed: value('seed'),
+            rowCount: value('rowCount'),
+            campaignCount: value('campaignCount'),
+            days: value('days'),
+            timeToConvert: {
+                distribution: form.elements.distribution.value,
+                medianDays: value('medianDays'),
+                maxDays: value('maxDays')
+            }
+        });
+    });
 }
 
 /**
@@ -88,40 +283,609 @@ function checkForSampleData() {
  * @param {Event} event - File input change event
  */
 function handleFileUpload(event) {
-    const file = event.target.files[0];
-    if (!file) return;
+    const files = event.target.files;
+    if (!files || files.length === 0) return;
+    
+    loadFiles(files).finally(() => {
+        // Reset the file input so the same files can be selected again
+        event.target.value = '';
+    });
+}
+
+/**
+ * Parse, merge and visualize one or more files
+ * @param {FileList|Array} files - Files to load
+ * @returns {Promise} - Promise resolving once the dashboard is rendered
+ */
+function loadFiles(files) {
+    setCurrentDataset(null);
+    
+    // Show loading overlay with a cancel button
+    showLoadingOverlay('Parsing files...', () => dataProcessor.cancelProcessing());
+    
+    // Process files in the background, reporting progress as they stream
+    return dataProcessor.processFiles(files, {
+        onProgress: updateLoadingProgress,
+        onPrompt: handleProcessingPrompt
+    })
+        .then(data => {
+            renderDashboard(data);
+            
+            // Hide loading overlay
+            hideLoadingOverlay();
+            
+            // Keep a copy in the local library so it can be reopened after a reload
+            saveLoadedDataset(files);
+        })
+        .catch(error => {
+            hideLoadingOverlay();
+            updateFileNameDisplay(null);
+            
+            if (error && error.name === 'AbortError') {
+                // Cancelled from the loading overlay, so there is nothing to report
+                return;
+            }
+            
+            console.error('Error processing file:', error);
+            alert('Error processing file. Please check the file format and try again.');
+        });
+}
+
+/**
+ * Save the dataset that was just loaded to the local library
+ * @param {FileList|Array} files - Files the dataset was loaded from
+ * @returns {Promise} - Promise resolving once saved (or the save failed)
+ */
+function saveLoadedDataset(files) {
+    if (!datasetStore.isAvailable()) return Promise.resolve();
+    
+    const mergeReport = dataProcessor.importReport && dataProcessor.importReport.merge;
+    const sourceFiles = mergeReport ?
+        mergeReport.files.map(file => file.name) :
+        Array.from(files).map(file => file.name);
+    const name = sourceFiles.length === 1 ?
+        sourceFiles[0] :
+        `${sourceFiles[0]} + ${sourceFiles.length - 1} more`;
     
-    // Show loading overlay
-    showLoadingOverlay();
+    setDatasetStatus('Saving to library...');
     
-    // Process file
-    dataProcessor.processFile(file)
+    return datasetStore.saveDataset({
+        name,
+        rows: dataProcessor.rawData,
+        sourceFiles,
+        dateRange: dataProcessor.processedData.summary.dateRange,
+        timeZones: dataProcessor.timeZone.getSettings()
+    })
+        .then(metadata => {
+            setCurrentDataset(metadata);
+            datasetStore.setLastDatasetId(metadata.id);
+            setDatasetStatus('Saved to library');
+            
+            // Keep filters applied while the dataset was being saved
+            saveActiveFilters(filterManager.getActiveFilters());
+        })
+        .catch(error => {
+            console.warn('Unable to save dataset:', error);
+            setDatasetStatus('Not saved: browser storage is full or unavailable');
+        });
+}
+
+/**
+ * Open a dataset from the local library and restore its filters
+ * @param {string} id - Dataset ID
+ * @returns {Promise} - Promise resolving once the dashboard is rendered
+ */
+function openSavedDataset(id) {
+    showLoadingOverlay('Opening saved dataset...');
+    let metadata;
+    
+    return datasetStore.getDataset(id)
+        .then(result => {
+            if (!result) {
+                throw new Error(`Dataset ${id} not found`);
+            }
+            metadata = result;
+            return datasetStore.loadRows(id);
+        })
+        .then(rows => {
+            // Timestamps are read in the time zones the dataset was saved with
+            if (metadata.timeZones) {
+                dataProcessor.setTimeZones(metadata.timeZones);
+                syncTimeZoneSelects();
+            }
+            
+            return dataProcessor.loadDataInChunks(rows, updateLoadingProgress);
+        })
         .then(data => {
-            // Initialize filters
-            filterManager.initializeFilters();
+            updateLoadingProgress({ stage: 'aggregating', percent: 100 });
+            
+            dataProcessor.importReport = null;
+            setCurrentDataset(metadata);
+            datasetStore.setLastDatasetId(id);
+            renderDashboard(data);
+            
+            const fileNameDisplay = document.getElementById('file-name-display');
+            if (fileNameDisplay) {
+                fileNameDisplay.textContent = metadata.name;
+                fileNameDisplay.title = metadata.sourceFiles.join('\n');
+            }
+            setDatasetStatus('');
+            
+            // Restore the filters that were active when the dataset was last used
+            filterManager.setFilters(metadata.activeFilters);
+            
+            hideLoadingOverlay();
+        })
+        .catch(error => {
+            hideLoadingOverlay();
+            console.error('Error opening saved dataset:', error);
+            alert('Unable to open the saved dataset.');
+        });
+}
+
+/**
+ * Parse files and append their new rows to the open saved dataset.
+ * Rows whose Conversion ID is already in the dataset are skipped.
+ * @param {FileList|Array} files - Daily export files to append
+ * @returns {Promise} - Promise resolving once the batch is applied and saved
+ */
+function appendFiles(files) {
+    if (!currentDataset) return Promise.resolve();
+    
+    const datasetId = currentDataset.id;
+    const activeFilters = { ...filterManager.getActiveFilters() };
+    let parsed;
+    let batch;
+    
+    showLoadingOverlay('Parsing files...', () => dataProcessor.cancelProcessing());
+    
+    return dataProcessor.parseFiles(files, {
+        onProgress: updateLoadingProgress,
+        onPrompt: handleProcessingPrompt
+    })
+        .then(result => {
+            parsed = result;
             
-            // Initialize charts
-            chartVisualizer.initializeCharts(data);
+            // Only the new rows are aggregated and merged into the loaded dataset
+            batch = dataProcessor.appendData(parsed.rows);
+            dataProcessor.importReport = parsed.importReport;
             
-            // Initialize time to convert visualizations
-            timeToConvertVisualizer.initializeVisualizations(data);
+            setDatasetStatus('Saving batch...');
+            const mergeReport = parsed.importReport && parsed.importReport.merge;
+            return datasetStore.appendBatch(datasetId, {
+                rows: batch.rows,
+                sourceFiles: mergeReport ?
+                    mergeReport.files.map(file => file.name) :
+                    Array.from(files).map(file => file.name),
+                skippedRows: batch.skippedRows,
+                dateRange: batch.dateRange
+            });
+        })
+        .then(metadata => {
+            setCurrentDataset(metadata);
+            setDatasetStatus(`Appended ${formatNumber(batch.rows.length)} new rows` +
+                (batch.skippedRows > 0 ? `, skipped ${formatNumber(batch.skippedRows)} already stored` : ''));
             
-            // Initialize device path visualizations
-            devicePathVisualizer.initializeVisualizations(data);
+            renderDashboard(dataProcessor.processedData);
+            filterManager.setFilters(activeFilters);
+            hideLoadingOverlay();
+        })
+        .catch(error => {
+            hideLoadingOverlay();
             
-            // Add site performance chart
-            createSitePerformanceChart(data.sitePerformance);
+            if (error && error.name === 'AbortError') {
+                // Nothing was appended, so the loaded data is unchanged
+                return;
+            }
             
-            // Hide loading overlay
+            console.error('Error appending files:', error);
+            
+            // Keep the dashboard in step with the library if the batch could not be saved
+            if (batch) {
+                dataProcessor.removeLastRows(batch.rows.length);
+                setDatasetStatus('Batch not saved: browser storage is full or unavailable');
+            }
+            alert('Error appending files. The dataset was left unchanged.');
+        });
+}
+
+/**
+ * Remove the last appended batch from the open dataset after confirmation
+ * @param {Object} batch - Batch record from DatasetStore
+ */
+function rollbackLastBatch(batch) {
+    if (!currentDataset) return;
+    if (!confirm(`Remove batch ${batch.number} (${formatNumber(batch.rowCount)} rows) from "${currentDataset.name}"?`)) return;
+    
+    const activeFilters = { ...filterManager.getActiveFilters() };
+    showLoadingOverlay('Rolling back batch...');
+    
+    datasetStore.rollbackLastBatch(currentDataset.id)
+        .then(result => {
+            updateLoadingProgress({ stage: 'aggregating', percent: 100 });
+            setCurrentDataset(result.metadata);
+            
+            dataProcessor.importReport = null;
+            const data = dataProcessor.removeLastRows(result.batch.rowCount);
+            renderDashboard(data);
+            filterManager.setFilters(activeFilters);
+            
+            setDatasetStatus(`Rolled back batch ${result.batch.number}`);
             hideLoadingOverlay();
         })
         .catch(error => {
-            console.error('Error processing file:', error);
-            alert('Error processing file. Please check the file format and try again.');
             hideLoadingOverlay();
+            console.error('Error rolling back batch:', error);
+            alert('Unable to roll back the batch.');
         });
 }
 
+/**
+ * Set the saved dataset the dashboard is showing
+ * @param {Object|null} metadata - Dataset metadata from DatasetStore, or null for unsaved data
+ */
+function setCurrentDataset(metadata) {
+    currentDataset = metadata;
+    
+    // Appending needs a saved dataset to add to
+    const appendLabel = document.getElementById('append-file-label');
+    if (appendLabel) {
+        appendLabel.style.display = metadata ? 'inline-block' : 'none';
+    }
+}
+
+/**
+ * Fill the time zone selects and re-aggregate the loaded rows when they change
+ */
+function setupTimeZoneSettings() {
+    const sourceSelect = document.getElementById('source-timezone');
+    const reportingSelect = document.getElementById('reporting-timezone');
+    if (!sourceSelect || !reportingSelect) return;
+    
+    const options = dataProcessor.timeZone.getSupportedTimeZones()
+        .map(zone => `<option value="${zone}">${zone.replace(/_/g, ' ')}</option>`)
+        .join('');
+    sourceSelect.innerHTML = options;
+    reportingSelect.innerHTML = options;
+    syncTimeZoneSelects();
+    
+    const onChange = function() {
+        dataProcessor.setTimeZones({
+            source: sourceSelect.value,
+            reporting: reportingSelect.value
+        });
+        applyTimeZoneChange();
+    };
+    sourceSelect.addEventListener('change', onChange);
+    reportingSelect.addEventListener('change', onChange);
+}
+
+/**
+ * Show the processor's current time zones in the selects
+ */
+function syncTimeZoneSelects() {
+    const settings = dataProcessor.timeZone.getSettings();
+    const sourceSelect = document.getElementById('source-timezone');
+    const reportingSelect = document.getElementById('reporting-timezone');
+    
+    if (sourceSelect) sourceSelect.value = settings.source;
+    if (reportingSelect) reportingSelect.value = settings.reporting;
+}
+
+/**
+ * Re-aggregate the loaded rows in the new time zones and save them with the open dataset
+ */
+function applyTimeZoneChange() {
+    if (currentDataset) {
+        datasetStore.updateDataset(currentDataset.id, { timeZones: dataProcessor.timeZone.getSettings() })
+            .then(metadata => {
+                if (metadata) setCurrentDataset(metadata);
+            })
+            .catch(error => {
+                console.warn('Unable to save time zones:', error);
+            });
+    }
+    
+    // Daily buckets and date filters depend on the time zones, so rebuild every aggregate
+    reaggregateLoadedData('Applying time zones...');
+}
+
+/**
+ * Edit the reporting currency, row currencies and exchange rates, then re-aggregate the loaded rows
+ */
+function openCurrencySettings() {
+    currencySettingsDialog.show(dataProcessor.currency, dataProcessor.filters.conversionTypes)
+        .then(settings => {
+            if (!settings) return;
+            
+            dataProcessor.setCurrencySettings(settings);
+            updateReportingCurrencyLabel();
+            reaggregateLoadedData('Converting values...');
+        });
+}
+
+/**
+ * Show the reporting currency on the currency settings button
+ */
+function updateReportingCurrencyLabel() {
+    const label = document.getElementById('reporting-currency-label');
+    if (label) {
+        label.textContent = dataProcessor.currency.reportingCurrency;
+    }
+}
+
+/**
+ * Edit the calculated metrics, then redraw the dashboard with them
+ */
+function openCalculatedMetrics() {
+    calculatedMetricsDialog.show(dataProcessor)
+        .then(definitions => {
+            if (!definitions) return;
+            
+            dataProcessor.setCalculatedMetrics(definitions);
+            populateChartMetricSelect();
+            reaggregateLoadedData('Calculating metrics...');
+        });
+}
+
+/**
+ * Edit the distribution buckets, then re-aggregate the loaded rows with them
+ */
+function openBucketSettings() {
+    bucketSettingsDialog.show(dataProcessor)
+        .then(definitions => {
+            if (!definitions) return;
+            
+            dataProcessor.setBucketSchemes(definitions);
+            reaggregateLoadedData('Rebuilding distributions...');
+        });
+}
+
+/**
+ * List the conversion rate and every calculated metric in the chart metric select
+ */
+function populateChartMetricSelect() {
+    const select = document.getElementById('chart-metric');
+    if (!select) return;
+    
+    select.innerHTML = '';
+    const choices = [{ value: '', label: 'Conversion Rate (%)' }].concat(
+        dataProcessor.calculatedMetrics.map(metric => ({ value: metric.name, label: metric.name }))
+    );
+    choices.forEach(choice => {
+        const option = document.createElement('option');
+        option.value = choice.value;
+        option.textContent = choice.label;
+        select.appendChild(option);
+    });
+    select.value = dataProcessor.chartMetric || '';
+}
+
+/**
+ * Rebuild every aggregate of the loaded rows after a setting they depend on changed, keeping the active filters
+ * @param {string} message - Loading overlay message
+ */
+function reaggregateLoadedData(message) {
+    if (!dataProcessor.rawData || dataProcessor.rawData.length === 0) return;
+    
+    const activeFilters = { ...filterManager.getActiveFilters() };
+    showLoadingOverlay(message);
+    
+    // Let the overlay paint before the synchronous re-aggregation
+    setTimeout(() => {
+        renderDashboard(dataProcessor.loadData(dataProcessor.rawData));
+        filterManager.setFilters(activeFilters);
+        hideLoadingOverlay();
+    }, 0);
+}
+
+/**
+ * Show the import report, with the batch history of the open dataset
+ */
+function renderImportReport() {
+    importReportPanel.render({
+        batches: currentDataset ? datasetStore.getBatches(currentDataset) : null,
+        onRollback: rollbackLastBatch
+    });
+}
+
+/**
+ * Save the active filters with the open dataset
+ * @param {Object} filters - Active filters from the filter manager
+ */
+function saveActiveFilters(filters) {
+    if (!currentDataset) return;
+    
+    datasetStore.saveFilters(currentDataset.id, filters).catch(error => {
+        console.warn('Unable to save filters:', error);
+    });
+}
+
+/**
+ * Show the library save status next to the file name
+ * @param {string} message - Status text, or an empty string to clear it
+ */
+function setDatasetStatus(message) {
+    const status = document.getElementById('dataset-status');
+    if (status) {
+        status.textContent = message;
+    }
+}
+
+/**
+ * List saved datasets on the welcome screen with open, rename and delete actions
+ */
+function renderDatasetLibrary() {
+    const container = document.getElementById('dataset-library');
+    if (!container || !datasetStore.isAvailable()) return;
+    
+    datasetStore.listDatasets()
+        .then(datasets => {
+            container.innerHTML = '';
+            if (datasets.length === 0) return;
+            
+            const lastDatasetId = datasetStore.getLastDatasetId();
+            
+            const heading = document.createElement('h3');
+            heading.textContent = 'Saved Datasets';
+            container.appendChild(heading);
+            
+            const table = document.createElement('table');
+            table.className = 'table table-sm dataset-library-table';
+            table.innerHTML = `
+                <thead>
+                    <tr><th>Name</th><th>Uploaded</th><th>Rows</th><th>Source Files</th><th></th></tr>
+                </thead>
+                <tbody></tbody>
+            `;
+            
+            const tbody = table.querySelector('tbody');
+            datasets.forEach(dataset => {
+                const row = document.createElement('tr');
+                if (dataset.id === lastDatasetId) {
+                    row.className = 'last-opened';
+                }
+                
+                [
+                    dataset.name,
+                    new Date(dataset.createdAt).toLocaleString(),
+                    formatNumber(dataset.rowCount),
+                    dataset.sourceFiles.join(', ')
+                ].forEach(text => {
+                    const cell = document.createElement('td');
+                    cell.textContent = text;
+                    row.appendChild(cell);
+                });
+                
+                const actions = document.createElement('td');
+                actions.className = 'dataset-actions';
+                [
+                    { label: 'Open', className: 'btn-primary', handler: () => openSavedDataset(dataset.id) },
+                    { label: 'Rename', className: 'btn-outline-secondary', handler: () => renameSavedDataset(dataset) },
+                    { label: 'Delete', className: 'btn-outline-danger', handler: () => deleteSavedDataset(dataset) }
+                ].forEach(action => {
+                    const button = document.createElement('button');
+                    button.type = 'button';
+                    button.className = `btn btn-sm ${action.className}`;
+                    button.textContent = action.label;
+                    button.addEventListener('click', action.handler);
+                    actions.appendChild(button);
+                });
+                row.appendChild(actions);
+                
+                tbody.appendChild(row);
+            });
+            
+            container.appendChild(table);
+        })
+        .catch(error => {
+            console.warn('Unable to list saved datasets:', error);
+        });
+}
+
+/**
+ * Rename a saved dataset
+ * @param {Object} dataset - Dataset metadata
+ */
+function renameSavedDataset(dataset) {
+    const name = prompt('Dataset name', dataset.name);
+    if (!name || !name.trim() || name.trim() === dataset.name) return;
+    
+    datasetStore.renameDataset(dataset.id, name.trim())
+        .then(renderDatasetLibrary)
+        .catch(error => {
+            console.error('Error renaming dataset:', error);
+            alert('Unable to rename the dataset.');
+        });
+}
+
+/**
+ * Delete a saved dataset after confirmation
+ * @param {Object} dataset - Dataset metadata
+ */
+function deleteSavedDataset(dataset) {
+    if (!confirm(`Delete "${dataset.name}" from this browser?`)) return;
+    
+    datasetStore.deleteDataset(dataset.id)
+        .then(() => {
+            if (currentDataset && currentDataset.id === dataset.id) {
+                setCurrentDataset(null);
+            }
+            renderDatasetLibrary();
+        })
+        .catch(error => {
+            console.error('Error deleting dataset:', error);
+            alert('Unable to delete the dataset.');
+        });
+}
+
+/**
+ * Answer a request for user input raised while files are processed
+ * @param {string} kind - Prompt kind
+ * @param {Object} payload - Prompt details
+ * @returns {Promise} - Promise resolving to the user's answer
+ */
+function handleProcessingPrompt(kind, payload) {
+    switch (kind) {
+        case 'columnMapping':
+            return columnMappingWizard.resolveMapping(payload.fields, payload.fileName);
+        case 'sheet':
+            return selectionDialog.show({
+                title: 'Choose a Sheet',
+                message: `${payload.fileName} has ${payload.sheets.length} sheets. Which one holds the conversion data?`,
+                choices: payload.sheets.map(sheet => ({
+                    value: sheet.name,
+                    label: sheet.name,
+                    detail: `${formatNumber(sheet.rows)} rows`
+                })),
+                confirmLabel: 'Load Sheet'
+            });
+        case 'archiveEntries':
+            return selectionDialog.show({
+                title: 'Choose Files',
+                message: `${payload.fileName} contains ${payload.entries.length} files. The selected files are merged into one dataset.`,
+                choices: payload.entries.map(entry => ({ value: entry, label: entry })),
+                multiple: true,
+                confirmLabel: 'Load Selected'
+            });
+        default:
+            return Promise.resolve(null);
+    }
+}
+
+/**
+ * Render every dashboard component from processed data
+ * @param {Object} data - Processed data from UnifiedDataProcessor
+ */
+function renderDashboard(data) {
+    // Initialize filters
+    filterManager.initializeFilters();
+    
+    // Initialize charts, replacing any from a previous dataset
+    chartVisualizer.updateCharts(data);
+    
+    // Initialize time to convert visualizations
+    timeToConvertVisualizer.updateVisualizations(data);
+    
+    // Initialize device path visualizations
+    devicePathVisualizer.updateVisualizations(data);
+    
+    // Compare attribution models
+    attributionVisualizer.updateVisualizations(data);
+    
+    // Show campaign handoffs from first to last impression
+    handoffVisualizer.updateVisualizations(data);
+    
+    // Add site performance chart
+    createSitePerformanceChart(data.sitePerformance);
+    
+    // Show merge results and appended batches
+    renderImportReport();
+    
+    // Profile the loaded rows
+    dataQualityPanel.render();
+}
+
 /**
  * Create site performance chart
  * @param {Object} siteData - Site performance data
@@ -139,7 +903,11 @@ function createSitePerformanceChart(siteData) {
     
     const sites = sortedSites.map(([site]) => site);
     const conversions = sortedSites.map(([, data]) => data.conversions);
-    const conversionRates = sortedSites.map(([, data]) => data.conversionRate.toFixed(2));
+    const chartMetric = chartVisualizer.getChartMetric();
+    const metricValues = sortedSites.map(([, data]) => {
+        const value = chartMetric.value(data);
+        return value === null ? null : value.toFixed(2);
+    });
     
     const siteChart = new Chart(ctx, {
         type: 'bar',
@@ -155,8 +923,8 @@ function createSitePerformanceChart(siteData) {
                     yAxisID: 'y'
                 },
                 {
-                    label: 'Conversion Rate (%)',
-                    data: conversionRates,
+                    label: chartMetric.label,
+                    data: metricValues,
                     backgroundColor: 'rgba(242, 142, 44, 0.7)',
                     borderColor: 'rgba(242, 142, 44, 1)',
                     borderWidth: 1,
@@ -190,7 +958,7 @@ function createSitePerformanceChart(siteData) {
                     beginAtZero: true,
                     title: {
                         display: true,
-                        text: 'Conversion Rate (%)'
+                        text: chartMetric.label
                     },
                     position: 'right',
                     grid: {
@@ -218,6 +986,25 @@ function createSitePerformanceChart(siteData) {
     chartVisualizer.charts.sitePerformance = siteChart;
 }
 
+/**
+ * Describe how time to convert is measured, for the welcome screen
+ * @returns {string} - e.g. 'measured from first impression time to last impression time'
+ */
+function describeTimeToConvertDefinition() {
+    const definition = dataProcessor.getTimeToConvertDefinition();
+    return `measured from ${definition.start.toLowerCase()} to ${definition.end.toLowerCase()} (change it with Time to Convert)`;
+}
+
+/**
+ * Keep the welcome screen's time to convert description in step with the selected definition
+ */
+function updateTimeToConvertDescription() {
+    const description = document.getElementById('ttc-definition-description');
+    if (description) {
+        description.textContent = describeTimeToConvertDefinition();
+    }
+}
+
 /**
  * Show welcome message
  */
@@ -228,7 +1015,28 @@ function showWelcomeMessage() {
     summaryContainer.innerHTML = `
         <div class="welcome-message">
             <h2>Welcome to the Unified Trader Visualization Dashboard</h2>
-            <p>Upload a CSV file to begin analyzing your conversion data.</p>
+            <p>Upload or drop one or more CSV, Excel, JSON or NDJSON files, or .gz / .zip archives of them, to begin analyzing your conversion data. Multiple exports are merged and de-duplicated on Conversion ID.</p>
+            <div id="dataset-library" class="dataset-library"></div>
+            <div class="sample-data-panel">
+                <h3>No data at hand?</h3>
+                <p>Generate a synthetic dataset to explore the dashboard. The same seed always produces the same rows.</p>
+                <form id="sample-data-form" class="sample-data-form">
+                    <label>Rows <input type="number" name="rowCount" class="form-control form-control-sm" min="1" max="200000" value="5000" required></label>
+                    <label>Campaigns <input type="number" name="campaignCount" class="form-control form-control-sm" min="1" max="50" value="5" required></label>
+                    <label>Days <input type="number" name="days" class="form-control form-control-sm" min="1" max="730" value="30" required></label>
+                    <label>Time to Convert
+                        <select name="distribution" class="form-select form-select-sm">
+                            <option value="lognormal">Log-normal</option>
+                            <option value="exponential">Exponential</option>
+                            <option value="uniform">Uniform</option>
+                        </select>
+                    </label>
+                    <label>Median Days <input type="number" name="medianDays" class="form-control form-control-sm" min="0.1" step="0.1" value="3" required></label>
+                    <label>Max Days <input type="number" name="maxDays" class="form-control form-control-sm" min="1" value="30" required></label>
+                    <label>Seed <input type="number" name="seed" class="form-control form-control-sm" value="1" required></label>
+                    <button type="submit" class="btn btn-sm btn-outline-primary">Generate Sample Data</button>
+                </form>
+            </div>
             <p>This unified dashboard provides insights on:</p>
             <ul>
                 <li>Conversion drivers</li>
@@ -244,25 +1052,89 @@ function showWelcomeMessage() {
             <p>Key features include:</p>
             <ul>
                 <li>Multi-select filtering capabilities with apply button</li>
-                <li>Time to convert (Last impression time minus first impression time) in days</li>
+                <li>Time to convert in days, <span id="ttc-definition-description">${describeTimeToConvertDefinition()}</span></li>
                 <li>Time to convert by device path</li>
                 <li>Average time to convert by device, ad format, and channel</li>
                 <li>Filtering by Cross Device Attribution Model</li>
                 <li>Performance analysis by impression site</li>
             </ul>
-            <p>All data is processed client-side only - no data is stored on any server.</p>
+            <p>All data is processed client-side only - no data is stored on any server. Uploaded datasets are saved in this browser so they can be reopened later.</p>
         </div>
     `;
+    
+    renderDatasetLibrary();
+    setupSampleDataForm();
 }
 
 /**
  * Show loading overlay
+ * @param {string} message - Message to display under the spinner
+ * @param {Function} onCancel - Optional handler for the cancel button
  */
-function showLoadingOverlay() {
+function showLoadingOverlay(message = 'Processing data...', onCancel = null) {
     const overlay = document.getElementById('loading-overlay');
     if (overlay) {
         overlay.style.display = 'flex';
     }
+    
+    const messageElement = document.getElementById('loading-message');
+    if (messageElement) {
+        messageElement.textContent = message;
+    }
+    
+    setLoadingProgressBar(0);
+    
+    const details = document.getElementById('loading-details');
+    if (details) {
+        details.textContent = '';
+    }
+    
+    const cancelButton = document.getElementById('loading-cancel-btn');
+    if (cancelButton) {
+        cancelButton.style.display = onCancel ? 'inline-block' : 'none';
+        cancelButton.onclick = onCancel;
+    }
+}
+
+/**
+ * Update loading overlay with parsing progress
+ * @param {Object} progress - Progress message from the data processor
+ */
+function updateLoadingProgress(progress) {
+    if (!progress) return;
+    
+    setLoadingProgressBar(progress.percent || 0);
+    
+    const messageElement = document.getElementById('loading-message');
+    if (messageElement) {
+        if (progress.stage === 'aggregating') {
+            messageElement.textContent = 'Building visualizations...';
+        } else if (progress.stage === 'decompressing') {
+            messageElement.textContent = `Decompressing ${progress.fileName}...`;
+        } else {
+            messageElement.textContent = `Parsing file... ${Math.floor(progress.percent || 0)}%`;
+        }
+    }
+    
+    const details = document.getElementById('loading-details');
+    if (details && progress.totals) {
+        details.textContent = `${formatNumber(progress.totals.rows)} rows | ` +
+            (progress.totals.quarantined ? `${formatNumber(progress.totals.quarantined)} quarantined | ` : '') +
+            `${formatNumber(progress.totals.impressions)} impressions | ` +
+            `${formatCurrency(progress.totals.monetaryValue)} value`;
+    }
+}
+
+/**
+ * Set the width of the loading progress bar
+ * @param {number} percent - Progress percentage (0-100)
+ */
+function setLoadingProgressBar(percent) {
+    const progressBar = document.getElementById('loading-progress-bar');
+    if (progressBar) {
+        progressBar.style.width = `${percent}%`;
+        progressBar.setAttribute('aria-valuenow', Math.round(percent));
+    }
 }
 
 /**
@@ -273,6 +1145,11 @@ function hideLoadingOverlay() {
     if (overlay) {
         overlay.style.display = 'none';
     }
+    
+    const cancelButton = document.getElementById('loading-cancel-btn');
+    if (cancelButton) {
+        cancelButton.onclick = null;
+    }
 }
 
 /**
@@ -298,13 +1175,13 @@ function formatNumber(number) {
 
 /**
  * Utility function to format currency
- * @param {number} value - Value to format
+ * @param {number} value - Value in the reporting currency
  * @returns {string} - Formatted currency string
  */
 function formatCurrency(value) {
     return new Intl.NumberFormat('en-US', {
         style: 'currency',
-        currency: 'USD'
+        currency: dataProcessor.currency.reportingCurrency
     }).format(value);
 }
 
@@ -0,0 +1,148 @@
+// Excel workbook reading for Trader Visualization Dashboard
+
+/**
+ * Reads .xlsx / .xls workbooks with SheetJS and turns a sheet into parsed rows.
+ * Safe to load in the parse worker.
+ */
+class WorkbookReader {
+  constructor() {
+    this.extensions = ['.xlsx', '.xls'];
+
+    // Largest valid Excel serial date (9999-12-31)
+    this.maxSerialDate = 2958465;
+
+    // Days between the 1900 and 1904 date systems' day zero
+    this.date1904Offset = 1462;
+  }
+
+  /**
+   * Check whether a file is an Excel workbook
+   * @param {File|Blob} file - Uploaded file
+   * @returns {boolean} - True for .xlsx and .xls files
+   */
+  isWorkbook(file) {
+    const name = (file && file.name ? file.name : '').toLowerCase();
+    return this.extensions.some(extension => name.endsWith(extension));
+  }
+
+  /**
+   * Read a workbook file
+   * @param {File|Blob} file - Workbook file
+   * @returns {Promise} - Promise resolving to the SheetJS workbook
+   */
+  read(file) {
+    // SheetJS is optional in the Node.js package
+    if (typeof XLSX === 'undefined') {
+      return Promise.reject(new Error('Install xlsx to read Excel workbooks'));
+    }
+
+    return file.arrayBuffer().then(buffer => {
+      // cellNF keeps number formats so date-formatted serials can be recognized
+      return XLSX.read(buffer, { type: 'array', cellNF: true, cellDates: false });
+    });
+  }
+
+  /**
+   * Describe the sheets in a workbook
+   * @param {Object} workbook - SheetJS workbook
+   * @returns {Array} - Sheets as { name, rows }
+   */
+  getSheetSummaries(workbook) {
+    return workbook.SheetNames.map(name => {
+      const sheet = workbook.Sheets[name];
+      const range = sheet && sheet['!ref'] ? XLSX.utils.decode_range(sheet['!ref']) : null;
+      return {
+        name,
+        // Rows below the header row
+        rows: range ? range.e.r - range.s.r : 0
+      };
+    });
+  }
+
+  /**
+   * Convert a sheet into row objects keyed by the header row
+   * @param {Object} workbook - SheetJS workbook
+   * @param {string} sheetName - Sheet to read
+   * @returns {Object} - { fields, rows, date1904 }, date1904 telling whether serials count days from 1904
+   */
+  readSheet(workbook, sheetName) {
+    // Workbooks saved by Excel for Mac may count serial dates from 1904
+    const date1904 = Boolean(workbook.Workbook && workbook.Workbook.WBProps && workbook.Workbook.WBProps.date1904);
+    const sheet = workbook.Sheets[sheetName];
+    if (!sheet || !sheet['!ref']) {
+      return { fields: [], rows: [], date1904 };
+    }
+
+    this.convertDateCells(sheet, date1904);
+
+    // The first row of the used range holds the headers
+    const headerRow = XLSX.utils.decode_range(sheet['!ref']).s.r;
+    const header = XLSX.utils.sheet_to_json(sheet, { header: 1, range: headerRow, defval: '' })[0] || [];
+    const fields = header.map(field => String(field).trim());
+    const rows = XLSX.utils.sheet_to_json(sheet, { header: fields, range: headerRow + 1, raw: true, defval: null });
+
+    return { fields, rows, date1904 };
+  }
+
+  /**
+   * Replace date-formatted serial cells with timestamp strings in place
+   * @param {Object} sheet - SheetJS worksheet
+   * @param {boolean} date1904 - Whether the workbook counts serial dates from 1904
+   */
+  convertDateCells(sheet, date1904) {
+    Object.keys(sheet).forEach(address => {
+      if (address[0] === '!') return;
+
+      const cell = sheet[address];
+      if (cell.t === 'n' && cell.z && XLSX.SSF.is_date(cell.z)) {
+        const value = this.serialToDateString(cell.v, date1904);
+        if (value !== null) {
+          cell.t = 's';
+          cell.v = value;
+          delete cell.w;
+        }
+      }
+    });
+  }
+
+  /**
+   * Convert an Excel serial date to a 'YYYY-MM-DD HH:mm:ss' string.
+   * The serial is read as wall-clock time, like the timestamps in CSV exports.
+   * @param {number} serial - Excel serial date
+   * @param {boolean} date1904 - Whether the serial counts days from 1904
+   * @returns {string|null} - Timestamp string, or null if out of range
+   */
+  serialToDateString(serial, date1904 = false) {
+    const minSerial = date1904 ? 0 : 1;
+    const maxSerial = date1904 ? this.maxSerialDate - this.date1904Offset : this.maxSerialDate;
+    if (typeof serial !== 'number' || !isFinite(serial) || serial < minSerial || serial > maxSerial) {
+      return null;
+    }
+
+    // SSF handles the 1900 leap year bug and rounds to the nearest second
+    const parts = XLSX.SSF.parse_date_code(serial, { date1904 });
+    if (!parts) return null;
+
+    const pad = value => String(value).padStart(2, '0');
+    return `${parts.y}-${pad(parts.m)}-${pad(parts.d)} ${pad(parts.H)}:${pad(parts.M)}:${pad(parts.S)}`;
+  }
+
+  /**
+   * Convert serial numbers left in known date columns, e.g. cells without a date format
+   * @param {Object} row - Parsed row with expected column names
+   * @param {Array} dateColumns - Columns that hold timestamps
+   * @param {boolean} date1904 - Whether the workbook counts serial dates from 1904
+   * @returns {Object} - The same row
+   */
+  convertDateColumns(row, dateColumns, date1904 = false) {
+    dateColumns.forEach(column => {
+      if (typeof row[column] === 'number') {
+        const value = this.serialToDateString(row[column], date1904);
+        if (value !== null) {
+          row[column] = value;
+        }
+      }
+    });
+    return row;
+  }
+}